@@ -0,0 +1,144 @@
+import { randomBytes, randomUUID, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+import { kv } from './storage.js';
+
+const scryptAsync = promisify(scrypt);
+
+const SESSION_COOKIE = 'rj_session';
+const SESSION_TTL_SECONDS = 60 * 60 * 24 * 30;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Failed sign-ins are counted per email and per address over a window, and
+// more than these within it are turned away until it passes
+export const LOGIN_WINDOW_SECONDS = 15 * 60;
+const MAX_FAILURES_PER_EMAIL = 10;
+const MAX_FAILURES_PER_IP = 50;
+
+const accountKey = (email) => `reading-journal-account:${email}`;
+const sessionKey = (token) => `reading-journal-session:${token}`;
+const failuresKey = (scope) => `reading-journal-login-failures:${scope}`;
+
+export class AuthError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+export function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+async function hashPassword(password, salt) {
+  const hash = await scryptAsync(password, salt, 64);
+  return hash.toString('hex');
+}
+
+// Only the fields that are safe to hand back to the client.
+function publicUser(user) {
+  return { id: user.id, email: user.email };
+}
+
+export async function createUser(email, password) {
+  email = normalizeEmail(email);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw new AuthError('A valid email address is required', 400);
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+
+  const salt = randomBytes(16).toString('hex');
+  const user = {
+    id: randomUUID(),
+    email,
+    salt,
+    passwordHash: await hashPassword(password, salt),
+    createdAt: new Date().toISOString(),
+  };
+  // NX so two sign-ups racing for the same address can't both win
+  const created = await kv.set(accountKey(email), user, { nx: true });
+  if (!created) throw new AuthError('An account with that email already exists', 409);
+  return publicUser(user);
+}
+
+// Checked against for emails without an account, so turning those down
+// takes as long as a wrong password and doesn't give away which exist
+const UNKNOWN_ACCOUNT = { salt: randomBytes(16).toString('hex'), passwordHash: '0'.repeat(128) };
+
+async function passwordMatches(user, password) {
+  const account = user || UNKNOWN_ACCOUNT;
+  const expected = Buffer.from(account.passwordHash, 'hex');
+  const actual = Buffer.from(await hashPassword(typeof password === 'string' ? password : '', account.salt), 'hex');
+  return timingSafeEqual(expected, actual) && Boolean(user);
+}
+
+// The address a request came from; behind Vercel or a proxy, the one it
+// forwarded for
+export function clientIp(req) {
+  return req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress || 'unknown';
+}
+
+export async function verifyCredentials(email, password, ip) {
+  email = normalizeEmail(email);
+  const keys = [failuresKey(`email:${email}`), failuresKey(`ip:${ip}`)];
+  const [byEmail, byIp] = (await kv.mget(...keys)).map(count => count ?? 0);
+  if (byEmail >= MAX_FAILURES_PER_EMAIL || byIp >= MAX_FAILURES_PER_IP) {
+    throw new AuthError('Too many sign-in attempts, try again later', 429);
+  }
+
+  const user = await kv.get(accountKey(email));
+  if (!(await passwordMatches(user, password))) {
+    await kv.set(keys[0], byEmail + 1, { ex: LOGIN_WINDOW_SECONDS });
+    await kv.set(keys[1], byIp + 1, { ex: LOGIN_WINDOW_SECONDS });
+    throw new AuthError('Incorrect email or password', 401);
+  }
+  await kv.del(keys[0]);
+  return publicUser(user);
+}
+
+export async function createSession(res, user) {
+  const token = randomBytes(32).toString('base64url');
+  await kv.set(sessionKey(token), user, { ex: SESSION_TTL_SECONDS });
+  res.setHeader('Set-Cookie',
+    `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${SESSION_TTL_SECONDS}`
+  );
+  return token;
+}
+
+// Sessions arrive as a cookie from the app, or as a bearer token from
+// scripts and other clients.
+function getSessionToken(req) {
+  const authorization = req.headers.authorization;
+  if (authorization?.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length);
+  }
+  const cookie = req.headers.cookie || '';
+  const match = cookie.match(new RegExp(`(?:^|;\\s*)${SESSION_COOKIE}=([^;]+)`));
+  return match ? match[1] : null;
+}
+
+export async function getSessionUser(req) {
+  const token = getSessionToken(req);
+  if (!token) return null;
+  return kv.get(sessionKey(token));
+}
+
+export async function destroySession(req, res) {
+  const token = getSessionToken(req);
+  if (token) await kv.del(sessionKey(token));
+  res.setHeader('Set-Cookie',
+    `${SESSION_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0`
+  );
+}
+
+// Resolves the signed-in user, or answers 401 and returns null.
+export async function requireUser(req, res) {
+  const user = await getSessionUser(req);
+  if (!user) {
+    res.status(401).json({ error: 'Sign in required' });
+    return null;
+  }
+  return user;
+}
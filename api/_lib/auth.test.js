@@ -0,0 +1,52 @@
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+
+let dir;
+let auth;
+
+beforeAll(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'reading-journal-'));
+  process.env.STORAGE_BACKEND = 'file';
+  process.env.STORAGE_PATH = join(dir, 'data.json');
+  auth = await import('./auth.js');
+  await auth.createUser('reader@example.com', 'correct horse');
+});
+
+afterAll(() => rm(dir, { recursive: true, force: true }));
+
+async function signInError(email, password, ip = '203.0.113.1') {
+  try {
+    await auth.verifyCredentials(email, password, ip);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('signed in');
+}
+
+describe('verifyCredentials', () => {
+  it('signs in with the right password, whatever the email case', async () => {
+    const user = await auth.verifyCredentials(' Reader@Example.com', 'correct horse', '203.0.113.1');
+    expect(user).toEqual({ id: expect.any(String), email: 'reader@example.com' });
+  });
+
+  it('turns down unknown emails and wrong passwords alike', async () => {
+    const unknown = await signInError('nobody@example.com', 'correct horse');
+    const wrong = await signInError('reader@example.com', 'wrong horse');
+    expect(unknown).toMatchObject({ status: 401, message: 'Incorrect email or password' });
+    expect(wrong).toMatchObject({ status: 401, message: unknown.message });
+  });
+
+  it('stops trying an email after repeated failures, even from new addresses', async () => {
+    for (let i = 0; i < 10; i++) await signInError('target@example.com', `guess ${i}`, `198.51.100.${i}`);
+    const error = await signInError('target@example.com', 'guess', '198.51.100.99');
+    expect(error).toMatchObject({ status: 429 });
+  });
+
+  it('stops an address trying many emails', async () => {
+    for (let i = 0; i < 50; i++) await signInError(`guess${i}@example.com`, 'password', '192.0.2.7');
+    expect(await signInError('reader@example.com', 'correct horse', '192.0.2.7')).toMatchObject({ status: 429 });
+    await expect(auth.verifyCredentials('reader@example.com', 'correct horse', '192.0.2.8')).resolves.toBeTruthy();
+  });
+});
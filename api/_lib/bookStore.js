@@ -0,0 +1,203 @@
+import { kv } from './storage.js';
+import { normalizeEmail } from './auth.js';
+import { SCHEMA_VERSION, assertValidBook, migrateBook, withDefaults } from '../../src/lib/bookSchema.js';
+import { mergeLibraries } from '../../src/lib/backup.js';
+import { CoverError, coverPath, deleteCover, getCover, isCachedCover, saveCover } from './coverStore.js';
+import { getSnapshot, snapshotIfDue, takeSnapshot } from './snapshotStore.js';
+
+// Before accounts existed there was one shared library, first as a single
+// array and then as per-book records. It goes to the account whose email is
+// set in LEGACY_OWNER_EMAIL, when that account signs up or in, and to no one
+// while it isn't set; the old keys are left untouched as a fallback copy.
+const LEGACY_BOOKS_KEY = 'reading-journal-books';
+const LEGACY_BOOK_IDS_KEY = 'reading-journal-book-ids';
+const legacyBookKey = (id) => `reading-journal-book:${id}`;
+const LEGACY_OWNER_KEY = 'reading-journal-legacy-owner';
+
+const bookIdsKey = (userId) => `reading-journal-user:${userId}:book-ids`;
+const bookKey = (userId, id) => `reading-journal-user:${userId}:book:${id}`;
+
+export class NotFoundError extends Error {
+  constructor(id, message = `Book ${id} not found`) {
+    super(message);
+    this.name = 'NotFoundError';
+  }
+}
+
+export class ConflictError extends Error {
+  constructor(current, message = 'Book was modified by another client') {
+    super(message);
+    this.name = 'ConflictError';
+    this.current = current;
+  }
+}
+
+async function loadLegacyBooks() {
+  const ids = await kv.smembers(LEGACY_BOOK_IDS_KEY);
+  if (ids.length > 0) {
+    const records = await kv.mget(...ids.map(legacyBookKey));
+    return records.filter(Boolean).map(migrateBook);
+  }
+
+  const legacy = await kv.get(LEGACY_BOOKS_KEY);
+  if (!Array.isArray(legacy)) return [];
+  const now = new Date().toISOString();
+  return legacy.map(book => ({ ...migrateBook(book), version: 1, updatedAt: now }));
+}
+
+export async function claimLegacyLibrary(user) {
+  const owner = normalizeEmail(process.env.LEGACY_OWNER_EMAIL);
+  if (!owner || user.email !== owner) return;
+  const claimed = await kv.set(LEGACY_OWNER_KEY, user.id, { nx: true });
+  if (!claimed) return;
+
+  const records = await loadLegacyBooks();
+  if (records.length === 0) return;
+  for (const record of records) {
+    await kv.set(bookKey(user.id, record.id), record);
+  }
+  await kv.sadd(bookIdsKey(user.id), ...records.map(r => String(r.id)));
+}
+
+export async function listBooks(userId) {
+  const ids = await kv.smembers(bookIdsKey(userId));
+  if (ids.length === 0) return [];
+
+  const records = await kv.mget(...ids.map(id => bookKey(userId, id)));
+  return records.filter(Boolean).map(migrateBook).sort((a, b) => a.id - b.id);
+}
+
+export async function getBook(userId, id) {
+  const record = await kv.get(bookKey(userId, id));
+  if (!record) throw new NotFoundError(id);
+  return migrateBook(record);
+}
+
+// Clients may leave out optional fields; the record is stored complete, as
+// the current schema version promises
+export async function createBook(userId, book) {
+  const id = book.id ?? Date.now();
+  const record = assertValidBook({
+    ...withDefaults(book),
+    id,
+    schemaVersion: SCHEMA_VERSION,
+    version: 1,
+    updatedAt: new Date().toISOString(),
+  });
+  const created = await kv.set(bookKey(userId, id), record, { nx: true });
+  if (!created) throw new ConflictError(await getBook(userId, id));
+  await kv.sadd(bookIdsKey(userId), String(id));
+  return record;
+}
+
+// A write lost the race for `version`: someone else's got in first
+async function conflict(userId, id) {
+  return new ConflictError(await getBook(userId, id));
+}
+
+// A scheduled snapshot is a safety net for the write that follows, not part
+// of it, so failing to take one doesn't stop the write
+async function snapshotBestEffort(userId) {
+  try {
+    await snapshotIfDue(userId, () => listBooks(userId));
+  } catch (error) {
+    console.error('Scheduled snapshot failed:', error);
+  }
+}
+
+// Writes are compare-and-set on `version`: a client must send the version it
+// last saw, and anything older than what is stored is rejected. The early
+// check saves a snapshot for a write that can't succeed; the storage checks
+// again as it writes, so two writes based on the same version can't both win.
+export async function updateBook(userId, id, expectedVersion, updater) {
+  const current = await getBook(userId, id);
+  if (current.version !== expectedVersion) throw new ConflictError(current);
+  await snapshotBestEffort(userId);
+
+  const record = assertValidBook({
+    ...updater(current),
+    id: current.id,
+    schemaVersion: SCHEMA_VERSION,
+    version: current.version + 1,
+    updatedAt: new Date().toISOString(),
+  });
+  const written = await kv.setIfVersion(bookKey(userId, id), expectedVersion, record);
+  if (!written) throw await conflict(userId, id);
+  return record;
+}
+
+export async function deleteBook(userId, id, expectedVersion) {
+  const current = await getBook(userId, id);
+  if (current.version !== expectedVersion) throw new ConflictError(current);
+  await snapshotBestEffort(userId);
+
+  const deleted = await kv.delIfVersion(bookKey(userId, id), expectedVersion);
+  if (!deleted) throw await conflict(userId, id);
+  await kv.srem(bookIdsKey(userId), String(id));
+  await deleteCover(userId, id);
+}
+
+// Backups carry covers inline as data URLs; they go back into the cover
+// cache rather than into the book record. Ones that won't fit stay inline.
+async function restoreCover(userId, book) {
+  if (!book.coverUrl?.startsWith('data:')) return book;
+  try {
+    const cover = await saveCover(userId, book.id, { dataUrl: book.coverUrl });
+    return { ...book, coverUrl: coverPath(book.id, cover) };
+  } catch (error) {
+    if (error instanceof CoverError) return book;
+    throw error;
+  }
+}
+
+// Restores backed-up books into the user's library, merging with or
+// replacing what is there (see mergeLibraries). Restores are deliberate
+// overwrites, so they skip the version check; changed records still get a
+// new version so other clients see their copies as stale. The library as
+// it was is snapshotted first, so a restore can itself be undone.
+export async function restoreLibrary(userId, incoming, mode) {
+  const current = await listBooks(userId);
+  if (current.length > 0) await takeSnapshot(userId, current, 'restore');
+  const next = mergeLibraries(current, incoming, mode);
+  const currentById = new Map(current.map(book => [String(book.id), book]));
+  const now = new Date().toISOString();
+  const summary = { written: 0, removed: 0 };
+
+  for (const book of next) {
+    const existing = currentById.get(String(book.id));
+    currentById.delete(String(book.id));
+    if (book === existing) continue;
+
+    const record = assertValidBook({
+      ...(await restoreCover(userId, book)),
+      schemaVersion: SCHEMA_VERSION,
+      version: existing ? existing.version + 1 : 1,
+      updatedAt: now,
+    });
+    await kv.set(bookKey(userId, book.id), record);
+    await kv.sadd(bookIdsKey(userId), String(book.id));
+    summary.written++;
+  }
+
+  for (const id of currentById.keys()) {
+    await kv.del(bookKey(userId, id));
+    await kv.srem(bookIdsKey(userId), id);
+    await deleteCover(userId, id);
+    summary.removed++;
+  }
+  return summary;
+}
+
+// Puts the library back the way it was in a snapshot. Covers deleted since
+// are dropped from their books, to be looked up again.
+export async function restoreSnapshot(userId, snapshotId) {
+  const snapshot = await getSnapshot(userId, snapshotId);
+  if (!snapshot) throw new NotFoundError(snapshotId, `Snapshot ${snapshotId} not found`);
+
+  const books = [];
+  for (const book of snapshot.books.map(migrateBook)) {
+    const coverGone = isCachedCover(book.coverUrl) && !(await getCover(userId, book.id));
+    books.push(coverGone ? { ...book, coverUrl: null } : book);
+  }
+  return restoreLibrary(userId, books, 'replace');
+}
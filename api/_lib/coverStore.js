@@ -0,0 +1,203 @@
+import { createHash } from 'node:crypto';
+import { lookup } from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import { BlockList, isIP } from 'node:net';
+import { kv } from './storage.js';
+
+// Cover images cached in our own storage, so pages don't hotlink other
+// sites and each cover is fetched from its source only once. Images are
+// stored base64-encoded next to the user's books.
+const coverKey = (userId, bookId) => `reading-journal-user:${userId}:cover:${bookId}`;
+
+export const MAX_COVER_BYTES = 600 * 1024;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 3;
+
+export class CoverError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CoverError';
+    this.status = status;
+  }
+}
+
+// Addresses a cover may not be fetched from, so the server can't be pointed
+// at its own network: unspecified, loopback, private, CGNAT, link-local,
+// benchmarking, multicast and reserved ranges, and their IPv6 counterparts.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  BLOCKED.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  BLOCKED.addSubnet(network, prefix, 'ipv6');
+}
+
+const isPublicAddress = (address) => !BLOCKED.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+
+const notPublic = () => new CoverError('Cover URL must be a public http(s) address');
+
+// Resolves hosts for the cover requests below, refusing any that resolve to
+// an address that isn't public. The connection is made to the address
+// checked here, so a name can't resolve one way for the check and another
+// for the request.
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(notPublic());
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Literal addresses are connected to without a lookup, so they're checked
+// up front
+function checkUrl(url) {
+  if (!['http:', 'https:'].includes(url.protocol)) throw notPublic();
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (isIP(host) && !isPublicAddress(host)) throw notPublic();
+}
+
+function request(url, signal) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    client.get(url, { lookup: publicLookup, signal }, resolve).on('error', reject);
+  });
+}
+
+// Reads the body as it arrives, giving up as soon as it's too big
+async function readBody(res) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res) {
+    size += chunk.length;
+    if (size > MAX_COVER_BYTES) {
+      res.destroy();
+      throw new CoverError(`Cover images must be under ${MAX_COVER_BYTES / 1024} KB`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function fetchFrom(url, signal) {
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    checkUrl(url);
+    const res = await request(url, signal);
+    const { location } = res.headers;
+    if (res.statusCode >= 300 && res.statusCode < 400 && location) {
+      res.resume();
+      url = new URL(location, url);
+      continue;
+    }
+    if (res.statusCode === 429 || res.statusCode >= 500) {
+      res.resume();
+      throw new CoverError('The cover host is unavailable, try again later', 503);
+    }
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      res.resume();
+      throw new CoverError(`Couldn't fetch the cover (${res.statusCode})`);
+    }
+    const contentType = (res.headers['content-type'] || '').split(';')[0].trim();
+    if (!IMAGE_TYPES.includes(contentType)) {
+      res.resume();
+      throw new CoverError('Covers must be JPEG, PNG, WebP or GIF images');
+    }
+    if (Number(res.headers['content-length']) > MAX_COVER_BYTES) {
+      res.resume();
+      throw new CoverError(`Cover images must be under ${MAX_COVER_BYTES / 1024} KB`);
+    }
+    return { contentType, data: await readBody(res) };
+  }
+  throw new CoverError('Cover URL redirects too many times');
+}
+
+// Everything that can go wrong on the way, down to a host that doesn't
+// resolve, comes out as a CoverError
+async function fetchImage(source) {
+  let url;
+  try {
+    url = new URL(source);
+  } catch {
+    throw new CoverError('Cover URL is not a valid URL');
+  }
+
+  try {
+    return await fetchFrom(url, AbortSignal.timeout(FETCH_TIMEOUT_MS));
+  } catch (error) {
+    if (error instanceof CoverError) throw error;
+    if (error.name === 'AbortError') {
+      throw new CoverError('The cover host took too long to answer, try again later', 503);
+    }
+    throw new CoverError("Couldn't reach the cover host", 502);
+  }
+}
+
+function parseDataUrl(dataUrl) {
+  const match = typeof dataUrl === 'string' && dataUrl.match(/^data:([\w/.+-]+);base64,([A-Za-z0-9+/=]+)$/);
+  if (!match) throw new CoverError('Expected a base64 image data URL');
+  return { contentType: match[1], data: Buffer.from(match[2], 'base64') };
+}
+
+// Where the app loads a cached cover from. The hash changes with the image,
+// so the response can be cached forever.
+export function coverPath(bookId, record) {
+  return `/api/covers/${bookId}?v=${record.hash}`;
+}
+
+export function isCachedCover(coverUrl) {
+  return typeof coverUrl === 'string' && coverUrl.startsWith('/api/covers/');
+}
+
+export function coverDataUrl(record) {
+  return `data:${record.contentType};base64,${record.data}`;
+}
+
+export async function getCover(userId, bookId) {
+  return kv.get(coverKey(userId, bookId));
+}
+
+export async function deleteCover(userId, bookId) {
+  await kv.del(coverKey(userId, bookId));
+}
+
+function checkImage(image) {
+  if (!IMAGE_TYPES.includes(image.contentType)) {
+    throw new CoverError('Covers must be JPEG, PNG, WebP or GIF images');
+  }
+  if (image.data.length === 0) throw new CoverError('The cover image is empty');
+  if (image.data.length > MAX_COVER_BYTES) {
+    throw new CoverError(`Cover images must be under ${MAX_COVER_BYTES / 1024} KB`);
+  }
+  return image;
+}
+
+// A cover image from the web, `{ contentType, data }`, under the same rules
+// as one being cached
+export async function fetchCoverImage(url) {
+  return checkImage(await fetchImage(url));
+}
+
+// Stores a cover from `{ url }` (fetched now) or `{ dataUrl }` (an upload)
+export async function saveCover(userId, bookId, { url, dataUrl }) {
+  const image = url ? await fetchCoverImage(url) : checkImage(parseDataUrl(dataUrl));
+
+  const record = {
+    contentType: image.contentType,
+    data: image.data.toString('base64'),
+    hash: createHash('sha256').update(image.data).digest('hex').slice(0, 16),
+    source: url || 'upload',
+    savedAt: new Date().toISOString(),
+  };
+  await kv.set(coverKey(userId, bookId), record);
+  return record;
+}
@@ -0,0 +1,55 @@
+import { createServer } from 'node:http';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { CoverError, fetchCoverImage } from './coverStore.js';
+
+// A server on this machine that would hand out an image to anyone asking
+let server;
+let port;
+let requests = 0;
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    requests++;
+    res.writeHead(200, { 'Content-Type': 'image/png' }).end('png');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+async function coverError(url) {
+  try {
+    await fetchCoverImage(url);
+  } catch (error) {
+    expect(error).toBeInstanceOf(CoverError);
+    return error;
+  }
+  throw new Error(`${url} was fetched`);
+}
+
+describe('fetchCoverImage', () => {
+  it('refuses addresses that are not public, however they are written', async () => {
+    for (const host of ['127.0.0.1', '10.1.2.3', '100.64.0.1', '169.254.169.254', '[::1]', '[::ffff:127.0.0.1]', '[fd00::1]']) {
+      const error = await coverError(`http://${host}:${port}/cover.png`);
+      expect(error).toMatchObject({ status: 400, message: 'Cover URL must be a public http(s) address' });
+    }
+    expect(requests).toBe(0);
+  });
+
+  it('refuses names that resolve to a private address', async () => {
+    const error = await coverError(`http://localhost:${port}/cover.png`);
+    expect(error.message).toBe('Cover URL must be a public http(s) address');
+    expect(requests).toBe(0);
+  });
+
+  it('refuses other protocols and malformed URLs', async () => {
+    expect((await coverError('file:///etc/passwd')).status).toBe(400);
+    expect((await coverError('not a url')).message).toBe('Cover URL is not a valid URL');
+  });
+
+  it('reports a host that cannot be reached as a bad gateway', async () => {
+    const error = await coverError('http://covers.invalid/cover.png');
+    expect(error).toMatchObject({ status: 502, message: "Couldn't reach the cover host" });
+  });
+});
@@ -0,0 +1,30 @@
+import { kv, replaceIfVersion } from './storage.js';
+import { ConflictError } from './bookStore.js';
+import { assertValidGoals } from '../../src/lib/goals.js';
+
+// A user's goals are saved together as one record, versioned like books so
+// two devices can't silently overwrite each other's changes.
+const goalsKey = (userId) => `reading-journal-user:${userId}:goals`;
+
+const EMPTY_GOALS = { goals: [], version: 0, updatedAt: null };
+
+export async function getGoals(userId) {
+  return (await kv.get(goalsKey(userId))) || EMPTY_GOALS;
+}
+
+export async function saveGoals(userId, expectedVersion, goals) {
+  const current = await getGoals(userId);
+  if (current.version !== expectedVersion) {
+    throw new ConflictError(current, 'Goals were modified by another client');
+  }
+
+  const record = {
+    goals: assertValidGoals(goals),
+    version: current.version + 1,
+    updatedAt: new Date().toISOString(),
+  };
+  if (!(await replaceIfVersion(goalsKey(userId), current.version, record))) {
+    throw new ConflictError(await getGoals(userId), 'Goals were modified by another client');
+  }
+  return record;
+}
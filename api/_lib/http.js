@@ -0,0 +1,79 @@
+import { AuthError, LOGIN_WINDOW_SECONDS } from './auth.js';
+import { ConflictError, NotFoundError } from './bookStore.js';
+import { CoverError } from './coverStore.js';
+import { ValidationError } from '../../src/lib/bookSchema.js';
+
+// The app is served from the same origin as the API. Other origins only get
+// CORS headers when listed in CORS_ALLOWED_ORIGINS (comma separated).
+function allowedOrigins() {
+  return (process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+}
+
+export function applyCors(req, res, methods) {
+  const origin = req.headers.origin;
+  if (!origin || !allowedOrigins().includes(origin)) return;
+
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-Match, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+  res.setHeader('Vary', 'Origin');
+}
+
+// The origin the request was made to, for URLs that must be absolute
+export function requestOrigin(req) {
+  const proto = req.headers['x-forwarded-proto']?.split(',')[0] || 'https';
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  return `${proto}://${host}`;
+}
+
+export function setETag(res, record) {
+  res.setHeader('ETag', `"${record.version}"`);
+}
+
+// The version a write is based on, taken from `If-Match` or the body.
+export function getExpectedVersion(req) {
+  const ifMatch = req.headers['if-match'];
+  if (ifMatch) {
+    const version = Number(ifMatch.replace(/^W\//, '').replace(/"/g, ''));
+    return Number.isInteger(version) ? version : null;
+  }
+  const version = req.body?.version;
+  return Number.isInteger(version) ? version : null;
+}
+
+const SERVER_FIELDS = ['id', 'version', 'updatedAt', 'schemaVersion'];
+
+// Fields the server owns; clients can't set them directly.
+export function stripServerFields(body) {
+  return Object.fromEntries(
+    Object.entries(body).filter(([key]) => !SERVER_FIELDS.includes(key))
+  );
+}
+
+export function sendError(res, error) {
+  if (error instanceof NotFoundError) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ error: error.message, details: error.errors });
+  }
+  if (error instanceof CoverError) {
+    if (error.status === 503) res.setHeader('Retry-After', '60');
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error instanceof AuthError) {
+    if (error.status === 429) res.setHeader('Retry-After', String(LOGIN_WINDOW_SECONDS));
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error instanceof ConflictError) {
+    setETag(res, error.current);
+    return res.status(409).json({ error: error.message, current: error.current });
+  }
+  console.error('API Error:', error);
+  return res.status(500).json({ error: 'Internal server error' });
+}
@@ -0,0 +1,85 @@
+import { randomBytes } from 'node:crypto';
+import { kv, replaceIfVersion } from './storage.js';
+import { ConflictError } from './bookStore.js';
+import { isCachedCover } from './coverStore.js';
+import { DEFAULT_SHARING, assertValidSharingSettings } from '../../src/lib/sharing.js';
+
+// Public profile settings, versioned like goals, plus the share token that
+// opens the profile. The token is only issued while sharing is on: turning
+// sharing off or asking for a new link deletes the old token, so links
+// handed out before stop working.
+const sharingKey = (userId) => `reading-journal-user:${userId}:sharing`;
+const shareTokenKey = (token) => `reading-journal-share:${token}`;
+
+const EMPTY_SHARING = { ...DEFAULT_SHARING, token: null, version: 0, updatedAt: null };
+
+const newToken = () => randomBytes(24).toString('base64url');
+
+export const isShareToken = (token) => typeof token === 'string' && /^[\w-]{32}$/.test(token);
+
+export async function getSharing(userId) {
+  return (await kv.get(sharingKey(userId))) || EMPTY_SHARING;
+}
+
+// The new token's key goes in first, so the link works as soon as the record
+// names it; findShare checks the record, so a key it doesn't name opens
+// nothing. The old key goes once the record has moved off it, and the new
+// one goes too if another write got to the record first.
+async function writeSharing(userId, current, settings, token) {
+  const tokenChanged = token !== current.token;
+  if (token && tokenChanged) await kv.set(shareTokenKey(token), userId);
+
+  const record = {
+    ...settings,
+    token,
+    version: current.version + 1,
+    updatedAt: new Date().toISOString(),
+  };
+  if (!(await replaceIfVersion(sharingKey(userId), current.version, record))) {
+    if (token && tokenChanged) await kv.del(shareTokenKey(token));
+    throw new ConflictError(await getSharing(userId), 'Sharing settings were modified by another client');
+  }
+
+  if (current.token && tokenChanged) await kv.del(shareTokenKey(current.token));
+  return record;
+}
+
+export async function saveSharing(userId, expectedVersion, settings) {
+  const current = await getSharing(userId);
+  if (current.version !== expectedVersion) {
+    throw new ConflictError(current, 'Sharing settings were modified by another client');
+  }
+  assertValidSharingSettings(settings);
+  const token = settings.enabled ? current.token || newToken() : null;
+  return writeSharing(userId, current, settings, token);
+}
+
+// A new share link for a profile that's being shared; the old one stops working
+export async function rotateShareToken(userId) {
+  const current = await getSharing(userId);
+  if (!current.enabled) return current;
+  const settings = Object.fromEntries(Object.keys(DEFAULT_SHARING).map(name => [name, current[name]]));
+  return writeSharing(userId, current, settings, newToken());
+}
+
+// The owner of a share token and their settings, or null if the token
+// isn't (or is no longer) a live share link
+export async function findShare(token) {
+  if (!isShareToken(token)) return null;
+  const userId = await kv.get(shareTokenKey(token));
+  if (!userId) return null;
+  const sharing = await getSharing(userId);
+  return sharing.enabled && sharing.token === token ? { userId, sharing } : null;
+}
+
+// Where a book's cover can be seen through a share link. Cached covers need
+// a sign-in at /api/covers, so they're served from the shared profile route
+// instead; outside images are linked as they are. `origin` makes the URL
+// absolute, for feeds.
+export function sharedCoverUrl(token, book, origin = '') {
+  if (isCachedCover(book.coverUrl)) {
+    const version = new URL(book.coverUrl, 'http://localhost').searchParams.get('v');
+    return `${origin}/api/shared/${token}?cover=${book.id}&v=${version}`;
+  }
+  return /^https?:\/\//.test(book.coverUrl || '') ? book.coverUrl : null;
+}
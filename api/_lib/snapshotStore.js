@@ -0,0 +1,69 @@
+import { kv } from './storage.js';
+
+// Timestamped copies of a user's whole library, so an earlier state can be
+// brought back after a bad edit, delete or restore. One is taken before the
+// first write after SNAPSHOT_INTERVAL has passed and before every restore;
+// only the newest MAX_SNAPSHOTS are kept. Covers live in their own keys and
+// aren't copied.
+const snapshotIndexKey = (userId) => `reading-journal-user:${userId}:snapshots`;
+const snapshotKey = (userId, id) => `reading-journal-user:${userId}:snapshot:${id}`;
+const snapshotLockKey = (userId) => `reading-journal-user:${userId}:snapshots-lock`;
+
+export const SNAPSHOT_INTERVAL = 60 * 60 * 1000;
+export const MAX_SNAPSHOTS = 30;
+export const SNAPSHOT_REASONS = ['scheduled', 'restore', 'manual'];
+
+// The index is a plain list, so taking a snapshot holds a lock while it
+// reads and rewrites it; otherwise two at once could each drop the other's.
+// The lock expires in case its holder dies.
+const LOCK_SECONDS = 30;
+const LOCK_ATTEMPTS = 20;
+const LOCK_RETRY_MS = 100;
+
+// Newest first, as `{ id, takenAt, reason, bookCount }`
+export async function listSnapshots(userId) {
+  return (await kv.get(snapshotIndexKey(userId))) || [];
+}
+
+// The snapshot with its books, or null
+export async function getSnapshot(userId, id) {
+  return kv.get(snapshotKey(userId, id));
+}
+
+async function withIndexLock(userId, update) {
+  for (let attempt = 1; !(await kv.set(snapshotLockKey(userId), 1, { nx: true, ex: LOCK_SECONDS })); attempt++) {
+    if (attempt === LOCK_ATTEMPTS) throw new Error('Another snapshot is being taken');
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+  try {
+    return await update(await listSnapshots(userId));
+  } finally {
+    await kv.del(snapshotLockKey(userId));
+  }
+}
+
+export async function takeSnapshot(userId, books, reason) {
+  return withIndexLock(userId, async (index) => {
+    // Ids are timestamps, bumped past the newest if need be
+    const id = Math.max(Date.now(), ...index.map(snapshot => snapshot.id + 1));
+    const summary = { id, takenAt: new Date(id).toISOString(), reason, bookCount: books.length };
+
+    await kv.set(snapshotKey(userId, id), { ...summary, books });
+    const kept = [summary, ...index];
+    for (const old of kept.splice(MAX_SNAPSHOTS)) {
+      await kv.del(snapshotKey(userId, old.id));
+    }
+    await kv.set(snapshotIndexKey(userId), kept);
+    return summary;
+  });
+}
+
+// Takes a snapshot if the last one is older than SNAPSHOT_INTERVAL. Loading
+// the library is left to `loadBooks` so it only happens when one is due.
+export async function snapshotIfDue(userId, loadBooks) {
+  const [latest] = await listSnapshots(userId);
+  if (latest && Date.now() - latest.id < SNAPSHOT_INTERVAL) return null;
+  const books = await loadBooks();
+  if (books.length === 0) return null;
+  return takeSnapshot(userId, books, 'scheduled');
+}
@@ -0,0 +1,32 @@
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+
+let dir;
+let snapshots;
+
+beforeAll(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'reading-journal-'));
+  process.env.STORAGE_BACKEND = 'file';
+  process.env.STORAGE_PATH = join(dir, 'data.json');
+  snapshots = await import('./snapshotStore.js');
+});
+
+afterAll(() => rm(dir, { recursive: true, force: true }));
+
+describe('takeSnapshot', () => {
+  it('keeps every snapshot taken at the same time in the index', async () => {
+    const books = [{ id: 1, title: 'T' }];
+    const taken = await Promise.all(['manual', 'restore', 'scheduled'].map(reason => (
+      snapshots.takeSnapshot('reader', books, reason)
+    )));
+
+    const index = await snapshots.listSnapshots('reader');
+    expect(index).toHaveLength(3);
+    expect(new Set(index.map(snapshot => snapshot.id))).toEqual(new Set(taken.map(snapshot => snapshot.id)));
+    for (const { id } of taken) {
+      expect(await snapshots.getSnapshot('reader', id)).toMatchObject({ id, books });
+    }
+  });
+});
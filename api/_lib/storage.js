@@ -0,0 +1,59 @@
+// Where the API keeps its data. Every store goes through `kv`, which offers
+// the part of the Vercel KV (Redis) interface they use:
+//
+//   get(key)                      the value, or null
+//   mget(...keys)                 the values, null where missing
+//   set(key, value, { nx, ex })   'OK', or null when `nx` and the key exists;
+//                                 `ex` expires the key after that many seconds
+//   del(...keys)                  how many keys were removed
+//   sadd / srem(key, ...members)  how many members were added or removed
+//   smembers(key)                 a set's members, as strings
+//   setIfVersion(key, version, value)
+//                                 'OK', or null unless the stored value's
+//                                 `version` is `version`, checked and written
+//                                 in one step so concurrent writes can't
+//                                 both pass the check
+//   delIfVersion(key, version)    1, or 0 on the same condition
+//
+// Values are anything JSON can hold. STORAGE_BACKEND picks where they go:
+// 'vercel-kv' (the default), 'file' for one JSON file or 'sqlite' for an
+// SQLite database, the last two at STORAGE_PATH.
+export const STORAGE_BACKENDS = {
+  'vercel-kv': () => import('./storage/vercelKv.js'),
+  file: () => import('./storage/jsonFile.js'),
+  sqlite: () => import('./storage/sqlite.js'),
+};
+
+const METHODS = ['get', 'mget', 'set', 'del', 'sadd', 'srem', 'smembers', 'setIfVersion', 'delIfVersion'];
+
+export const storageBackend = () => process.env.STORAGE_BACKEND || 'vercel-kv';
+
+let backend;
+
+// Loaded on first use, so only the backend in use needs its dependencies
+function getBackend() {
+  if (!backend) {
+    const name = storageBackend();
+    const load = STORAGE_BACKENDS[name];
+    if (!load) {
+      throw new Error(`STORAGE_BACKEND must be one of ${Object.keys(STORAGE_BACKENDS).join(', ')}, not "${name}"`);
+    }
+    backend = load().then(module => module.createStorage({ path: process.env.STORAGE_PATH }));
+  }
+  return backend;
+}
+
+export const kv = Object.fromEntries(METHODS.map(method => [
+  method,
+  async (...args) => (await getBackend())[method](...args),
+]));
+
+// Replaces a versioned record, one with `version` counting its writes from 1,
+// if the stored one is still at `version`; 0 means there is none yet. False
+// when another write got there first.
+export async function replaceIfVersion(key, version, record) {
+  const written = version === 0
+    ? await kv.set(key, record, { nx: true })
+    : await kv.setIfVersion(key, version, record);
+  return Boolean(written);
+}
@@ -0,0 +1,124 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+export const DEFAULT_PATH = 'data/reading-journal.json';
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+// Everything in one JSON file, read into memory on first use and written
+// back after every change. Simple to back up and to read, but each write
+// rewrites the whole file and nothing stops two processes from overwriting
+// each other, so it's for a single server with a handful of readers.
+export function createStorage({ path = DEFAULT_PATH } = {}) {
+  // { values: { [key]: { value, expiresAt } }, sets: { [key]: [member] } }
+  let data;
+  let loading;
+  let writing = Promise.resolve();
+
+  const load = () => {
+    loading ??= readFile(path, 'utf8').then(JSON.parse, (error) => {
+      if (error.code === 'ENOENT') return { values: {}, sets: {} };
+      throw error;
+    }).then((loaded) => {
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(loaded.values)) {
+        if (entry.expiresAt && entry.expiresAt <= now) delete loaded.values[key];
+      }
+      data = loaded;
+    });
+    return loading;
+  };
+
+  // One write at a time, through a temporary file, so a crash part way
+  // through leaves the last complete copy in place
+  const save = () => {
+    writing = writing.catch(() => {}).then(async () => {
+      await mkdir(dirname(path), { recursive: true });
+      await writeFile(`${path}.tmp`, JSON.stringify(data));
+      await rename(`${path}.tmp`, path);
+    });
+    return writing;
+  };
+
+  const entry = (key) => {
+    const found = data.values[key];
+    if (found?.expiresAt && found.expiresAt <= Date.now()) {
+      delete data.values[key];
+      return null;
+    }
+    return found || null;
+  };
+
+  const read = (key) => {
+    const found = entry(key);
+    return found ? copy(found.value) : null;
+  };
+
+  const changeSet = async (key, members, change) => {
+    const set = new Set(data.sets[key]);
+    const before = set.size;
+    for (const member of members) change(set, String(member));
+    if (set.size === before) return 0;
+    if (set.size > 0) data.sets[key] = [...set];
+    else delete data.sets[key];
+    await save();
+    return Math.abs(set.size - before);
+  };
+
+  return {
+    async get(key) {
+      await load();
+      return read(key);
+    },
+    async mget(...keys) {
+      await load();
+      return keys.map(read);
+    },
+    async set(key, value, { nx = false, ex } = {}) {
+      await load();
+      if (nx && entry(key)) return null;
+      data.values[key] = { value: copy(value), expiresAt: ex ? Date.now() + ex * 1000 : null };
+      await save();
+      return 'OK';
+    },
+    async del(...keys) {
+      await load();
+      let removed = 0;
+      for (const key of keys) {
+        if (entry(key) || data.sets[key]) removed++;
+        delete data.values[key];
+        delete data.sets[key];
+      }
+      if (removed > 0) await save();
+      return removed;
+    },
+    async sadd(key, ...members) {
+      await load();
+      return changeSet(key, members, (set, member) => set.add(member));
+    },
+    async srem(key, ...members) {
+      await load();
+      return changeSet(key, members, (set, member) => set.delete(member));
+    },
+    // Nothing else runs between the check and the change, so within the one
+    // process this file is for they are a single step
+    async setIfVersion(key, version, value) {
+      await load();
+      if (entry(key)?.value?.version !== version) return null;
+      data.values[key] = { value: copy(value), expiresAt: null };
+      await save();
+      return 'OK';
+    },
+    async delIfVersion(key, version) {
+      await load();
+      if (entry(key)?.value?.version !== version) return 0;
+      delete data.values[key];
+      await save();
+      return 1;
+    },
+    async smembers(key) {
+      await load();
+      return [...(data.sets[key] || [])];
+    },
+  };
+}
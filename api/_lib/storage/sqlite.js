@@ -0,0 +1,114 @@
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { DatabaseSync } from 'node:sqlite';
+
+export const DEFAULT_PATH = 'data/reading-journal.sqlite';
+
+// An SQLite database, through the SQLite built into Node (22.13 or later).
+// Values are stored as JSON text; sets get a table of their own. Several
+// server processes can share the database.
+export function createStorage({ path = DEFAULT_PATH } = {}) {
+  mkdirSync(dirname(path), { recursive: true });
+  const db = new DatabaseSync(path);
+  db.exec(`
+    PRAGMA journal_mode = WAL;
+    PRAGMA busy_timeout = 5000;
+    CREATE TABLE IF NOT EXISTS entries (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      expires_at INTEGER
+    );
+    CREATE TABLE IF NOT EXISTS set_members (
+      key TEXT NOT NULL,
+      member TEXT NOT NULL,
+      PRIMARY KEY (key, member)
+    );
+  `);
+
+  const sql = {
+    get: db.prepare('SELECT value FROM entries WHERE key = ? AND (expires_at IS NULL OR expires_at > ?)'),
+    purge: db.prepare('DELETE FROM entries WHERE key = ? AND expires_at <= ?'),
+    insert: db.prepare('INSERT OR IGNORE INTO entries (key, value, expires_at) VALUES (?, ?, ?)'),
+    upsert: db.prepare(`
+      INSERT INTO entries (key, value, expires_at) VALUES (?, ?, ?)
+      ON CONFLICT (key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at
+    `),
+    delete: db.prepare('DELETE FROM entries WHERE key = ?'),
+    deleteSet: db.prepare('DELETE FROM set_members WHERE key = ?'),
+    addMember: db.prepare('INSERT OR IGNORE INTO set_members (key, member) VALUES (?, ?)'),
+    removeMember: db.prepare('DELETE FROM set_members WHERE key = ? AND member = ?'),
+    members: db.prepare('SELECT member FROM set_members WHERE key = ?'),
+  };
+
+  const transaction = (work) => {
+    db.exec('BEGIN IMMEDIATE');
+    try {
+      const result = work();
+      db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+  };
+
+  const read = (key) => {
+    const row = sql.get.get(key, Date.now());
+    return row ? JSON.parse(row.value) : null;
+  };
+
+  const changeSet = (key, members, statement) => transaction(() =>
+    members.reduce((changed, member) => changed + Number(statement.run(key, String(member)).changes), 0));
+
+  return {
+    async get(key) {
+      return read(key);
+    },
+    async mget(...keys) {
+      return keys.map(read);
+    },
+    async set(key, value, { nx = false, ex } = {}) {
+      const now = Date.now();
+      const args = [key, JSON.stringify(value), ex ? now + ex * 1000 : null];
+      if (!nx) {
+        sql.upsert.run(...args);
+        return 'OK';
+      }
+      return transaction(() => {
+        sql.purge.run(key, now);
+        return sql.insert.run(...args).changes > 0 ? 'OK' : null;
+      });
+    },
+    async del(...keys) {
+      const now = Date.now();
+      return transaction(() => keys.reduce((removed, key) => {
+        const existed = sql.get.get(key, now) || sql.members.get(key);
+        sql.delete.run(key);
+        sql.deleteSet.run(key);
+        return removed + (existed ? 1 : 0);
+      }, 0));
+    },
+    async sadd(key, ...members) {
+      return changeSet(key, members, sql.addMember);
+    },
+    async srem(key, ...members) {
+      return changeSet(key, members, sql.removeMember);
+    },
+    async setIfVersion(key, version, value) {
+      return transaction(() => {
+        if (read(key)?.version !== version) return null;
+        sql.upsert.run(key, JSON.stringify(value), null);
+        return 'OK';
+      });
+    },
+    async delIfVersion(key, version) {
+      return transaction(() => {
+        if (read(key)?.version !== version) return 0;
+        return Number(sql.delete.run(key).changes);
+      });
+    },
+    async smembers(key) {
+      return sql.members.all(key).map(row => row.member);
+    },
+  };
+}
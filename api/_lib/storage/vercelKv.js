@@ -0,0 +1,30 @@
+import { kv } from '@vercel/kv';
+
+const PASSED_THROUGH = ['get', 'mget', 'set', 'del', 'sadd', 'srem', 'smembers'];
+
+// Replaces (or with an empty value, deletes) KEYS[1] only while the JSON
+// stored there has `version` ARGV[1]. Redis runs a script without running
+// anything else, so the check and the write are one step.
+const IF_VERSION_SCRIPT = `
+local stored = redis.call('GET', KEYS[1])
+if not stored then return nil end
+local ok, record = pcall(cjson.decode, stored)
+if not ok or type(record) ~= 'table' or record.version ~= tonumber(ARGV[1]) then return nil end
+if ARGV[2] == '' then return redis.call('DEL', KEYS[1]) end
+return redis.call('SET', KEYS[1], ARGV[2])
+`;
+
+// Vercel KV, which the storage interface is modeled on, so most of it is
+// used as is. Configured by the KV_REST_API_URL and KV_REST_API_TOKEN
+// Vercel provides.
+export function createStorage() {
+  return {
+    ...Object.fromEntries(PASSED_THROUGH.map(method => [method, (...args) => kv[method](...args)])),
+    async setIfVersion(key, version, value) {
+      return (await kv.eval(IF_VERSION_SCRIPT, [key], [String(version), JSON.stringify(value)])) ?? null;
+    },
+    async delIfVersion(key, version) {
+      return (await kv.eval(IF_VERSION_SCRIPT, [key], [String(version), ''])) ?? 0;
+    },
+  };
+}
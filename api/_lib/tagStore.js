@@ -0,0 +1,30 @@
+import { kv, replaceIfVersion } from './storage.js';
+import { ConflictError } from './bookStore.js';
+import { assertValidTagSettings } from '../../src/lib/tags.js';
+
+// Tag settings (colors, which tags are shelves) are saved together as one
+// record, versioned like goals.
+const tagsKey = (userId) => `reading-journal-user:${userId}:tags`;
+
+const EMPTY_TAGS = { tags: [], version: 0, updatedAt: null };
+
+export async function getTagSettings(userId) {
+  return (await kv.get(tagsKey(userId))) || EMPTY_TAGS;
+}
+
+export async function saveTagSettings(userId, expectedVersion, tags) {
+  const current = await getTagSettings(userId);
+  if (current.version !== expectedVersion) {
+    throw new ConflictError(current, 'Tags were modified by another client');
+  }
+
+  const record = {
+    tags: assertValidTagSettings(tags),
+    version: current.version + 1,
+    updatedAt: new Date().toISOString(),
+  };
+  if (!(await replaceIfVersion(tagsKey(userId), current.version, record))) {
+    throw new ConflictError(await getTagSettings(userId), 'Tags were modified by another client');
+  }
+  return record;
+}
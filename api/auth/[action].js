@@ -0,0 +1,59 @@
+import {
+  clientIp,
+  createSession,
+  createUser,
+  destroySession,
+  getSessionUser,
+  verifyCredentials,
+} from '../_lib/auth.js';
+import { claimLegacyLibrary } from '../_lib/bookStore.js';
+import { applyCors, sendError } from '../_lib/http.js';
+
+// POST /api/auth/signup, POST /api/auth/login, POST /api/auth/logout
+// and GET /api/auth/session
+export default async function handler(req, res) {
+  applyCors(req, res, ['GET', 'POST']);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const { action } = req.query;
+
+  try {
+    if (action === 'session' && req.method === 'GET') {
+      const user = await getSessionUser(req);
+      if (!user) return res.status(401).json({ error: 'Not signed in' });
+      return res.status(200).json({ user });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { email, password } = req.body || {};
+
+    if (action === 'signup') {
+      const user = await createUser(email, password);
+      await claimLegacyLibrary(user);
+      const token = await createSession(res, user);
+      return res.status(201).json({ user, token });
+    }
+
+    if (action === 'login') {
+      const user = await verifyCredentials(email, password, clientIp(req));
+      await claimLegacyLibrary(user);
+      const token = await createSession(res, user);
+      return res.status(200).json({ user, token });
+    }
+
+    if (action === 'logout') {
+      await destroySession(req, res);
+      return res.status(204).end();
+    }
+
+    return res.status(404).json({ error: 'Not found' });
+  } catch (error) {
+    return sendError(res, error);
+  }
+}
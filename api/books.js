@@ -1,32 +1,35 @@
-import { kv } from '@vercel/kv';
-
-const BOOKS_KEY = 'reading-journal-books';
+import { createBook, listBooks } from './_lib/bookStore.js';
+import { requireUser } from './_lib/auth.js';
+import { applyCors, sendError, setETag, stripServerFields } from './_lib/http.js';
 
 export default async function handler(req, res) {
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  applyCors(req, res, ['GET', 'POST']);
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
   try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
     if (req.method === 'GET') {
-      const books = await kv.get(BOOKS_KEY);
-      return res.status(200).json(books || []);
+      const books = await listBooks(user.id);
+      return res.status(200).json(books);
     }
 
     if (req.method === 'POST') {
-      const books = req.body;
-      await kv.set(BOOKS_KEY, books);
-      return res.status(200).json({ success: true });
+      const book = req.body;
+      if (!book || typeof book !== 'object' || Array.isArray(book)) {
+        return res.status(400).json({ error: 'Expected a single book object' });
+      }
+      const record = await createBook(user.id, { ...stripServerFields(book), id: book.id });
+      setETag(res, record);
+      return res.status(201).json(record);
     }
 
     return res.status(405).json({ error: 'Method not allowed' });
   } catch (error) {
-    console.error('API Error:', error);
-    return res.status(500).json({ error: 'Internal server error' });
+    return sendError(res, error);
   }
 }
@@ -0,0 +1,53 @@
+import { deleteBook, getBook, updateBook } from '../_lib/bookStore.js';
+import { requireUser } from '../_lib/auth.js';
+import { applyCors, getExpectedVersion, sendError, setETag, stripServerFields } from '../_lib/http.js';
+import { withDefaults } from '../../src/lib/bookSchema.js';
+
+export default async function handler(req, res) {
+  applyCors(req, res, ['GET', 'PUT', 'PATCH', 'DELETE']);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const { id } = req.query;
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    if (req.method === 'GET') {
+      const book = await getBook(user.id, id);
+      setETag(res, book);
+      return res.status(200).json(book);
+    }
+
+    if (!['PUT', 'PATCH', 'DELETE'].includes(req.method)) {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const expectedVersion = getExpectedVersion(req);
+    if (expectedVersion === null) {
+      return res.status(428).json({ error: 'Send If-Match or a version to modify a book' });
+    }
+
+    if (req.method === 'DELETE') {
+      await deleteBook(user.id, id, expectedVersion);
+      return res.status(204).end();
+    }
+
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({ error: 'Expected a book object' });
+    }
+
+    // A PUT replaces the whole book, so what it leaves out gets its default
+    const fields = stripServerFields(req.body);
+    const book = await updateBook(user.id, id, expectedVersion, current =>
+      req.method === 'PUT' ? withDefaults(fields) : { ...current, ...fields }
+    );
+    setETag(res, book);
+    return res.status(200).json(book);
+  } catch (error) {
+    return sendError(res, error);
+  }
+}
@@ -0,0 +1,56 @@
+import { getBook } from '../_lib/bookStore.js';
+import { coverPath, deleteCover, getCover, saveCover } from '../_lib/coverStore.js';
+import { requireUser } from '../_lib/auth.js';
+import { applyCors, sendError } from '../_lib/http.js';
+
+// GET    /api/covers/:id  the cached cover image for a book
+// POST   /api/covers/:id  cache a cover from `{ url }` or `{ dataUrl }`;
+//                         responds with the `coverUrl` to save on the book
+// DELETE /api/covers/:id  forget the cached cover
+export default async function handler(req, res) {
+  applyCors(req, res, ['GET', 'POST', 'DELETE']);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const { id } = req.query;
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    if (req.method === 'GET') {
+      const record = await getCover(user.id, id);
+      if (!record) return res.status(404).json({ error: 'No cover for this book' });
+
+      // Cover URLs carry the image hash, so a cached copy never goes stale
+      res.setHeader('Cache-Control', 'private, max-age=31536000, immutable');
+      res.setHeader('ETag', `"${record.hash}"`);
+      if (req.headers['if-none-match'] === `"${record.hash}"`) {
+        return res.status(304).end();
+      }
+      res.setHeader('Content-Type', record.contentType);
+      return res.status(200).send(Buffer.from(record.data, 'base64'));
+    }
+
+    if (req.method === 'POST') {
+      const { url, dataUrl } = req.body || {};
+      if (!url && !dataUrl) {
+        return res.status(400).json({ error: 'Send a cover url or dataUrl' });
+      }
+      await getBook(user.id, id);
+      const record = await saveCover(user.id, id, { url, dataUrl });
+      return res.status(201).json({ coverUrl: coverPath(id, record) });
+    }
+
+    if (req.method === 'DELETE') {
+      await deleteCover(user.id, id);
+      return res.status(204).end();
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    return sendError(res, error);
+  }
+}
@@ -0,0 +1,74 @@
+import { listBooks } from './_lib/bookStore.js';
+import { coverDataUrl, fetchCoverImage, getCover, isCachedCover } from './_lib/coverStore.js';
+import { requireUser } from './_lib/auth.js';
+import { applyCors, sendError } from './_lib/http.js';
+import { createBackup } from '../src/lib/backup.js';
+import {
+  EXPORT_FORMATS,
+  booksToCsv,
+  booksToMarkdown,
+  exportFilename,
+} from '../src/lib/exporters.js';
+
+// Inlines a cover as a data URL so the backup doesn't depend on the image
+// host still having it. Covers are fetched the way they are for the cover
+// cache, so only public addresses and real images of a limited size make it
+// in; ones that can't be fetched keep their URL.
+async function embedCover(userId, book) {
+  if (isCachedCover(book.coverUrl)) {
+    const cover = await getCover(userId, book.id);
+    return cover ? { ...book, coverUrl: coverDataUrl(cover) } : book;
+  }
+  if (!book.coverUrl?.startsWith('http')) return book;
+  try {
+    const image = await fetchCoverImage(book.coverUrl);
+    return { ...book, coverUrl: coverDataUrl({ ...image, data: image.data.toString('base64') }) };
+  } catch {
+    return book;
+  }
+}
+
+// GET /api/export?format=json|csv|markdown
+// JSON backups inline cover images unless `covers=link` is passed.
+export default async function handler(req, res) {
+  applyCors(req, res, ['GET']);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const format = req.query.format || 'json';
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    let books = await listBooks(user.id);
+    let body;
+    if (format === 'json') {
+      if (req.query.covers !== 'link') {
+        const embedded = [];
+        for (const book of books) embedded.push(await embedCover(user.id, book));
+        books = embedded;
+      }
+      body = JSON.stringify(createBackup(books), null, 2);
+    } else if (format === 'csv') {
+      body = booksToCsv(books);
+    } else {
+      body = booksToMarkdown(books);
+    }
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(format)}"`);
+    return res.status(200).send(body);
+  } catch (error) {
+    return sendError(res, error);
+  }
+}
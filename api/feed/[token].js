@@ -0,0 +1,65 @@
+import { createHash } from 'node:crypto';
+import { listBooks } from '../_lib/bookStore.js';
+import { findShare, sharedCoverUrl } from '../_lib/sharingStore.js';
+import { applyCors, requestOrigin, sendError } from '../_lib/http.js';
+import { FEED_FORMATS, feedItems, profileFeed } from '../../src/lib/feeds.js';
+import { feedPath } from '../../src/lib/sharing.js';
+
+const hash = (text) => createHash('sha256').update(text).digest('hex').slice(0, 16);
+
+// GET /api/feed/:token?format=atom|rss
+// The books finished on a public profile as a feed (see src/lib/feeds.js),
+// behind the same share link as the profile and gone with it. Atom unless
+// `format=rss` is asked for.
+export default async function handler(req, res) {
+  applyCors(req, res, ['GET']);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { token } = req.query;
+  const format = req.query.format || 'atom';
+  if (!FEED_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(FEED_FORMATS).join(', ')}` });
+  }
+
+  try {
+    const share = await findShare(token);
+    if (!share) return res.status(404).json({ error: "This profile isn't shared" });
+
+    const origin = requestOrigin(req);
+    const host = new URL(origin).hostname;
+    // Ids stay the same when the link is replaced, so subscribing again
+    // doesn't bring every book back as new
+    const idPrefix = `tag:${host},2026:${hash(share.userId)}`;
+    const items = feedItems(await listBooks(share.userId), share.sharing, {
+      idPrefix,
+      coverUrl: (book) => sharedCoverUrl(token, book, origin),
+    });
+    const body = profileFeed(format, items, {
+      displayName: share.sharing.displayName.trim() || null,
+      id: `${idPrefix}:feed`,
+      profileUrl: `${origin}/shared/${token}`,
+      feedUrl: `${origin}${feedPath(token, format)}`,
+      since: share.sharing.updatedAt,
+    });
+
+    // Readers poll often; unchanged feeds cost them a 304
+    const etag = `"${hash(body)}"`;
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Robots-Tag', 'noindex');
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+    res.setHeader('Content-Type', FEED_FORMATS[format].contentType);
+    return res.status(200).send(body);
+  } catch (error) {
+    return sendError(res, error);
+  }
+}
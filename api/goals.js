@@ -0,0 +1,39 @@
+import { getGoals, saveGoals } from './_lib/goalStore.js';
+import { requireUser } from './_lib/auth.js';
+import { applyCors, getExpectedVersion, sendError, setETag } from './_lib/http.js';
+
+// GET /api/goals, and PUT /api/goals with `{ goals }` to replace them all.
+// Writes need the version last read, as `If-Match` or in the body; a user
+// with no goals yet is at version 0.
+export default async function handler(req, res) {
+  applyCors(req, res, ['GET', 'PUT']);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    if (req.method === 'GET') {
+      const record = await getGoals(user.id);
+      setETag(res, record);
+      return res.status(200).json(record);
+    }
+
+    if (req.method === 'PUT') {
+      const expectedVersion = getExpectedVersion(req);
+      if (expectedVersion === null) {
+        return res.status(428).json({ error: 'Send If-Match or a version to modify goals' });
+      }
+      const record = await saveGoals(user.id, expectedVersion, req.body?.goals);
+      setETag(res, record);
+      return res.status(200).json(record);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    return sendError(res, error);
+  }
+}
@@ -0,0 +1,38 @@
+import { restoreLibrary } from './_lib/bookStore.js';
+import { requireUser } from './_lib/auth.js';
+import { applyCors, sendError } from './_lib/http.js';
+import { BackupFormatError, readBackup } from '../src/lib/backup.js';
+
+const MODES = ['merge', 'replace'];
+
+// POST /api/restore?mode=merge|replace with a JSON backup as the body
+export default async function handler(req, res) {
+  applyCors(req, res, ['POST']);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const mode = req.query.mode || 'merge';
+  if (!MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of ${MODES.join(', ')}` });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const books = readBackup(req.body);
+    const summary = await restoreLibrary(user.id, books, mode);
+    return res.status(200).json(summary);
+  } catch (error) {
+    if (error instanceof BackupFormatError) {
+      return res.status(400).json({ error: error.message });
+    }
+    return sendError(res, error);
+  }
+}
@@ -0,0 +1,54 @@
+import { listBooks } from '../_lib/bookStore.js';
+import { getCover } from '../_lib/coverStore.js';
+import { findShare, sharedCoverUrl } from '../_lib/sharingStore.js';
+import { applyCors, sendError } from '../_lib/http.js';
+import { publicProfile } from '../../src/lib/sharing.js';
+
+// GET /api/shared/:token           the public profile behind a share link
+// GET /api/shared/:token?cover=:id  the cached cover of a book on it
+//
+// No sign-in is needed; the token is the only key, and it stops working as
+// soon as its owner turns sharing off or asks for a new link.
+export default async function handler(req, res) {
+  applyCors(req, res, ['GET']);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { token, cover } = req.query;
+
+  try {
+    const share = await findShare(token);
+    if (!share) return res.status(404).json({ error: "This profile isn't shared" });
+
+    const coverUrl = (book) => sharedCoverUrl(token, book);
+    const profile = publicProfile(await listBooks(share.userId), share.sharing, { coverUrl });
+
+    if (cover !== undefined) {
+      const shown = [...profile.finished, ...(profile.tbr || [])].some(book => String(book.id) === cover);
+      const record = shown && await getCover(share.userId, cover);
+      if (!record) return res.status(404).json({ error: 'No cover for this book' });
+      // Checked with us on every use, so revoking the link hides covers at
+      // once too; the ETag keeps that check cheap while the link stands
+      res.setHeader('Cache-Control', 'private, no-cache');
+      res.setHeader('ETag', `"${record.hash}"`);
+      if (req.headers['if-none-match'] === `"${record.hash}"`) {
+        return res.status(304).end();
+      }
+      res.setHeader('Content-Type', record.contentType);
+      return res.status(200).send(Buffer.from(record.data, 'base64'));
+    }
+
+    // Always fetched fresh, so a revoked link stops showing anything at once
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Robots-Tag', 'noindex');
+    return res.status(200).json(profile);
+  } catch (error) {
+    return sendError(res, error);
+  }
+}
@@ -0,0 +1,46 @@
+import { getSharing, rotateShareToken, saveSharing } from './_lib/sharingStore.js';
+import { requireUser } from './_lib/auth.js';
+import { applyCors, getExpectedVersion, sendError, setETag } from './_lib/http.js';
+
+// GET /api/sharing, and PUT /api/sharing with `{ settings }` to change the
+// public profile settings (see src/lib/sharing.js). Writes need the version
+// last read, as `If-Match` or in the body. POST /api/sharing issues a new
+// share link, revoking the old one.
+export default async function handler(req, res) {
+  applyCors(req, res, ['GET', 'PUT', 'POST']);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    if (req.method === 'GET') {
+      const record = await getSharing(user.id);
+      setETag(res, record);
+      return res.status(200).json(record);
+    }
+
+    if (req.method === 'PUT') {
+      const expectedVersion = getExpectedVersion(req);
+      if (expectedVersion === null) {
+        return res.status(428).json({ error: 'Send If-Match or a version to modify sharing settings' });
+      }
+      const record = await saveSharing(user.id, expectedVersion, req.body?.settings);
+      setETag(res, record);
+      return res.status(200).json(record);
+    }
+
+    if (req.method === 'POST') {
+      const record = await rotateShareToken(user.id);
+      setETag(res, record);
+      return res.status(200).json(record);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    return sendError(res, error);
+  }
+}
@@ -0,0 +1,32 @@
+import { listBooks } from './_lib/bookStore.js';
+import { listSnapshots, takeSnapshot } from './_lib/snapshotStore.js';
+import { requireUser } from './_lib/auth.js';
+import { applyCors, sendError } from './_lib/http.js';
+
+// GET /api/snapshots lists the saved copies of the library, newest first;
+// POST /api/snapshots takes one now.
+export default async function handler(req, res) {
+  applyCors(req, res, ['GET', 'POST']);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    if (req.method === 'GET') {
+      return res.status(200).json(await listSnapshots(user.id));
+    }
+
+    if (req.method === 'POST') {
+      const snapshot = await takeSnapshot(user.id, await listBooks(user.id), 'manual');
+      return res.status(201).json(snapshot);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    return sendError(res, error);
+  }
+}
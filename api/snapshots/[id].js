@@ -0,0 +1,36 @@
+import { NotFoundError, restoreSnapshot } from '../_lib/bookStore.js';
+import { getSnapshot } from '../_lib/snapshotStore.js';
+import { requireUser } from '../_lib/auth.js';
+import { applyCors, sendError } from '../_lib/http.js';
+
+// GET /api/snapshots/:id returns a snapshot with its books; POST restores
+// it, replacing the library (which is snapshotted first).
+export default async function handler(req, res) {
+  applyCors(req, res, ['GET', 'POST']);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const { id } = req.query;
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    if (req.method === 'GET') {
+      const snapshot = await getSnapshot(user.id, id);
+      if (!snapshot) throw new NotFoundError(id, `Snapshot ${id} not found`);
+      return res.status(200).json(snapshot);
+    }
+
+    if (req.method === 'POST') {
+      const summary = await restoreSnapshot(user.id, id);
+      return res.status(200).json(summary);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    return sendError(res, error);
+  }
+}
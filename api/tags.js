@@ -0,0 +1,39 @@
+import { getTagSettings, saveTagSettings } from './_lib/tagStore.js';
+import { requireUser } from './_lib/auth.js';
+import { applyCors, getExpectedVersion, sendError, setETag } from './_lib/http.js';
+
+// GET /api/tags, and PUT /api/tags with `{ tags }` to replace the tag
+// settings. The tags themselves are saved on books through /api/books.
+// Writes need the version last read, as `If-Match` or in the body.
+export default async function handler(req, res) {
+  applyCors(req, res, ['GET', 'PUT']);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    if (req.method === 'GET') {
+      const record = await getTagSettings(user.id);
+      setETag(res, record);
+      return res.status(200).json(record);
+    }
+
+    if (req.method === 'PUT') {
+      const expectedVersion = getExpectedVersion(req);
+      if (expectedVersion === null) {
+        return res.status(428).json({ error: 'Send If-Match or a version to modify tags' });
+      }
+      const record = await saveTagSettings(user.id, expectedVersion, req.body?.tags);
+      setETag(res, record);
+      return res.status(200).json(record);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    return sendError(res, error);
+  }
+}
@@ -0,0 +1,212 @@
+import { createServer } from 'node:http';
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { extname, join, relative, resolve, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { STORAGE_BACKENDS, storageBackend } from './api/_lib/storage.js';
+
+// Runs the whole app without Vercel: the built client from dist/ and the
+// /api handlers, routed the way Vercel routes them (api/books/[id].js
+// answers /api/books/:id). Build first, then start:
+//
+//   npm run build && npm start
+//
+// Settings come from the environment:
+//   PORT                where to listen (3000)
+//   STORAGE_BACKEND     'file' (the default here), 'sqlite' (Node 22.13 or
+//                       later) or 'vercel-kv'
+//   STORAGE_PATH        the data file, under data/ unless given
+//   LEGACY_OWNER_EMAIL  the account that takes over the library from before
+//                       accounts existed (none, unless set)
+//
+// Sign-in cookies are marked Secure, which browsers honour on localhost but
+// nowhere else over plain HTTP, so put HTTPS in front of it when it's
+// reached from other machines.
+
+const ROOT = fileURLToPath(new URL('.', import.meta.url));
+const API_DIR = join(ROOT, 'api');
+const DIST_DIR = join(ROOT, 'dist');
+
+// Vercel's limit, so what works here works there
+const MAX_BODY_BYTES = 4.5 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8',
+  '.woff2': 'font/woff2',
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+function decodePath(path) {
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    throw new HttpError(400, 'Malformed URL');
+  }
+}
+
+// Every handler file under api/, except the helpers in _-prefixed folders,
+// as a list of path segments where `[name]` matches any one segment.
+// Fixed segments win over parameters, as on Vercel.
+async function findRoutes(dir = API_DIR) {
+  const routes = [];
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('_') || entry.name.startsWith('.')) continue;
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      routes.push(...await findRoutes(path));
+    } else if (entry.name.endsWith('.js')) {
+      const segments = relative(API_DIR, path).slice(0, -'.js'.length).split(sep);
+      if (segments.at(-1) === 'index') segments.pop();
+      routes.push({ file: path, segments });
+    }
+  }
+  const params = (route) => route.segments.filter(segment => segment.startsWith('[')).length;
+  return routes.sort((a, b) => params(a) - params(b));
+}
+
+function matchRoute(routes, segments) {
+  for (const route of routes) {
+    if (route.segments.length !== segments.length) continue;
+    const params = {};
+    const matches = route.segments.every((segment, i) => {
+      const param = segment.match(/^\[(\w+)\]$/);
+      if (param) params[param[1]] = segments[i];
+      return param || segment === segments[i];
+    });
+    if (matches) return { route, params };
+  }
+  return null;
+}
+
+const handlers = new Map();
+
+function loadHandler(file) {
+  if (!handlers.has(file)) {
+    handlers.set(file, import(pathToFileURL(file).href).then(module => module.default));
+  }
+  return handlers.get(file);
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, 'Request body is too large');
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) return undefined;
+  if (!(req.headers['content-type'] || '').includes('application/json')) return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new HttpError(400, 'Invalid JSON');
+  }
+}
+
+// The parts of Vercel's request and response helpers the handlers use
+function withHelpers(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    return res.end(JSON.stringify(body));
+  };
+  res.send = (body) => {
+    if (Buffer.isBuffer(body)) {
+      if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/octet-stream');
+      return res.end(body);
+    }
+    if (typeof body === 'object' && body !== null) return res.json(body);
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.end(String(body ?? ''));
+  };
+  return res;
+}
+
+async function handleApi(routes, req, res, url) {
+  const segments = url.pathname.slice('/api/'.length).split('/').filter(Boolean).map(decodePath);
+  const match = matchRoute(routes, segments);
+  if (!match) throw new HttpError(404, 'Not found');
+
+  req.query = { ...Object.fromEntries(url.searchParams), ...match.params };
+  req.body = await readBody(req);
+  // Handlers build links from the forwarded protocol, as set by Vercel
+  req.headers['x-forwarded-proto'] ??= req.socket.encrypted ? 'https' : 'http';
+
+  const handler = await loadHandler(match.route.file);
+  await handler(req, res);
+}
+
+// Files from dist/, and index.html for every other path so the client's
+// router can take it from there
+async function handleStatic(req, res, url) {
+  let path = resolve(DIST_DIR, `.${decodePath(url.pathname)}`);
+  if (!path.startsWith(DIST_DIR + sep)) path = join(DIST_DIR, 'index.html');
+
+  let info = await stat(path).catch(() => null);
+  if (!info?.isFile()) {
+    path = join(DIST_DIR, 'index.html');
+    info = await stat(path).catch(() => null);
+    if (!info) throw new HttpError(404, 'No build found. Run `npm run build` first.');
+  }
+
+  res.setHeader('Content-Type', CONTENT_TYPES[extname(path)] || 'application/octet-stream');
+  // Built assets have a content hash in their name; everything else may change
+  res.setHeader('Cache-Control', path.startsWith(join(DIST_DIR, 'assets') + sep)
+    ? 'public, max-age=31536000, immutable'
+    : 'no-cache');
+  res.end(req.method === 'HEAD' ? undefined : await readFile(path));
+}
+
+async function main() {
+  process.env.STORAGE_BACKEND ??= 'file';
+  if (!STORAGE_BACKENDS[storageBackend()]) {
+    console.error(`STORAGE_BACKEND must be one of ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+    process.exit(1);
+  }
+
+  const routes = await findRoutes();
+  const port = Number(process.env.PORT) || 3000;
+
+  const server = createServer(async (req, res) => {
+    withHelpers(res);
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+        await handleApi(routes, req, res, url);
+      } else {
+        await handleStatic(req, res, url);
+      }
+    } catch (error) {
+      if (res.headersSent) return res.end();
+      if (error instanceof HttpError) return res.status(error.status).json({ error: error.message });
+      console.error('Server Error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  server.listen(port, () => {
+    console.log(`Reading Journal on http://localhost:${port} (storage: ${storageBackend()})`);
+  });
+}
+
+main();
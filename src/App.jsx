@@ -1,160 +1,478 @@
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useCallback, useMemo, useSyncExternalStore } from 'react'
+
+import * as authApi from './lib/authApi'
+import {
+  MAX_AUTHOR_LENGTH,
+  MAX_DNF_REASON_LENGTH,
+  MAX_PAGE_COUNT,
+  MAX_SERIES_LENGTH,
+  MAX_SERIES_NUMBER,
+  MAX_TITLE_LENGTH,
+  SCHEMA_VERSION,
+  validateBook,
+  withDefaults,
+} from './lib/bookSchema'
+import { createSyncEngine } from './lib/syncEngine'
+import { STATUS_LABELS, formatDate, progressPercent, statusChange, statusTimeline, today } from './lib/readingStatus'
+import ImportBooksDialog from './components/ImportBooksDialog'
+import BackupDialog from './components/BackupDialog'
+import StatsView from './components/StatsView'
+import TrashView from './components/TrashView'
+import SeriesView from './components/SeriesView'
+import AuthorView from './components/AuthorView'
+import UndoToast from './components/UndoToast'
+import TbrQueue from './components/TbrQueue'
+import NextReadDialog from './components/NextReadDialog'
+import SharingDialog from './components/SharingDialog'
+import PublicProfile from './components/PublicProfile'
+import { moveUpdates, sortByPriority } from './lib/tbrQueue'
+import DuplicatesView from './components/DuplicatesView'
+import { findDuplicates } from './lib/bookMatching'
+import { mergeBooks, mergeErrors } from './lib/mergeBooks'
+import GoalsDialog, { GoalProgressBar } from './components/GoalsDialog'
+import { goalProgress, paceLabel } from './lib/goals'
+import { useGoals } from './lib/useGoals'
+import { useTagSettings } from './lib/useTagSettings'
+import { listTags } from './lib/tags'
+import TagsDialog from './components/TagsDialog'
+import { BookTags, TagChip } from './components/Tags'
+import Journal from './components/Journal'
+import Markdown from './components/Markdown'
+import { entriesDuring, quoteCount, sortEntries } from './lib/journal'
+import { timesRead } from './lib/reads'
+import { DEFAULT_QUERY, filterBooks, isFiltered } from './lib/librarySearch'
+import { useLibraryQuery } from './lib/useLibraryQuery'
+import { moveCardFocus, useKeyboardShortcuts } from './lib/useKeyboardShortcuts'
+import LibraryFilters from './components/LibraryFilters'
+import MetadataPicker from './components/MetadataPicker'
+import { candidateDetails, lookupIsbn, normalizeIsbn } from './lib/metadata'
+import * as booksApi from './lib/booksApi'
+import { createCoverQueue } from './lib/coverQueue'
+import { readCoverImage } from './lib/coverImage'
+import Link from './components/Link'
+import Dialog from './components/Dialog'
+import StarRating from './components/StarRating'
+import { authorPath, bookPath, matchRoute, navigate, seriesPath, shelfPath, tagPath, useLocation } from './lib/router'
+import { listSeries, seriesLabel } from './lib/series'
 
 const STORAGE_KEY = 'reading-journal-books'
-const API_URL = '/api/books'
-
-// Fetch book cover from Open Library API
-async function fetchBookCover(title, author) {
-  try {
-    const query = encodeURIComponent(`${title} ${author}`)
-    const res = await fetch(`https://openlibrary.org/search.json?q=${query}&limit=1`)
-    if (res.ok) {
-      const data = await res.json()
-      if (data.docs && data.docs.length > 0) {
-        const book = data.docs[0]
-        if (book.cover_i) {
-          return `https://covers.openlibrary.org/b/id/${book.cover_i}-M.jpg`
-        }
-      }
+
+// The routes that show the library itself, with its search and add button
+const LIBRARY_ROUTES = ['library', 'shelf', 'tag']
+
+function App() {
+  // Someone signed in before opens straight into their library, from the
+  // copy kept on this device, while the session is checked. If the server
+  // can't be reached they stay in it, offline.
+  const [session, setSession] = useState(() => {
+    const user = authApi.rememberedUser()
+    return user ? { status: 'signedIn', user } : { status: 'checking' }
+  })
+  const location = useLocation()
+  const route = matchRoute(location.pathname)
+
+  const checkSession = useCallback(() => {
+    authApi.getSessionUser().then(
+      (user) => {
+        if (user === undefined) setSession(current => (current.status === 'checking' ? { status: 'local' } : current))
+        else if (user) setSession(current => (current.user?.id === user.id ? current : { status: 'signedIn', user }))
+        else setSession({ status: 'signedOut' })
+      },
+      (err) => setSession(current => (current.status === 'checking' ? { status: 'unreachable', error: err.message } : current)),
+    )
+  }, [])
+
+  useEffect(checkSession, [checkSession])
+
+  const retrySession = () => {
+    setSession({ status: 'checking' })
+    checkSession()
+  }
+
+  const expireSession = useCallback(() => setSession({ status: 'signedOut' }), [])
+
+  // Signed out here either way; if the server couldn't be told, the session
+  // lives on there until it expires, which the user should know
+  const handleSignOut = async () => {
+    try {
+      await authApi.signOut()
+      setSession({ status: 'signedOut' })
+    } catch (err) {
+      setSession({
+        status: 'signedOut',
+        notice: `Signed out on this device, but the server session could not be ended (${err.message}). Sign in and out again to end it.`,
+      })
     }
-  } catch {
-    // Silently fail - cover is optional
   }
-  return null
+
+  // Shared profiles are public: no session needed, and the visitor's own
+  // library (if any) stays out of it
+  if (route.name === 'shared') {
+    return <PublicProfile token={route.token} />
+  }
+
+  if (session.status === 'checking') {
+    return (
+      <div className="min-h-screen bg-cream flex items-center justify-center">
+        <div className="text-charcoal-light text-lg">Loading your library...</div>
+      </div>
+    )
+  }
+
+  if (session.status === 'unreachable') {
+    return (
+      <div className="min-h-screen bg-cream flex items-center justify-center px-4">
+        <div role="alert" className="text-center max-w-md">
+          <p className="text-charcoal-light text-lg mb-2">Couldn't check whether you're signed in.</p>
+          <p className="text-sm text-red-600 mb-6">{session.error}</p>
+          <button
+            onClick={retrySession}
+            className="px-4 py-2 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors"
+          >
+            Try again
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  if (session.status === 'signedOut') {
+    return <AuthScreen notice={session.notice} onSignedIn={(user) => setSession({ status: 'signedIn', user })} />
+  }
+
+  return (
+    <Library
+      key={session.user?.id ?? 'local'}
+      user={session.user}
+      onSignOut={handleSignOut}
+      onSessionExpired={expireSession}
+    />
+  )
 }
 
-function App() {
-  const [books, setBooks] = useState([])
+function AuthScreen({ notice, onSignedIn }) {
+  const [mode, setMode] = useState('signin')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+
+  const isSignUp = mode === 'signup'
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError(null)
+    setSubmitting(true)
+    try {
+      const user = isSignUp
+        ? await authApi.signUp(email, password)
+        : await authApi.signIn(email, password)
+      onSignedIn(user)
+    } catch (err) {
+      setError(err.message)
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-cream flex flex-col">
+      <header className="bg-charcoal text-cream py-8 px-4 shadow-lg">
+        <h1 className="text-3xl md:text-4xl font-light tracking-wide text-center">
+          Personal Library
+        </h1>
+        <p className="text-cream-dark text-center mt-2 text-sm tracking-widest uppercase">
+          Reading Journal
+        </p>
+      </header>
+
+      <main className="flex-1 flex items-start justify-center px-4 py-12">
+        <div className="bg-cream-dark rounded-lg shadow-sm max-w-md w-full p-6">
+          <h2 className="text-xl font-light text-charcoal mb-6 border-b border-charcoal-lighter pb-2">
+            {isSignUp ? 'Create an Account' : 'Sign In'}
+          </h2>
+          {notice && <p role="alert" className="text-sm text-red-600 mb-4">{notice}</p>}
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm text-charcoal-light mb-1">Email</label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="w-full px-4 py-2 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal transition-colors"
+                autoComplete="email"
+                autoFocus
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-charcoal-light mb-1">Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full px-4 py-2 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal transition-colors"
+                autoComplete={isSignUp ? 'new-password' : 'current-password'}
+                minLength={isSignUp ? 8 : undefined}
+                required
+              />
+            </div>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <button
+              type="submit"
+              disabled={submitting}
+              className="w-full px-4 py-2 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors disabled:opacity-60"
+            >
+              {isSignUp ? 'Sign Up' : 'Sign In'}
+            </button>
+          </form>
+          <p className="text-sm text-charcoal-lighter text-center mt-6">
+            {isSignUp ? 'Already have an account?' : 'New here?'}{' '}
+            <button
+              onClick={() => {
+                setMode(isSignUp ? 'signin' : 'signup')
+                setError(null)
+              }}
+              className="text-accent hover:underline"
+            >
+              {isSignUp ? 'Sign in' : 'Create an account'}
+            </button>
+          </p>
+        </div>
+      </main>
+    </div>
+  )
+}
+
+function Library({ user, onSignOut, onSessionExpired }) {
+  const [sync] = useState(() => createSyncEngine({
+    storageKey: user ? `${STORAGE_KEY}:${user.id}` : STORAGE_KEY,
+    remote: Boolean(user),
+  }))
+  const [coverQueue] = useState(() => createCoverQueue({
+    storageKey: user ? `${STORAGE_KEY}:${user.id}` : STORAGE_KEY,
+    remote: Boolean(user),
+    getBook: (id) => sync.getSnapshot().books.find(b => b.id === id),
+    onCover: (id, coverUrl) => sync.update(id, { coverUrl }),
+  }))
+  const syncState = useSyncExternalStore(sync.subscribe, sync.getSnapshot)
+  const { books: allBooks, loaded } = syncState
+  // Deleted books wait in the trash, out of everything else. The same list
+  // until the books change, so views can memoize on it.
+  const books = useMemo(() => allBooks.filter(book => !book.deletedAt), [allBooks])
+  const trash = allBooks.filter(book => book.deletedAt)
+  const { goals, saveGoals } = useGoals({
+    storageKey: user ? `${STORAGE_KEY}:${user.id}` : STORAGE_KEY,
+    remote: Boolean(user),
+    onUnauthorized: onSessionExpired,
+  })
+  const { tagSettings, saveTagSettings } = useTagSettings({
+    storageKey: user ? `${STORAGE_KEY}:${user.id}` : STORAGE_KEY,
+    remote: Boolean(user),
+    onUnauthorized: onSessionExpired,
+  })
   const [showAddForm, setShowAddForm] = useState(false)
+  const [showImport, setShowImport] = useState(false)
+  const [showBackup, setShowBackup] = useState(false)
+  const [showGoals, setShowGoals] = useState(false)
+  const [showTags, setShowTags] = useState(false)
+  const [showNextRead, setShowNextRead] = useState(false)
+  const [showSharing, setShowSharing] = useState(false)
+  const location = useLocation()
+  const route = matchRoute(location.pathname)
+  const [query, setQuery] = useLibraryQuery()
   const [editingBook, setEditingBook] = useState(null)
   const [editingBookDetails, setEditingBookDetails] = useState(null)
-  const [loading, setLoading] = useState(true)
-  const [syncing, setSyncing] = useState(false)
-  const isInitialLoad = useRef(true)
+  const [undo, setUndo] = useState(null)
+  const dismissUndo = useCallback(() => setUndo(null), [])
+  const [announcement, setAnnouncement] = useState(null)
 
-  // Load books from API on mount
-  useEffect(() => {
-    async function loadBooks() {
-      try {
-        const res = await fetch(API_URL)
-        if (res.ok) {
-          const data = await res.json()
-          setBooks(data)
-        } else {
-          // Fallback to localStorage
-          const saved = localStorage.getItem(STORAGE_KEY)
-          if (saved) setBooks(JSON.parse(saved))
-        }
-      } catch {
-        // Fallback to localStorage for local dev
-        const saved = localStorage.getItem(STORAGE_KEY)
-        if (saved) setBooks(JSON.parse(saved))
-      } finally {
-        setLoading(false)
-        isInitialLoad.current = false
-      }
-    }
-    loadBooks()
-  }, [])
+  // Read out by screen readers. Each one replaces the last, so the same
+  // message twice running is still read twice.
+  const announce = (message) => setAnnouncement(previous => ({ id: (previous?.id ?? 0) + 1, message }))
 
-  // Fetch covers for books that don't have them
-  useEffect(() => {
-    if (loading) return
-
-    const booksWithoutCovers = books.filter(b => !b.coverUrl)
-    if (booksWithoutCovers.length === 0) return
-
-    // Fetch covers one at a time to avoid rate limiting
-    async function fetchCovers() {
-      for (const book of booksWithoutCovers) {
-        const coverUrl = await fetchBookCover(book.title, book.author)
-        if (coverUrl) {
-          setBooks(prev => prev.map(b => b.id === book.id ? { ...b, coverUrl } : b))
-        }
-      }
-    }
-    fetchCovers()
-  }, [loading]) // Only run once after initial load
+  useKeyboardShortcuts({
+    n: () => {
+      if (!LIBRARY_ROUTES.includes(route.name)) navigate('/')
+      setShowAddForm(true)
+    },
+    '/': () => document.getElementById('library-search')?.focus(),
+    j: () => moveCardFocus(1),
+    k: () => moveCardFocus(-1),
+  })
 
-  // Save books to API when changed
-  useEffect(() => {
-    if (isInitialLoad.current) return
+  useEffect(() => sync.start({ onUnauthorized: onSessionExpired }), [sync, onSessionExpired])
 
-    // Always save to localStorage as backup
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(books))
+  useEffect(() => coverQueue.start(), [coverQueue])
 
-    // Save to API
-    async function saveBooks() {
-      setSyncing(true)
-      try {
-        await fetch(API_URL, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(books)
-        })
-      } catch {
-        // Silently fail - localStorage backup exists
-      } finally {
-        setSyncing(false)
-      }
-    }
-    saveBooks()
-  }, [books])
+  // Look for covers for books that don't have them
+  useEffect(() => {
+    if (!loaded) return
+    coverQueue.enqueue(sync.getSnapshot().books)
+  }, [loaded, sync, coverQueue]) // Only run once after initial load
 
-  const addBook = async (book) => {
-    const newBook = { ...book, id: Date.now(), status: 'tbr', coverUrl: null }
-    setBooks([...books, newBook])
+  const addBook = (book) => {
+    const newBook = {
+      ...withDefaults({ id: Date.now(), status: 'tbr', ...book }),
+      schemaVersion: SCHEMA_VERSION,
+    }
+    sync.create(newBook)
     setShowAddForm(false)
+    coverQueue.enqueue([newBook])
+    announce(`Added "${newBook.title}" to ${STATUS_LABELS[newBook.status]}`)
+  }
 
-    // Fetch cover in background
-    const coverUrl = await fetchBookCover(book.title, book.author)
-    if (coverUrl) {
-      setBooks(prev => prev.map(b => b.id === newBook.id ? { ...b, coverUrl } : b))
-    }
+  const importBooks = (newBooks) => {
+    newBooks.forEach(book => sync.create(book))
+    setShowImport(false)
+    coverQueue.enqueue(newBooks)
+  }
+
+  // Applies `[id, updates]` changes to books and offers to put back what
+  // they replace
+  const updateManyWithUndo = (changes, message) => {
+    const previous = changes.map(([id, updates]) => {
+      const book = allBooks.find(b => b.id === id)
+      return [id, Object.fromEntries(Object.keys(updates).map(field => [field, book[field] ?? null]))]
+    })
+    changes.forEach(([id, updates]) => sync.update(id, updates))
+    setUndo({ previous, message })
+  }
+
+  const updateWithUndo = (id, updates, message) => updateManyWithUndo([[id, updates]], message)
+
+  const undoLast = () => {
+    undo.previous.forEach(([id, fields]) => sync.update(id, fields))
+    setUndo(null)
   }
 
-  const updateBookDetails = async (id, updates) => {
-    setBooks(books.map(book =>
-      book.id === id ? { ...book, ...updates, coverUrl: null } : book
-    ))
+  // Editing details keeps the cover unless a picked edition brings a new
+  // one; a book without one gets looked up again under its new details
+  const updateBookDetails = (id, updates) => {
+    const book = allBooks.find(b => b.id === id)
     setEditingBookDetails(null)
+    updateWithUndo(id, updates, `Saved changes to "${book.title}"`)
+    coverQueue.enqueue([{ ...book, ...updates }])
+  }
 
-    // Fetch new cover if title or author changed
-    const book = books.find(b => b.id === id)
-    const newTitle = updates.title || book.title
-    const newAuthor = updates.author || book.author
-    const coverUrl = await fetchBookCover(newTitle, newAuthor)
-    if (coverUrl) {
-      setBooks(prev => prev.map(b => b.id === id ? { ...b, coverUrl } : b))
+  // Covers chosen by hand, `{ dataUrl }` from an upload or `{ url }`. When
+  // signed in they're stored in the server's cover cache.
+  const setCover = async (id, source) => {
+    if (!user) {
+      sync.update(id, { coverUrl: source.dataUrl || source.url })
+      return
+    }
+    try {
+      const { coverUrl } = await booksApi.cacheCover(id, source)
+      sync.update(id, { coverUrl })
+    } catch (err) {
+      if (err instanceof booksApi.NotFoundError) {
+        throw new Error("This book hasn't synced yet. Try again in a moment.")
+      }
+      throw err
     }
   }
 
-  const moveToFinished = (id) => {
-    setBooks(books.map(book =>
-      book.id === id ? { ...book, status: 'finished', rating: 0, notes: '' } : book
-    ))
+  // Removing a cover also stops us finding one for the book again
+  const removeCover = (id) => {
+    coverQueue.skip(allBooks.find(b => b.id === id))
+    sync.update(id, { coverUrl: null })
+    if (!user) return
+    booksApi.deleteCover(id).catch((err) => {
+      sync.reportError(`The cover was removed, but its saved copy couldn't be deleted: ${err.message}`)
+    })
   }
 
-  const moveToTBR = (id) => {
-    setBooks(books.map(book =>
-      book.id === id ? { ...book, status: 'tbr', rating: undefined, notes: undefined } : book
-    ))
+  // Moving a book back to the TBR clears its progress, so it can be undone;
+  // the undo note is read out like the announcement for other moves
+  const changeStatus = (id, status, options) => {
+    const book = allBooks.find(b => b.id === id)
+    if (status === 'tbr') {
+      updateWithUndo(id, statusChange(book, status, options), `Moved "${book.title}" back to ${STATUS_LABELS.tbr}`)
+    } else {
+      sync.update(id, statusChange(book, status, options))
+      announce(`Moved "${book.title}" to ${STATUS_LABELS[status]}`)
+    }
   }
 
   const updateBook = (id, updates) => {
-    setBooks(books.map(book =>
-      book.id === id ? { ...book, ...updates } : book
-    ))
+    sync.update(id, updates)
   }
 
   const deleteBook = (id) => {
-    setBooks(books.filter(book => book.id !== id))
+    const book = allBooks.find(b => b.id === id)
+    updateWithUndo(id, { deletedAt: new Date().toISOString() }, `Moved "${book.title}" to the trash`)
+  }
+
+  const restoreBook = (id) => {
+    sync.update(id, { deletedAt: null })
   }
 
-  const tbrBooks = books.filter(book => book.status === 'tbr')
-  const finishedBooks = books.filter(book => book.status === 'finished')
+  const deleteForever = (id) => {
+    sync.remove(id)
+  }
+
+  // Merges a duplicate into the book added first and moves it to the trash;
+  // see mergeBooks. A cover cached for the duplicate would go when it's
+  // deleted for good, so it's copied to the book that stays.
+  const mergeDuplicates = async (keptId, otherId, choices) => {
+    const kept = allBooks.find(b => b.id === keptId)
+    const other = allBooks.find(b => b.id === otherId)
+    const errors = mergeErrors(kept, other, choices)
+    if (errors.length > 0) {
+      sync.reportError(`"${other.title}" wasn't merged: ${errors.join('; ')}`)
+      return
+    }
+    const updates = mergeBooks(kept, other, choices)
+    const copyCover = user && choices.coverUrl === 'other' && other.coverUrl?.startsWith('/api/covers/')
+    if (copyCover) updates.coverUrl = kept.coverUrl
+
+    updateManyWithUndo(
+      [[keptId, updates], [otherId, { deletedAt: new Date().toISOString() }]],
+      `Merged "${other.title}" into "${updates.title}"`,
+    )
+    if (copyCover) {
+      try {
+        const image = await (await fetch(other.coverUrl)).blob()
+        await setCover(keptId, { dataUrl: await readCoverImage(image) })
+      } catch {
+        // The kept book keeps its own cover
+      }
+    }
+  }
+
+  // Reordering the TBR queue; see moveUpdates
+  const moveInQueue = (id, index) => {
+    const queue = sortByPriority(books.filter(book => book.status === 'tbr'))
+    moveUpdates(queue, id, index).forEach(({ id, priority }) => sync.update(id, { priority }))
+  }
+
+  // Tag renames and deletes, one update per affected book
+  const updateBooks = (updates) => {
+    updates.forEach(({ id, ...changes }) => sync.update(id, changes))
+  }
+
+  const tags = listTags(books, tagSettings)
+
+  // A tag's page is the library filtered to that tag, on top of any other
+  // filters picked there
+  const libraryQuery = route.name === 'tag'
+    ? { ...query, tags: [...new Set([route.tag, ...query.tags])] }
+    : query
+  const filtering = isFiltered(libraryQuery)
+  const visibleBooks = filterBooks(books, libraryQuery)
+  const showSection = (status) =>
+    (route.name !== 'shelf' || route.status === status) &&
+    (query.statuses.length === 0 || query.statuses.includes(status))
+  const readingBooks = visibleBooks.filter(book => book.status === 'reading')
+  // The TBR shows in queue order unless another sort is picked, and can be
+  // reordered when nothing is hiding part of the queue
+  const queueOrder = query.sort === DEFAULT_QUERY.sort && !query.descending
+  const tbrBooks = visibleBooks.filter(book => book.status === 'tbr')
+  const tbrList = queueOrder ? sortByPriority(tbrBooks) : tbrBooks
+  const finishedBooks = visibleBooks.filter(book => book.status === 'finished')
+  const dnfBooks = visibleBooks.filter(book => book.status === 'dnf')
 
-  if (loading) {
+  if (!syncState.ready) {
     return (
       <div className="min-h-screen bg-cream flex items-center justify-center">
         <div className="text-charcoal-light text-lg">Loading your library...</div>
@@ -171,186 +489,843 @@ function App() {
           </h1>
           <p className="text-cream-dark text-center mt-2 text-sm tracking-widest uppercase">
             Reading Journal
-            {syncing && <span className="ml-2 text-xs opacity-70">(syncing...)</span>}
+            <SyncStatus state={syncState} />
           </p>
+          <YearGoal goals={goals} books={books} onOpen={() => setShowGoals(true)} />
+          {user && (
+            <div className="flex items-center justify-center gap-3 mt-3 text-xs text-cream-dark">
+              <span>{user.email}</span>
+              <button onClick={() => setShowSharing(true)} className="underline hover:text-cream">
+                Share
+              </button>
+              <button onClick={onSignOut} className="underline hover:text-cream">
+                Sign out
+              </button>
+            </div>
+          )}
         </div>
       </header>
 
       <main className="max-w-4xl mx-auto px-4 py-8">
-        <button
-          onClick={() => setShowAddForm(true)}
-          className="w-full md:w-auto mb-8 px-6 py-3 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors duration-200 flex items-center justify-center gap-2"
-        >
-          <span className="text-xl">+</span>
-          <span>Add New Book</span>
-        </button>
+        {syncState.lastError && (
+          <div className="mb-6 px-4 py-3 bg-red-100 text-red-800 rounded flex items-center justify-between gap-4 text-sm">
+            <span>{syncState.lastError}</span>
+            <div className="flex gap-3">
+              {syncState.connection === 'error' && (
+                <button onClick={sync.retry} className="hover:text-red-900 underline">
+                  Retry now
+                </button>
+              )}
+              <button onClick={sync.dismissError} className="hover:text-red-900">
+                Dismiss
+              </button>
+            </div>
+          </div>
+        )}
+
+        {syncState.conflicts.map(conflict => (
+          <SyncConflict
+            key={conflict.id}
+            conflict={conflict}
+            onResolve={(choice) => sync.resolveConflict(conflict.id, choice)}
+          />
+        ))}
+
+        {showTags && (
+          <TagsDialog
+            tags={tags}
+            books={allBooks}
+            settings={tagSettings}
+            onSaveSettings={saveTagSettings}
+            onUpdateBooks={updateBooks}
+            onClose={() => setShowTags(false)}
+          />
+        )}
+
+        {showNextRead && (
+          <NextReadDialog
+            books={books}
+            onStart={(id) => {
+              changeStatus(id, 'reading')
+              setShowNextRead(false)
+            }}
+            onClose={() => setShowNextRead(false)}
+          />
+        )}
+
+        {showSharing && (
+          <SharingDialog onUnauthorized={onSessionExpired} onClose={() => setShowSharing(false)} />
+        )}
 
-        {showAddForm && (
-          <AddBookForm
-            onAdd={addBook}
-            onCancel={() => setShowAddForm(false)}
+        {showGoals && (
+          <GoalsDialog
+            goals={goals}
+            books={books}
+            onSave={saveGoals}
+            onClose={() => setShowGoals(false)}
           />
         )}
 
+        <nav className="flex flex-wrap gap-x-6 gap-y-2 mb-8 border-b border-cream-dark">
+          {[
+            ['/', 'All Books'],
+            ...['reading', 'tbr', 'finished', 'dnf'].map(status => [shelfPath(status), STATUS_LABELS[status]]),
+          ].map(([path, label]) => (
+            <NavLink key={path} to={`${path}${location.search}`} active={location.pathname === path}>
+              {label}
+            </NavLink>
+          ))}
+          {tags.filter(tag => tag.shelf).map(tag => (
+            <NavLink key={tag.name} to={tagPath(tag.name)} active={route.tag === tag.name}>
+              {tag.name}
+            </NavLink>
+          ))}
+          <NavLink to="/stats" active={route.name === 'stats'}>Stats</NavLink>
+          {trash.length > 0 && (
+            <NavLink to="/trash" active={route.name === 'trash'}>Trash ({trash.length})</NavLink>
+          )}
+        </nav>
+
         {editingBookDetails && (
           <EditBookForm
             book={editingBookDetails}
+            books={books}
             onSave={(updates) => updateBookDetails(editingBookDetails.id, updates)}
             onCancel={() => setEditingBookDetails(null)}
           />
         )}
 
-        <section className="mb-12">
-          <h2 className="text-2xl font-light text-charcoal border-b-2 border-charcoal pb-2 mb-6 flex items-center gap-3">
-            <span className="text-accent">TBR</span>
-            <span className="text-charcoal-lighter text-base font-normal">To Be Read</span>
-            <span className="ml-auto text-base text-charcoal-lighter">({tbrBooks.length})</span>
-          </h2>
-
-          {tbrBooks.length === 0 ? (
-            <p className="text-charcoal-lighter italic text-center py-8">
-              Your reading list is empty. Add some books to get started.
-            </p>
-          ) : (
-            <div className="grid gap-4">
-              {tbrBooks.map(book => (
-                <TBRBookCard
-                  key={book.id}
-                  book={book}
-                  onMoveToFinished={() => moveToFinished(book.id)}
-                  onDelete={() => deleteBook(book.id)}
-                  onEdit={() => setEditingBookDetails(book)}
-                />
-              ))}
+        {route.name === 'stats' ? (
+          <StatsView books={books} />
+        ) : route.name === 'duplicates' ? (
+          <DuplicatesView
+            books={books}
+            storageKey={user ? `${STORAGE_KEY}:${user.id}` : STORAGE_KEY}
+            onMerge={mergeDuplicates}
+          />
+        ) : route.name === 'series' ? (
+          <SeriesView books={books} name={route.series} onStart={(id) => changeStatus(id, 'reading')} />
+        ) : route.name === 'author' ? (
+          <AuthorView books={books} name={route.author} />
+        ) : route.name === 'trash' ? (
+          <TrashView
+            books={trash}
+            onRestore={restoreBook}
+            onDeleteForever={deleteForever}
+            onEmpty={() => trash.forEach(book => deleteForever(book.id))}
+          />
+        ) : route.name === 'book' ? (
+          <BookDetail
+            key={route.id}
+            book={allBooks.find(b => b.id === route.id)}
+            onUpdate={(updates) => updateBook(route.id, updates)}
+            onChangeStatus={(status, options) => changeStatus(route.id, status, options)}
+            onDelete={() => {
+              deleteBook(route.id)
+              navigate('/')
+            }}
+            onRestore={() => restoreBook(route.id)}
+            onEditDetails={() => setEditingBookDetails(allBooks.find(b => b.id === route.id))}
+            onSetCover={(source) => setCover(route.id, source)}
+            onRemoveCover={() => removeCover(route.id)}
+            tags={tags}
+            sharing={Boolean(user)}
+          />
+        ) : route.name === 'notFound' ? (
+          <div className="text-center py-16">
+            <p className="text-charcoal-light mb-4">There's nothing at this address.</p>
+            <Link to="/" className="text-accent underline">Back to your library</Link>
+          </div>
+        ) : (
+          <>
+            <div className="flex flex-col md:flex-row gap-3 mb-8">
+              <button
+                onClick={() => setShowAddForm(true)}
+                aria-keyshortcuts="n"
+                className="w-full md:w-auto px-6 py-3 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors duration-200 flex items-center justify-center gap-2"
+              >
+                <span className="text-xl">+</span>
+                <span>Add New Book</span>
+              </button>
+              <button
+                onClick={() => setShowImport(true)}
+                className="w-full md:w-auto px-6 py-3 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark transition-colors duration-200"
+              >
+                Import from Goodreads / StoryGraph
+              </button>
+              <button
+                onClick={() => setShowTags(true)}
+                className="w-full md:w-auto px-6 py-3 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark transition-colors duration-200"
+              >
+                Tags &amp; Shelves
+              </button>
+              <Link
+                to="/duplicates"
+                className="w-full md:w-auto px-6 py-3 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark transition-colors duration-200 text-center"
+              >
+                Find Duplicates
+              </Link>
+              <button
+                onClick={() => setShowBackup(true)}
+                className="w-full md:w-auto px-6 py-3 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark transition-colors duration-200"
+              >
+                Export &amp; Backup
+              </button>
             </div>
-          )}
-        </section>
 
-        <section>
-          <h2 className="text-2xl font-light text-charcoal border-b-2 border-charcoal pb-2 mb-6 flex items-center gap-3">
-            <span className="text-accent">Finished</span>
-            <span className="text-charcoal-lighter text-base font-normal">Completed Reads</span>
-            <span className="ml-auto text-base text-charcoal-lighter">({finishedBooks.length})</span>
-          </h2>
+            {showAddForm && (
+              <AddBookForm
+                books={books}
+                onAdd={addBook}
+                onCancel={() => setShowAddForm(false)}
+              />
+            )}
 
-          {finishedBooks.length === 0 ? (
-            <p className="text-charcoal-lighter italic text-center py-8">
-              No finished books yet. Start reading!
-            </p>
-          ) : (
-            <div className="grid gap-4">
-              {finishedBooks.map(book => (
-                <FinishedBookCard
-                  key={book.id}
-                  book={book}
-                  onUpdate={(updates) => updateBook(book.id, updates)}
-                  onMoveToTBR={() => moveToTBR(book.id)}
-                  onDelete={() => deleteBook(book.id)}
-                  isEditing={editingBook === book.id}
-                  onEditToggle={() => setEditingBook(editingBook === book.id ? null : book.id)}
-                  onEditDetails={() => setEditingBookDetails(book)}
-                />
-              ))}
-            </div>
-          )}
-        </section>
+            {showImport && (
+              <ImportBooksDialog
+                books={books}
+                onImport={importBooks}
+                onCancel={() => setShowImport(false)}
+              />
+            )}
+
+            {showBackup && (
+              <BackupDialog
+                books={allBooks}
+                remote={Boolean(user)}
+                onRestore={sync.restore}
+                onRestoreSnapshot={sync.restoreSnapshot}
+                onClose={() => setShowBackup(false)}
+              />
+            )}
+
+            {route.name === 'tag' && (
+              <h2 className="text-sm text-charcoal-light mb-4 flex items-center gap-2">
+                Books tagged
+                <TagChip name={route.tag} color={tags.find(tag => tag.name === route.tag)?.color} />
+                <Link to="/" className="ml-auto text-charcoal-lighter hover:text-charcoal">Show all books</Link>
+              </h2>
+            )}
+
+            <LibraryFilters
+              query={query}
+              onChange={setQuery}
+              tags={tags.filter(tag => tag.name !== route.tag)}
+              shown={visibleBooks.length}
+              total={books.length}
+            />
+
+            {showSection('reading') && (
+              <section className="mb-12">
+                <h2 className="text-2xl font-light text-charcoal border-b-2 border-charcoal pb-2 mb-6 flex items-center gap-3">
+                  <span className="text-accent">Reading</span>
+                  <span className="text-charcoal-lighter text-base font-normal">Currently Reading</span>
+                  <span className="ml-auto text-base text-charcoal-lighter">({readingBooks.length})</span>
+                </h2>
+
+                {readingBooks.length === 0 ? (
+                  <p className="text-charcoal-lighter italic text-center py-8">
+                    {filtering ? 'No matching books.' : 'Nothing on the go. Pick something from your TBR.'}
+                  </p>
+                ) : (
+                  <div className="grid gap-4">
+                    {readingBooks.map(book => (
+                      <ReadingBookCard
+                        key={book.id}
+                        book={book}
+                        onUpdate={(updates) => updateBook(book.id, updates)}
+                        onFinish={() => changeStatus(book.id, 'finished')}
+                        onAbandon={(reason) => changeStatus(book.id, 'dnf', { reason })}
+                        onMoveToTBR={() => changeStatus(book.id, 'tbr')}
+                        onDelete={() => deleteBook(book.id)}
+                        onEdit={() => setEditingBookDetails(book)}
+                        tags={tags}
+                        onTagsChange={(bookTags) => updateBook(book.id, { tags: bookTags })}
+                      />
+                    ))}
+                  </div>
+                )}
+              </section>
+            )}
+
+            {showSection('tbr') && (
+              <section className="mb-12">
+                <h2 className="text-2xl font-light text-charcoal border-b-2 border-charcoal pb-2 mb-6 flex items-center gap-3">
+                  <span className="text-accent">TBR</span>
+                  <span className="text-charcoal-lighter text-base font-normal">To Be Read</span>
+                  {tbrBooks.length > 0 && (
+                    <button onClick={() => setShowNextRead(true)} className="ml-auto text-sm text-accent hover:underline">
+                      What should I read next?
+                    </button>
+                  )}
+                  <span className={`${tbrBooks.length > 0 ? '' : 'ml-auto '}text-base text-charcoal-lighter`}>({tbrBooks.length})</span>
+                </h2>
+
+                {tbrBooks.length === 0 ? (
+                  <p className="text-charcoal-lighter italic text-center py-8">
+                    {filtering ? 'No matching books.' : 'Your reading list is empty. Add some books to get started.'}
+                  </p>
+                ) : (
+                  <TbrQueue
+                    books={tbrList}
+                    reorderable={queueOrder && !filtering}
+                    onMove={moveInQueue}
+                    renderBook={(book) => (
+                      <TBRBookCard
+                        book={book}
+                        onStartReading={() => changeStatus(book.id, 'reading')}
+                        onMoveToFinished={() => changeStatus(book.id, 'finished')}
+                        onDelete={() => deleteBook(book.id)}
+                        onEdit={() => setEditingBookDetails(book)}
+                        tags={tags}
+                        onTagsChange={(bookTags) => updateBook(book.id, { tags: bookTags })}
+                      />
+                    )}
+                  />
+                )}
+              </section>
+            )}
+
+            {showSection('finished') && (
+              <section className="mb-12">
+                <h2 className="text-2xl font-light text-charcoal border-b-2 border-charcoal pb-2 mb-6 flex items-center gap-3">
+                  <span className="text-accent">Finished</span>
+                  <span className="text-charcoal-lighter text-base font-normal">Completed Reads</span>
+                  <span className="ml-auto text-base text-charcoal-lighter">({finishedBooks.length})</span>
+                </h2>
+
+                {finishedBooks.length === 0 ? (
+                  <p className="text-charcoal-lighter italic text-center py-8">
+                    {filtering ? 'No matching books.' : 'No finished books yet. Start reading!'}
+                  </p>
+                ) : (
+                  <div className="grid gap-4">
+                    {finishedBooks.map(book => (
+                      <FinishedBookCard
+                        key={book.id}
+                        book={book}
+                        onUpdate={(updates) => updateBook(book.id, updates)}
+                        onMoveToTBR={() => changeStatus(book.id, 'tbr')}
+                        onReadAgain={() => changeStatus(book.id, 'reading')}
+                        onDelete={() => deleteBook(book.id)}
+                        isEditing={editingBook === book.id}
+                        onEditToggle={() => setEditingBook(editingBook === book.id ? null : book.id)}
+                        onEditDetails={() => setEditingBookDetails(book)}
+                        tags={tags}
+                        onTagsChange={(bookTags) => updateBook(book.id, { tags: bookTags })}
+                      />
+                    ))}
+                  </div>
+                )}
+              </section>
+            )}
+
+            {showSection('dnf') && dnfBooks.length > 0 && (
+              <section>
+                <h2 className="text-2xl font-light text-charcoal border-b-2 border-charcoal pb-2 mb-6 flex items-center gap-3">
+                  <span className="text-accent">DNF</span>
+                  <span className="text-charcoal-lighter text-base font-normal">Did Not Finish</span>
+                  <span className="ml-auto text-base text-charcoal-lighter">({dnfBooks.length})</span>
+                </h2>
+
+                <div className="grid gap-4">
+                  {dnfBooks.map(book => (
+                    <DnfBookCard
+                      key={book.id}
+                      book={book}
+                      onUpdate={(updates) => updateBook(book.id, updates)}
+                      onResume={() => changeStatus(book.id, 'reading')}
+                      onMoveToTBR={() => changeStatus(book.id, 'tbr')}
+                      onDelete={() => deleteBook(book.id)}
+                      tags={tags}
+                      onTagsChange={(bookTags) => updateBook(book.id, { tags: bookTags })}
+                    />
+                  ))}
+                </div>
+              </section>
+            )}
+          </>
+        )}
       </main>
 
+      <UndoToast toast={undo} onUndo={undoLast} onDismiss={dismissUndo} />
+      <p role="status" className="sr-only">
+        {announcement && <span key={announcement.id}>{announcement.message}</span>}
+      </p>
+
       <footer className="bg-cream-dark text-charcoal-lighter text-center py-6 mt-12">
         <p className="text-sm">Your Personal Reading Journey</p>
+        <p className="hidden md:block text-xs mt-2">
+          Keys: <kbd>n</kbd> new book · <kbd>/</kbd> search · <kbd>j</kbd> / <kbd>k</kbd> next and previous book
+        </p>
       </footer>
     </div>
   )
 }
 
-function AddBookForm({ onAdd, onCancel }) {
-  const [title, setTitle] = useState('')
-  const [author, setAuthor] = useState('')
-  const [readLevel, setReadLevel] = useState('moderate')
+function NavLink({ to, active, children }) {
+  return (
+    <Link
+      to={to}
+      aria-current={active ? 'page' : undefined}
+      className={`pb-2 -mb-px border-b-2 transition-colors ${
+        active ? 'border-charcoal text-charcoal' : 'border-transparent text-charcoal-lighter hover:text-charcoal'
+      }`}
+    >
+      {children}
+    </Link>
+  )
+}
 
-  const handleSubmit = (e) => {
-    e.preventDefault()
-    if (title.trim() && author.trim()) {
-      onAdd({ title: title.trim(), author: author.trim(), readLevel })
-    }
+// This year's book-count goal, shown under the title
+function YearGoal({ goals, books, onOpen }) {
+  const year = new Date().getFullYear()
+  const goal = goals.find(g => g.type === 'books' && g.year === year)
+
+  if (!goal) {
+    return (
+      <p className="text-center mt-3 text-xs">
+        <button onClick={onOpen} className="text-cream-dark underline hover:text-cream">
+          Set a {year} reading goal
+        </button>
+      </p>
+    )
   }
 
+  const progress = goalProgress(goal, books)
   return (
-    <div className="fixed inset-0 bg-charcoal/50 flex items-center justify-center p-4 z-50">
-      <div className="bg-cream rounded-lg shadow-xl max-w-md w-full p-6">
-        <h3 className="text-xl font-light text-charcoal mb-6 border-b border-charcoal-lighter pb-2">
-          Add New Book
-        </h3>
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label className="block text-sm text-charcoal-light mb-1">Title</label>
-            <input
-              type="text"
-              value={title}
-              onChange={(e) => setTitle(e.target.value)}
-              className="w-full px-4 py-2 border border-charcoal-lighter rounded bg-cream-dark focus:outline-none focus:border-charcoal transition-colors"
-              placeholder="Book title"
-              autoFocus
-            />
-          </div>
-          <div>
-            <label className="block text-sm text-charcoal-light mb-1">Author</label>
-            <input
-              type="text"
-              value={author}
-              onChange={(e) => setAuthor(e.target.value)}
-              className="w-full px-4 py-2 border border-charcoal-lighter rounded bg-cream-dark focus:outline-none focus:border-charcoal transition-colors"
-              placeholder="Author name"
-            />
-          </div>
-          <div>
-            <label className="block text-sm text-charcoal-light mb-1">Read Level</label>
-            <select
-              value={readLevel}
-              onChange={(e) => setReadLevel(e.target.value)}
-              className="w-full px-4 py-2 border border-charcoal-lighter rounded bg-cream-dark focus:outline-none focus:border-charcoal transition-colors"
-            >
-              <option value="easy">Easy / Relaxing</option>
-              <option value="moderate">Moderate</option>
-              <option value="academic">Academic / Dense</option>
-            </select>
-          </div>
-          <div className="flex gap-3 pt-4">
-            <button
-              type="button"
-              onClick={onCancel}
-              className="flex-1 px-4 py-2 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark transition-colors"
-            >
-              Cancel
-            </button>
-            <button
-              type="submit"
-              className="flex-1 px-4 py-2 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors"
-            >
-              Add Book
-            </button>
-          </div>
-        </form>
-      </div>
-    </div>
+    <button onClick={onOpen} className="block w-full max-w-xs mx-auto mt-3 text-xs text-cream-dark hover:text-cream" title="Goals & challenges">
+      <span className="flex justify-between mb-1">
+        <span>{progress.count} of {goal.target} books in {year}</span>
+        <span>{paceLabel(progress, goal)}</span>
+      </span>
+      <GoalProgressBar progress={progress} />
+    </button>
   )
 }
 
-function EditBookForm({ book, onSave, onCancel }) {
-  const [title, setTitle] = useState(book.title)
+function SyncStatus({ state }) {
+  const pending = state.ops.length
+  let label
+  if (state.connection === 'local') return null
+  if (state.connection === 'offline') {
+    label = pending > 0 ? `offline, ${pending} pending` : 'offline'
+  } else if (state.connection === 'error') {
+    label = 'sync error'
+  } else if (pending > 0) {
+    label = `pending ${pending} ${pending === 1 ? 'change' : 'changes'}`
+  } else {
+    label = 'synced'
+  }
+  return <span className="ml-2 text-xs opacity-70">({label})</span>
+}
+
+// "pageCount" as "page count"
+const fieldLabel = (field) => field.replace(/[A-Z]/g, letter => ` ${letter.toLowerCase()}`)
+
+// Fields holding lists of records, shown as a summary rather than raw data
+const CONFLICT_SUMMARIES = {
+  journal: (entries) => `${entries.length} journal ${entries.length === 1 ? 'entry' : 'entries'}`,
+  reads: (reads) => reads
+    .map(read => [STATUS_LABELS[read.status], formatDate(read.finishedAt || read.abandonedAt)].filter(Boolean).join(' '))
+    .join('\n'),
+}
+
+function conflictValue(field, value) {
+  if (value === null || value === undefined || value === '') return '(empty)'
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '(none)'
+    if (CONFLICT_SUMMARIES[field]) return CONFLICT_SUMMARIES[field](value)
+    return value.map(item => (typeof item === 'object' ? JSON.stringify(item) : item)).join(', ')
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+function SyncConflict({ conflict, onResolve }) {
+  const choices = {
+    edit: [['local', 'Keep mine'], ['remote', 'Keep theirs']],
+    deleted: [['restore', 'Restore it'], ['discard', 'Let it go']],
+    delete: [['delete', 'Delete anyway'], ['keep', 'Keep it']],
+  }[conflict.type]
+
+  return (
+    <div className="mb-6 px-4 py-3 bg-amber-100 text-amber-800 rounded text-sm space-y-3">
+      {conflict.type === 'edit' && (
+        <>
+          <p>
+            "{conflict.title}" was edited on another device while you were editing it here. The change made
+            last is saved for now; keep whichever you want.
+          </p>
+          {Object.entries(conflict.fields).map(([field, { local, remote, kept = 'remote' }]) => (
+            <div key={field}>
+              <p className="text-xs uppercase tracking-wide mb-1 font-medium">{fieldLabel(field)}</p>
+              <div className="grid md:grid-cols-2 gap-3">
+                {[['local', 'This device', local], ['remote', 'Other device', remote]].map(([side, label, value]) => (
+                  <div key={side}>
+                    <p className="text-xs uppercase tracking-wide mb-1">
+                      {label}{kept === side && ' (saved)'}
+                    </p>
+                    <p className="bg-cream rounded p-2 whitespace-pre-wrap break-words text-charcoal-light">
+                      {conflictValue(field, value)}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+      {conflict.type === 'deleted' && (
+        <p>"{conflict.title}" was deleted on another device, but you had unsaved changes to it.</p>
+      )}
+      {conflict.type === 'delete' && (
+        <p>"{conflict.title}" was changed on another device after you deleted it here.</p>
+      )}
+      <div className="flex gap-3">
+        {choices.map(([choice, label]) => (
+          <button
+            key={choice}
+            onClick={() => onResolve(choice)}
+            className="px-3 py-1 border border-amber-800 rounded hover:bg-amber-200 transition-colors"
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// ISBN lookup plus a picker for the right edition, shared by the add and
+// edit forms. `edition` is the picked candidate, if any.
+function EditionFields({ title, author, isbn, onIsbnChange, edition, onEditionChange, onIsbnFound }) {
+  const [lookingUp, setLookingUp] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  const lookUp = async () => {
+    if (!normalizeIsbn(isbn)) {
+      setMessage("That doesn't look like a valid ISBN.")
+      return
+    }
+    setLookingUp(true)
+    setMessage(null)
+    const candidate = await lookupIsbn(isbn)
+    setLookingUp(false)
+    if (candidate) onIsbnFound(candidate)
+    else setMessage('No book found for that ISBN.')
+  }
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <label className="block text-sm text-charcoal-light mb-1">ISBN</label>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={isbn}
+            onChange={(e) => {
+              onIsbnChange(e.target.value)
+              setMessage(null)
+            }}
+            inputMode="numeric"
+            className="flex-1 px-4 py-2 border border-charcoal-lighter rounded bg-cream-dark focus:outline-none focus:border-charcoal transition-colors"
+            placeholder="Optional, e.g. 978-0-441-17271-9"
+          />
+          <button
+            type="button"
+            onClick={lookUp}
+            disabled={!isbn.trim() || lookingUp}
+            className="px-4 py-2 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark transition-colors disabled:opacity-50"
+          >
+            {lookingUp ? 'Looking up...' : 'Look up'}
+          </button>
+        </div>
+        {message && <p className="text-sm text-red-600 mt-1">{message}</p>}
+      </div>
+
+      {edition && (
+        <div className="flex gap-3 items-center text-sm bg-cream-dark rounded p-2">
+          {edition.coverUrl && <img src={edition.coverUrl} alt="" className="w-8 h-12 object-cover rounded" />}
+          <p className="flex-1 text-charcoal-light">
+            {[edition.publishYear, edition.publisher, edition.pageCount && `${edition.pageCount} pages`]
+              .filter(Boolean)
+              .join(' · ') || 'Edition selected'}
+          </p>
+          <button type="button" onClick={() => onEditionChange(null)} className="text-charcoal-lighter hover:text-charcoal">
+            Clear
+          </button>
+        </div>
+      )}
+
+      <MetadataPicker title={title} author={author} selected={edition?.key} onSelect={onEditionChange} />
+    </div>
+  )
+}
+
+// The fields a form saves for the picked edition. The title, author and
+// series typed into the form win over the edition's, and an edition without
+// a cover leaves the current one alone.
+function editionValues(edition, isbn) {
+  if (!edition) return { isbn: normalizeIsbn(isbn) }
+
+  const details = candidateDetails(edition)
+  delete details.title
+  delete details.author
+  delete details.series
+  delete details.seriesNumber
+  if (!details.coverUrl) delete details.coverUrl
+  return details
+}
+
+// Series name and number, suggesting the names already in the library so
+// a series isn't split by spelling it two ways
+function SeriesFields({ books, series, onSeriesChange, number, onNumberChange }) {
+  return (
+    <div className="flex gap-3">
+      <div className="flex-1">
+        <label htmlFor="book-series" className="block text-sm text-charcoal-light mb-1">Series</label>
+        <input
+          id="book-series"
+          type="text"
+          value={series}
+          onChange={(e) => onSeriesChange(e.target.value)}
+          list="series-names"
+          className="w-full px-4 py-2 border border-charcoal-lighter rounded bg-cream-dark focus:outline-none focus:border-charcoal transition-colors"
+          placeholder="Optional"
+          maxLength={MAX_SERIES_LENGTH}
+        />
+        <datalist id="series-names">
+          {listSeries(books).map(({ name }) => <option key={name} value={name} />)}
+        </datalist>
+      </div>
+      <div className="w-24">
+        <label htmlFor="book-series-number" className="block text-sm text-charcoal-light mb-1">Number</label>
+        <input
+          id="book-series-number"
+          type="number"
+          value={number}
+          onChange={(e) => onNumberChange(e.target.value)}
+          min="0"
+          max={MAX_SERIES_NUMBER}
+          step="any"
+          disabled={!series.trim()}
+          className="w-full px-4 py-2 border border-charcoal-lighter rounded bg-cream-dark focus:outline-none focus:border-charcoal transition-colors disabled:opacity-50"
+          placeholder="#"
+        />
+      </div>
+    </div>
+  )
+}
+
+// A number only counts with a series to go with it
+const seriesValues = (series, number) => ({
+  series: series.trim() || null,
+  seriesNumber: series.trim() && number !== '' ? Number(number) : null,
+})
+
+function AddBookForm({ books, onAdd, onCancel }) {
+  const [title, setTitle] = useState('')
+  const [author, setAuthor] = useState('')
+  const [readLevel, setReadLevel] = useState('moderate')
+  const [isbn, setIsbn] = useState('')
+  const [edition, setEdition] = useState(null)
+  const [series, setSeries] = useState('')
+  const [seriesNumber, setSeriesNumber] = useState('')
+  const [errors, setErrors] = useState([])
+  const [submitting, setSubmitting] = useState(false)
+
+  // A picked edition fills in its series unless one has been typed
+  const pickEdition = (candidate) => {
+    setEdition(candidate)
+    if (candidate?.series && !series.trim()) {
+      setSeries(candidate.series)
+      setSeriesNumber(candidate.seriesNumber ?? '')
+    }
+  }
+
+  // Checked as the details are typed, so the warning is up before saving
+  const duplicates = title.trim() && author.trim()
+    ? findDuplicates({ id: null, title, author, isbn: normalizeIsbn(isbn) }, books)
+    : []
+
+  const applyIsbnResult = (candidate) => {
+    setTitle(candidate.title || title)
+    setAuthor(candidate.author || author)
+    pickEdition(candidate)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    let values = {
+      title: title.trim(),
+      author: author.trim(),
+      readLevel,
+      ...editionValues(edition, isbn),
+      ...seriesValues(series, seriesNumber),
+    }
+
+    // Adding by ISBN alone
+    if (!values.title && !values.author && isbn.trim()) {
+      setSubmitting(true)
+      const candidate = await lookupIsbn(isbn)
+      setSubmitting(false)
+      if (!candidate) {
+        setErrors(['No book found for that ISBN. Enter the title and author instead.'])
+        return
+      }
+      values = { ...candidateDetails(candidate), readLevel }
+      if (series.trim()) Object.assign(values, seriesValues(series, seriesNumber))
+      // Found by ISBN alone, it gets the same look for duplicates first
+      if (findDuplicates({ id: null, ...values }, books).length > 0) {
+        applyIsbnResult(candidate)
+        return
+      }
+    }
+
+    const problems = validateBook(values, { partial: true })
+    if (problems.length > 0) {
+      setErrors(problems)
+      return
+    }
+    onAdd(values)
+  }
+
+  return (
+    <Dialog label="Add New Book" onClose={onCancel}>
+      <div className="bg-cream rounded-lg shadow-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+        <h3 className="text-xl font-light text-charcoal mb-6 border-b border-charcoal-lighter pb-2">
+          Add New Book
+        </h3>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm text-charcoal-light mb-1">Title</label>
+            <input
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              className="w-full px-4 py-2 border border-charcoal-lighter rounded bg-cream-dark focus:outline-none focus:border-charcoal transition-colors"
+              placeholder="Book title"
+              maxLength={MAX_TITLE_LENGTH}
+              autoFocus
+            />
+          </div>
+          <div>
+            <label className="block text-sm text-charcoal-light mb-1">Author</label>
+            <input
+              type="text"
+              value={author}
+              onChange={(e) => setAuthor(e.target.value)}
+              className="w-full px-4 py-2 border border-charcoal-lighter rounded bg-cream-dark focus:outline-none focus:border-charcoal transition-colors"
+              placeholder="Author name"
+              maxLength={MAX_AUTHOR_LENGTH}
+            />
+          </div>
+          <EditionFields
+            title={title}
+            author={author}
+            isbn={isbn}
+            onIsbnChange={setIsbn}
+            edition={edition}
+            onEditionChange={pickEdition}
+            onIsbnFound={applyIsbnResult}
+          />
+          <SeriesFields
+            books={books}
+            series={series}
+            onSeriesChange={setSeries}
+            number={seriesNumber}
+            onNumberChange={setSeriesNumber}
+          />
+          {duplicates.length > 0 && (
+            <div role="alert" className="text-sm bg-amber-50 border border-amber-300 text-charcoal rounded p-3 space-y-1">
+              <p>This looks like {duplicates.length === 1 ? 'a book' : 'books'} already in your library:</p>
+              <ul className="list-disc pl-5">
+                {duplicates.slice(0, 3).map(({ book }) => (
+                  <li key={book.id}>
+                    <Link to={bookPath(book.id)} onClick={onCancel} className="text-accent underline">{book.title}</Link>
+                    {' '}by {book.author} · {STATUS_LABELS[book.status]}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          <div>
+            <label className="block text-sm text-charcoal-light mb-1">Read Level</label>
+            <select
+              value={readLevel}
+              onChange={(e) => setReadLevel(e.target.value)}
+              className="w-full px-4 py-2 border border-charcoal-lighter rounded bg-cream-dark focus:outline-none focus:border-charcoal transition-colors"
+            >
+              <option value="easy">Easy / Relaxing</option>
+              <option value="moderate">Moderate</option>
+              <option value="academic">Academic / Dense</option>
+            </select>
+          </div>
+          {errors.length > 0 && (
+            <ul className="text-sm text-red-600 space-y-1">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onCancel}
+              className="flex-1 px-4 py-2 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting}
+              className="flex-1 px-4 py-2 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors disabled:opacity-50"
+            >
+              {submitting ? 'Looking up...' : duplicates.length > 0 ? 'Add Anyway' : 'Add Book'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </Dialog>
+  )
+}
+
+function EditBookForm({ book, books, onSave, onCancel }) {
+  const [title, setTitle] = useState(book.title)
   const [author, setAuthor] = useState(book.author)
   const [readLevel, setReadLevel] = useState(book.readLevel)
+  const [isbn, setIsbn] = useState(book.isbn || '')
+  const [edition, setEdition] = useState(null)
+  const [series, setSeries] = useState(book.series || '')
+  const [seriesNumber, setSeriesNumber] = useState(book.seriesNumber ?? '')
+  const [errors, setErrors] = useState([])
+
+  const pickEdition = (candidate) => {
+    setEdition(candidate)
+    if (candidate?.series && !series.trim()) {
+      setSeries(candidate.series)
+      setSeriesNumber(candidate.seriesNumber ?? '')
+    }
+  }
 
   const handleSubmit = (e) => {
     e.preventDefault()
-    if (title.trim() && author.trim()) {
-      onSave({ title: title.trim(), author: author.trim(), readLevel })
+    const values = {
+      title: title.trim(),
+      author: author.trim(),
+      readLevel,
+      ...editionValues(edition, isbn),
+      ...seriesValues(series, seriesNumber),
     }
+    const problems = validateBook(values, { partial: true })
+    if (problems.length > 0) {
+      setErrors(problems)
+      return
+    }
+    onSave(values)
   }
 
   return (
-    <div className="fixed inset-0 bg-charcoal/50 flex items-center justify-center p-4 z-50">
-      <div className="bg-cream rounded-lg shadow-xl max-w-md w-full p-6">
+    <Dialog label="Edit Book" onClose={onCancel}>
+      <div className="bg-cream rounded-lg shadow-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
         <h3 className="text-xl font-light text-charcoal mb-6 border-b border-charcoal-lighter pb-2">
           Edit Book
         </h3>
@@ -363,6 +1338,7 @@ function EditBookForm({ book, onSave, onCancel }) {
               onChange={(e) => setTitle(e.target.value)}
               className="w-full px-4 py-2 border border-charcoal-lighter rounded bg-cream-dark focus:outline-none focus:border-charcoal transition-colors"
               placeholder="Book title"
+              maxLength={MAX_TITLE_LENGTH}
               autoFocus
             />
           </div>
@@ -374,8 +1350,25 @@ function EditBookForm({ book, onSave, onCancel }) {
               onChange={(e) => setAuthor(e.target.value)}
               className="w-full px-4 py-2 border border-charcoal-lighter rounded bg-cream-dark focus:outline-none focus:border-charcoal transition-colors"
               placeholder="Author name"
+              maxLength={MAX_AUTHOR_LENGTH}
             />
           </div>
+          <EditionFields
+            title={title}
+            author={author}
+            isbn={isbn}
+            onIsbnChange={setIsbn}
+            edition={edition}
+            onEditionChange={pickEdition}
+            onIsbnFound={pickEdition}
+          />
+          <SeriesFields
+            books={books}
+            series={series}
+            onSeriesChange={setSeries}
+            number={seriesNumber}
+            onNumberChange={setSeriesNumber}
+          />
           <div>
             <label className="block text-sm text-charcoal-light mb-1">Read Level</label>
             <select
@@ -388,6 +1381,11 @@ function EditBookForm({ book, onSave, onCancel }) {
               <option value="academic">Academic / Dense</option>
             </select>
           </div>
+          {errors.length > 0 && (
+            <ul className="text-sm text-red-600 space-y-1">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
           <div className="flex gap-3 pt-4">
             <button
               type="button"
@@ -405,11 +1403,49 @@ function EditBookForm({ book, onSave, onCancel }) {
           </div>
         </form>
       </div>
+    </Dialog>
+  )
+}
+
+// The author and series, each linking to everything in the library by it
+function Byline({ book, className }) {
+  return (
+    <p className={className}>
+      by <Link to={authorPath(book.author)} className="hover:underline">{book.author}</Link>
+      {book.series && (
+        <>
+          {' · '}
+          <Link to={seriesPath(book.series)} className="hover:underline">{seriesLabel(book)}</Link>
+        </>
+      )}
+    </p>
+  )
+}
+
+// Open Library serves the same cover in S, M and L sizes
+const largeCoverUrl = (url) => url.replace(/-M\.jpg$/, '-L.jpg')
+
+function BookCover({ book, large = false }) {
+  return (
+    <div className={`flex-shrink-0 ${large ? 'w-40 h-60 md:w-48 md:h-72 shadow-md' : 'w-16 h-24'} bg-cream rounded overflow-hidden border border-charcoal-lighter`}>
+      {book.coverUrl ? (
+        <img
+          src={large ? largeCoverUrl(book.coverUrl) : book.coverUrl}
+          alt={`Cover of ${book.title}`}
+          className="w-full h-full object-cover"
+        />
+      ) : (
+        <div className="w-full h-full flex items-center justify-center text-charcoal-lighter">
+          <svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" className="h-8 w-8" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253" />
+          </svg>
+        </div>
+      )}
     </div>
   )
 }
 
-function TBRBookCard({ book, onMoveToFinished, onDelete, onEdit }) {
+function TBRBookCard({ book, onStartReading, onMoveToFinished, onDelete, onEdit, tags, onTagsChange }) {
   const levelLabels = {
     easy: 'Easy / Relaxing',
     moderate: 'Moderate',
@@ -423,46 +1459,50 @@ function TBRBookCard({ book, onMoveToFinished, onDelete, onEdit }) {
   }
 
   return (
-    <div className="bg-cream-dark rounded-lg p-5 shadow-sm hover:shadow-md transition-shadow border-l-4 border-accent">
+    <div
+      data-book-card
+      role="article"
+      tabIndex={-1}
+      aria-label={book.title}
+      className="bg-cream-dark rounded-lg p-5 shadow-sm hover:shadow-md transition-shadow border-l-4 border-accent focus:outline-none focus:ring-2 focus:ring-accent"
+    >
       <div className="flex gap-4">
-        {/* Book Cover */}
-        <div className="flex-shrink-0 w-16 h-24 bg-cream rounded overflow-hidden border border-charcoal-lighter">
-          {book.coverUrl ? (
-            <img
-              src={book.coverUrl}
-              alt={`Cover of ${book.title}`}
-              className="w-full h-full object-cover"
-            />
-          ) : (
-            <div className="w-full h-full flex items-center justify-center text-charcoal-lighter">
-              <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253" />
-              </svg>
-            </div>
-          )}
-        </div>
+        <BookCover book={book} />
 
         <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 flex-1">
           <div className="flex-1">
-            <h3 className="text-lg font-medium text-charcoal">{book.title}</h3>
-            <p className="text-charcoal-light text-sm mt-1">by {book.author}</p>
+            <h3 className="text-lg font-medium text-charcoal">
+              <Link to={bookPath(book.id)} className="hover:underline">{book.title}</Link>
+            </h3>
+            <Byline book={book} className="text-charcoal-light text-sm mt-1" />
             <span className={`inline-block mt-2 px-3 py-1 rounded-full text-xs ${levelColors[book.readLevel]}`}>
               {levelLabels[book.readLevel]}
             </span>
+            <ReadHistory book={book} />
+            <div className="mt-2">
+              <BookTags book={book} tags={tags} onChange={onTagsChange} />
+            </div>
           </div>
           <div className="flex gap-2">
             <button
               onClick={onEdit}
               className="px-3 py-2 text-charcoal-lighter hover:text-accent transition-colors"
               title="Edit book details"
+              aria-label={`Edit details of ${book.title}`}
             >
-              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+              <svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                 <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
               </svg>
             </button>
             <button
-              onClick={onMoveToFinished}
+              onClick={onStartReading}
               className="px-4 py-2 bg-accent text-cream rounded hover:bg-accent-light transition-colors text-sm"
+            >
+              Start Reading
+            </button>
+            <button
+              onClick={onMoveToFinished}
+              className="px-4 py-2 border border-accent text-accent rounded hover:bg-cream transition-colors text-sm"
             >
               Mark Finished
             </button>
@@ -470,8 +1510,9 @@ function TBRBookCard({ book, onMoveToFinished, onDelete, onEdit }) {
               onClick={onDelete}
               className="px-3 py-2 text-charcoal-lighter hover:text-red-600 transition-colors"
               title="Delete book"
+              aria-label={`Delete ${book.title}`}
             >
-              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+              <svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                 <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
               </svg>
             </button>
@@ -482,17 +1523,23 @@ function TBRBookCard({ book, onMoveToFinished, onDelete, onEdit }) {
   )
 }
 
-function FinishedBookCard({ book, onUpdate, onMoveToTBR, onDelete, isEditing, onEditToggle, onEditDetails }) {
-  const [notes, setNotes] = useState(book.notes || '')
+function FinishedBookCard({ book, onUpdate, onMoveToTBR, onReadAgain, onDelete, isEditing, onEditToggle, onEditDetails, tags, onTagsChange }) {
   const [rating, setRating] = useState(book.rating || 0)
+  const [startedAt, setStartedAt] = useState(book.startedAt || '')
+  const [finishedAt, setFinishedAt] = useState(book.finishedAt || '')
 
-  useEffect(() => {
-    setNotes(book.notes || '')
-    setRating(book.rating || 0)
-  }, [book.notes, book.rating])
+  // Start each edit from the book as it is now
+  const handleEditToggle = () => {
+    if (!isEditing) {
+      setRating(book.rating || 0)
+      setStartedAt(book.startedAt || '')
+      setFinishedAt(book.finishedAt || '')
+    }
+    onEditToggle()
+  }
 
   const handleSave = () => {
-    onUpdate({ notes, rating })
+    onUpdate({ rating, startedAt: startedAt || null, finishedAt: finishedAt || null })
     onEditToggle()
   }
 
@@ -503,54 +1550,60 @@ function FinishedBookCard({ book, onUpdate, onMoveToTBR, onDelete, isEditing, on
   }
 
   return (
-    <div className="bg-cream-dark rounded-lg p-5 shadow-sm hover:shadow-md transition-shadow border-l-4 border-charcoal">
+    <div
+      data-book-card
+      role="article"
+      tabIndex={-1}
+      aria-label={book.title}
+      className="bg-cream-dark rounded-lg p-5 shadow-sm hover:shadow-md transition-shadow border-l-4 border-charcoal focus:outline-none focus:ring-2 focus:ring-accent"
+    >
       <div className="flex flex-col gap-4">
         <div className="flex gap-4">
-          {/* Book Cover */}
-          <div className="flex-shrink-0 w-16 h-24 bg-cream rounded overflow-hidden border border-charcoal-lighter">
-            {book.coverUrl ? (
-              <img
-                src={book.coverUrl}
-                alt={`Cover of ${book.title}`}
-                className="w-full h-full object-cover"
-              />
-            ) : (
-              <div className="w-full h-full flex items-center justify-center text-charcoal-lighter">
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253" />
-                </svg>
-              </div>
-            )}
-          </div>
+          <BookCover book={book} />
 
           <div className="flex flex-col md:flex-row md:items-start justify-between gap-4 flex-1">
             <div className="flex-1">
-              <h3 className="text-lg font-medium text-charcoal">{book.title}</h3>
-              <p className="text-charcoal-light text-sm mt-1">by {book.author}</p>
+              <h3 className="text-lg font-medium text-charcoal">
+                <Link to={bookPath(book.id)} className="hover:underline">{book.title}</Link>
+              </h3>
+              <Byline book={book} className="text-charcoal-light text-sm mt-1" />
               <p className="text-charcoal-lighter text-xs mt-1">{levelLabels[book.readLevel]}</p>
+              <ReadingDates book={book} />
+              <ReadHistory book={book} />
+              <div className="mt-2">
+                <BookTags book={book} tags={tags} onChange={onTagsChange} />
+              </div>
             </div>
             <div className="flex gap-2">
               <button
                 onClick={onEditDetails}
                 className="px-3 py-2 text-charcoal-lighter hover:text-accent transition-colors"
                 title="Edit book details"
+                aria-label={`Edit details of ${book.title}`}
               >
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                <svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                   <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
                 </svg>
               </button>
               <button
-                onClick={onEditToggle}
+                onClick={handleEditToggle}
                 className="px-4 py-2 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream transition-colors text-sm"
               >
-                {isEditing ? 'Cancel' : 'Edit Journal'}
+                {isEditing ? 'Cancel' : 'Edit'}
+              </button>
+              <button
+                onClick={onReadAgain}
+                className="px-4 py-2 border border-accent text-accent rounded hover:bg-cream transition-colors text-sm"
+              >
+                Read Again
               </button>
               <button
                 onClick={onMoveToTBR}
                 className="px-3 py-2 text-charcoal-lighter hover:text-accent transition-colors"
                 title="Move back to TBR"
+                aria-label={`Move ${book.title} back to TBR`}
               >
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                <svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                   <path fillRule="evenodd" d="M9.707 14.707a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414l4-4a1 1 0 011.414 1.414L7.414 9H15a1 1 0 110 2H7.414l2.293 2.293a1 1 0 010 1.414z" clipRule="evenodd" />
                 </svg>
               </button>
@@ -558,8 +1611,9 @@ function FinishedBookCard({ book, onUpdate, onMoveToTBR, onDelete, isEditing, on
                 onClick={onDelete}
                 className="px-3 py-2 text-charcoal-lighter hover:text-red-600 transition-colors"
                 title="Delete book"
+                aria-label={`Delete ${book.title}`}
               >
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                <svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                   <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
                 </svg>
               </button>
@@ -568,46 +1622,473 @@ function FinishedBookCard({ book, onUpdate, onMoveToTBR, onDelete, isEditing, on
         </div>
 
         <div className="flex items-center gap-1">
-          <span className="text-sm text-charcoal-light mr-2">Rating:</span>
-          {[1, 2, 3, 4, 5].map((star) => (
-            <button
-              key={star}
-              onClick={() => {
-                setRating(star)
-                if (!isEditing) onUpdate({ rating: star })
-              }}
-              className={`text-2xl transition-colors ${
-                star <= (isEditing ? rating : book.rating)
-                  ? 'text-amber-500'
-                  : 'text-charcoal-lighter hover:text-amber-300'
-              }`}
-            >
-              {star <= (isEditing ? rating : book.rating) ? '★' : '☆'}
-            </button>
-          ))}
+          <span className="text-sm text-charcoal-light mr-2" aria-hidden="true">Rating:</span>
+          <StarRating
+            value={isEditing ? rating : book.rating}
+            label={`Rating for ${book.title}`}
+            onChange={(star) => {
+              setRating(star)
+              if (!isEditing) onUpdate({ rating: star })
+            }}
+          />
         </div>
 
         {isEditing ? (
           <div className="space-y-3">
-            <div>
-              <label className="block text-sm text-charcoal-light mb-1">Reader's Note</label>
-              <textarea
-                value={notes}
-                onChange={(e) => setNotes(e.target.value)}
-                className="w-full px-4 py-3 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal transition-colors min-h-32 resize-y"
-                placeholder="Write your thoughts about this book..."
-              />
+            <div className="flex flex-wrap gap-4">
+              <DateField label="Started" value={startedAt} onChange={setStartedAt} />
+              <DateField label="Finished" value={finishedAt} onChange={setFinishedAt} />
             </div>
             <button
               onClick={handleSave}
               className="px-6 py-2 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors"
             >
-              Save Journal Entry
+              Save
             </button>
           </div>
-        ) : book.notes ? (
+        ) : (
+          <JournalSummary book={book} />
+        )}
+      </div>
+    </div>
+  )
+}
+
+// The latest journal entry on a card, with a link to the rest
+function JournalSummary({ book }) {
+  const entries = sortEntries(book.journal)
+  if (entries.length === 0) return null
+
+  const latest = entries[entries.length - 1]
+  const quotes = quoteCount(book)
+  const notes = entries.length - quotes
+  const counts = [
+    notes > 0 && `${notes} ${notes === 1 ? 'note' : 'notes'}`,
+    quotes > 0 && `${quotes} ${quotes === 1 ? 'quote' : 'quotes'}`,
+  ].filter(Boolean).join(', ')
+
+  return (
+    <div className="bg-cream rounded p-4 border border-cream-dark space-y-2">
+      <div className={`text-sm text-charcoal-light line-clamp-4 ${latest.type === 'quote' ? 'border-l-2 border-accent pl-3' : ''}`}>
+        <Markdown text={latest.text} />
+      </div>
+      <Link to={bookPath(book.id)} className="block text-xs text-charcoal-lighter hover:text-charcoal">
+        {formatDate(latest.date)} · Journal: {counts} →
+      </Link>
+    </div>
+  )
+}
+
+function DateField({ label, value, onChange }) {
+  return (
+    <label className="text-sm text-charcoal-light flex items-center gap-2">
+      {label}
+      <input
+        type="date"
+        value={value}
+        max={today()}
+        onChange={(e) => onChange(e.target.value)}
+        className="px-2 py-1 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal transition-colors"
+      />
+    </label>
+  )
+}
+
+function ReadingDates({ book }) {
+  const dates = [
+    ['Started', book.startedAt],
+    ['Finished', book.finishedAt],
+    ['Stopped', book.abandonedAt],
+  ].filter(([, date]) => date)
+  if (dates.length === 0) return null
+
+  return (
+    <p className="text-charcoal-lighter text-xs mt-1">
+      {dates.map(([label, date]) => `${label} ${formatDate(date)}`).join(' · ')}
+    </p>
+  )
+}
+
+const stars = (rating) => '★'.repeat(rating) + '☆'.repeat(5 - rating)
+
+const readCount = (count) => {
+  if (count === 0) return 'Never finished'
+  return count === 1 ? 'Read once' : `Read ${count} times`
+}
+
+// Earlier reads, newest first, folded away under a count of them
+function ReadHistory({ book, open = false }) {
+  const reads = book.reads || []
+  if (reads.length === 0) return null
+
+  const last = reads[reads.length - 1]
+  const summary = [
+    readCount(timesRead(book)),
+    book.status === 'tbr' && `last read ${formatDate(last.finishedAt || last.abandonedAt) || 'before'}`,
+  ].filter(Boolean).join(' · ')
+
+  return (
+    <details open={open} className="text-xs text-charcoal-lighter mt-1">
+      <summary className="cursor-pointer hover:text-charcoal">{summary}</summary>
+      <ol className="mt-2 space-y-2 border-l-2 border-cream-dark pl-3">
+        {reads.map((read, i) => ({ read, number: i + 1 })).reverse().map(({ read, number }) => {
+          const entries = entriesDuring(book.journal, read).length
+          return (
+            <li key={read.id}>
+              <span className="text-charcoal-light">
+                Read {number}{read.status === 'dnf' ? ' (not finished)' : ''}
+              </span>
+              {read.rating > 0 && <span className="text-amber-500"> {stars(read.rating)}</span>}
+              <ReadingDates book={read} />
+              {read.dnfReason && <p className="italic mt-1">{read.dnfReason}</p>}
+              {entries > 0 && <p className="mt-1">{entries} journal {entries === 1 ? 'entry' : 'entries'}</p>}
+            </li>
+          )
+        })}
+      </ol>
+    </details>
+  )
+}
+
+function ReadingProgress({ book, onEdit }) {
+  const percentDone = progressPercent(book)
+
+  return (
+    <div>
+      <div className="flex items-center justify-between text-sm text-charcoal-light mb-1">
+        <span>
+          {book.pageCount && book.currentPage !== null
+            ? `Page ${book.currentPage} of ${book.pageCount}`
+            : `${percentDone}% read`}
+        </span>
+        {onEdit && (
+          <button onClick={onEdit} className="text-accent hover:underline">
+            Update progress
+          </button>
+        )}
+      </div>
+      <div className="h-2 bg-cream rounded-full overflow-hidden">
+        <div className="h-full bg-amber-500 transition-all" style={{ width: `${percentDone}%` }} />
+      </div>
+    </div>
+  )
+}
+
+function ProgressForm({ book, onSave, onCancel }) {
+  const [unit, setUnit] = useState(book.pageCount || book.percentComplete === null ? 'pages' : 'percent')
+  const [currentPage, setCurrentPage] = useState(book.currentPage ?? '')
+  const [pageCount, setPageCount] = useState(book.pageCount ?? '')
+  const [percent, setPercent] = useState(book.percentComplete ?? '')
+  const [startedAt, setStartedAt] = useState(book.startedAt || '')
+
+  const toNumber = (value) => (value === '' ? null : Math.round(Number(value)))
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const updates = { startedAt: startedAt || null }
+    if (unit === 'pages') {
+      const total = toNumber(pageCount)
+      updates.pageCount = total
+      updates.currentPage = total === null ? toNumber(currentPage) : Math.min(toNumber(currentPage) ?? 0, total)
+      updates.percentComplete = null
+    } else {
+      updates.percentComplete = Math.min(Math.max(toNumber(percent) ?? 0, 0), 100)
+      updates.currentPage = null
+    }
+    onSave(updates)
+  }
+
+  const inputClass = 'w-20 px-2 py-1 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal transition-colors'
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-3 text-sm text-charcoal-light">
+      <select
+        value={unit}
+        onChange={(e) => setUnit(e.target.value)}
+        className="px-2 py-1 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal"
+      >
+        <option value="pages">Pages</option>
+        <option value="percent">Percent</option>
+      </select>
+      {unit === 'pages' ? (
+        <>
+          <label className="flex items-center gap-2">
+            Page
+            <input type="number" min="0" max={MAX_PAGE_COUNT} value={currentPage} onChange={(e) => setCurrentPage(e.target.value)} className={inputClass} />
+          </label>
+          <label className="flex items-center gap-2">
+            of
+            <input type="number" min="1" max={MAX_PAGE_COUNT} value={pageCount} onChange={(e) => setPageCount(e.target.value)} className={inputClass} />
+          </label>
+        </>
+      ) : (
+        <label className="flex items-center gap-2">
+          <input type="number" min="0" max="100" value={percent} onChange={(e) => setPercent(e.target.value)} className={inputClass} />
+          %
+        </label>
+      )}
+      <DateField label="Started" value={startedAt} onChange={setStartedAt} />
+      <button type="submit" className="px-4 py-1 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors">
+        Save
+      </button>
+      <button type="button" onClick={onCancel} className="hover:text-charcoal">
+        Cancel
+      </button>
+    </form>
+  )
+}
+
+function AbandonForm({ onAbandon }) {
+  const [reason, setReason] = useState('')
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onAbandon(reason)
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div>
+        <label className="block text-sm text-charcoal-light mb-1">Why are you putting it down? (optional)</label>
+        <input
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          maxLength={MAX_DNF_REASON_LENGTH}
+          className="w-full px-4 py-2 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal transition-colors"
+          placeholder="Too slow, not in the mood, ..."
+          autoFocus
+        />
+      </div>
+      <button type="submit" className="px-6 py-2 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors">
+        Move to Did Not Finish
+      </button>
+    </form>
+  )
+}
+
+function ReadingBookCard({ book, onUpdate, onFinish, onAbandon, onMoveToTBR, onDelete, onEdit, tags, onTagsChange }) {
+  const [editingProgress, setEditingProgress] = useState(false)
+  const [abandoning, setAbandoning] = useState(false)
+
+  const levelLabels = {
+    easy: 'Easy / Relaxing',
+    moderate: 'Moderate',
+    academic: 'Academic / Dense'
+  }
+
+  return (
+    <div
+      data-book-card
+      role="article"
+      tabIndex={-1}
+      aria-label={book.title}
+      className="bg-cream-dark rounded-lg p-5 shadow-sm hover:shadow-md transition-shadow border-l-4 border-amber-500 focus:outline-none focus:ring-2 focus:ring-accent"
+    >
+      <div className="flex flex-col gap-4">
+        <div className="flex gap-4">
+          <BookCover book={book} />
+
+          <div className="flex flex-col md:flex-row md:items-start justify-between gap-4 flex-1">
+            <div className="flex-1">
+              <h3 className="text-lg font-medium text-charcoal">
+                <Link to={bookPath(book.id)} className="hover:underline">{book.title}</Link>
+              </h3>
+              <Byline book={book} className="text-charcoal-light text-sm mt-1" />
+              <p className="text-charcoal-lighter text-xs mt-1">{levelLabels[book.readLevel]}</p>
+              <ReadingDates book={book} />
+              <ReadHistory book={book} />
+              <div className="mt-2">
+                <BookTags book={book} tags={tags} onChange={onTagsChange} />
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={onEdit}
+                className="px-3 py-2 text-charcoal-lighter hover:text-accent transition-colors"
+                title="Edit book details"
+                aria-label={`Edit details of ${book.title}`}
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                  <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
+                </svg>
+              </button>
+              <button
+                onClick={onFinish}
+                className="px-4 py-2 bg-accent text-cream rounded hover:bg-accent-light transition-colors text-sm"
+              >
+                Mark Finished
+              </button>
+              <button
+                onClick={() => setAbandoning(!abandoning)}
+                className="px-4 py-2 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream transition-colors text-sm"
+              >
+                {abandoning ? 'Cancel' : 'Did Not Finish'}
+              </button>
+              <button
+                onClick={onMoveToTBR}
+                className="px-3 py-2 text-charcoal-lighter hover:text-accent transition-colors"
+                title="Move back to TBR"
+                aria-label={`Move ${book.title} back to TBR`}
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                  <path fillRule="evenodd" d="M9.707 14.707a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414l4-4a1 1 0 011.414 1.414L7.414 9H15a1 1 0 110 2H7.414l2.293 2.293a1 1 0 010 1.414z" clipRule="evenodd" />
+                </svg>
+              </button>
+              <button
+                onClick={onDelete}
+                className="px-3 py-2 text-charcoal-lighter hover:text-red-600 transition-colors"
+                title="Delete book"
+                aria-label={`Delete ${book.title}`}
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                  <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+                </svg>
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <ReadingProgress book={book} onEdit={editingProgress ? null : () => setEditingProgress(true)} />
+
+        {editingProgress && (
+          <ProgressForm
+            book={book}
+            onSave={(updates) => {
+              onUpdate(updates)
+              setEditingProgress(false)
+            }}
+            onCancel={() => setEditingProgress(false)}
+          />
+        )}
+
+        {abandoning && (
+          <AbandonForm
+            onAbandon={(reason) => {
+              onAbandon(reason)
+              setAbandoning(false)
+            }}
+          />
+        )}
+
+        {book.journal.length > 0 ? (
+          <JournalSummary book={book} />
+        ) : (
+          <Link to={bookPath(book.id)} className="text-sm text-accent hover:underline">
+            Write in the journal →
+          </Link>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function DnfBookCard({ book, onUpdate, onResume, onMoveToTBR, onDelete, tags, onTagsChange }) {
+  const [editing, setEditing] = useState(false)
+  const [reason, setReason] = useState('')
+  const [startedAt, setStartedAt] = useState('')
+  const [abandonedAt, setAbandonedAt] = useState('')
+
+  const startEditing = () => {
+    setReason(book.dnfReason || '')
+    setStartedAt(book.startedAt || '')
+    setAbandonedAt(book.abandonedAt || '')
+    setEditing(true)
+  }
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    onUpdate({ dnfReason: reason.trim() || null, startedAt: startedAt || null, abandonedAt: abandonedAt || null })
+    setEditing(false)
+  }
+
+  return (
+    <div
+      data-book-card
+      role="article"
+      tabIndex={-1}
+      aria-label={book.title}
+      className="bg-cream-dark rounded-lg p-5 shadow-sm hover:shadow-md transition-shadow border-l-4 border-charcoal-lighter opacity-90 focus:outline-none focus:ring-2 focus:ring-accent"
+    >
+      <div className="flex flex-col gap-4">
+        <div className="flex gap-4">
+          <BookCover book={book} />
+
+          <div className="flex flex-col md:flex-row md:items-start justify-between gap-4 flex-1">
+            <div className="flex-1">
+              <h3 className="text-lg font-medium text-charcoal">
+                <Link to={bookPath(book.id)} className="hover:underline">{book.title}</Link>
+              </h3>
+              <Byline book={book} className="text-charcoal-light text-sm mt-1" />
+              <ReadingDates book={book} />
+              <ReadHistory book={book} />
+              {book.pageCount && book.currentPage !== null ? (
+                <p className="text-charcoal-lighter text-xs mt-1">Stopped at page {book.currentPage} of {book.pageCount}</p>
+              ) : book.percentComplete ? (
+                <p className="text-charcoal-lighter text-xs mt-1">Stopped at {book.percentComplete}%</p>
+              ) : null}
+              <div className="mt-2">
+                <BookTags book={book} tags={tags} onChange={onTagsChange} />
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={editing ? () => setEditing(false) : startEditing}
+                className="px-4 py-2 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream transition-colors text-sm"
+              >
+                {editing ? 'Cancel' : 'Edit'}
+              </button>
+              <button
+                onClick={onResume}
+                className="px-4 py-2 bg-accent text-cream rounded hover:bg-accent-light transition-colors text-sm"
+              >
+                Resume
+              </button>
+              <button
+                onClick={onMoveToTBR}
+                className="px-3 py-2 text-charcoal-lighter hover:text-accent transition-colors"
+                title="Move back to TBR"
+                aria-label={`Move ${book.title} back to TBR`}
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                  <path fillRule="evenodd" d="M9.707 14.707a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414l4-4a1 1 0 011.414 1.414L7.414 9H15a1 1 0 110 2H7.414l2.293 2.293a1 1 0 010 1.414z" clipRule="evenodd" />
+                </svg>
+              </button>
+              <button
+                onClick={onDelete}
+                className="px-3 py-2 text-charcoal-lighter hover:text-red-600 transition-colors"
+                title="Delete book"
+                aria-label={`Delete ${book.title}`}
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                  <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+                </svg>
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {editing ? (
+          <form onSubmit={handleSave} className="space-y-3">
+            <div className="flex flex-wrap gap-4">
+              <DateField label="Started" value={startedAt} onChange={setStartedAt} />
+              <DateField label="Stopped" value={abandonedAt} onChange={setAbandonedAt} />
+            </div>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              maxLength={MAX_DNF_REASON_LENGTH}
+              className="w-full px-4 py-2 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal transition-colors"
+              placeholder="Why you stopped"
+            />
+            <button type="submit" className="px-6 py-2 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors">
+              Save
+            </button>
+          </form>
+        ) : book.dnfReason ? (
           <div className="bg-cream rounded p-4 border border-cream-dark">
-            <p className="text-sm text-charcoal-light italic whitespace-pre-wrap">{book.notes}</p>
+            <p className="text-sm text-charcoal-light italic">{book.dnfReason}</p>
           </div>
         ) : null}
       </div>
@@ -615,4 +2096,336 @@ function FinishedBookCard({ book, onUpdate, onMoveToTBR, onDelete, isEditing, on
   )
 }
 
+function BookDetail({ book, onUpdate, onChangeStatus, onDelete, onRestore, onEditDetails, onSetCover, onRemoveCover, tags, sharing }) {
+  const [editing, setEditing] = useState(null)
+
+  if (!book) {
+    return (
+      <div className="text-center py-16">
+        <p className="text-charcoal-light mb-4">This book isn't in your library.</p>
+        <Link to="/" className="text-accent underline">Back to your library</Link>
+      </div>
+    )
+  }
+
+  const levelLabels = {
+    easy: 'Easy / Relaxing',
+    moderate: 'Moderate',
+    academic: 'Academic / Dense'
+  }
+
+  const primaryButton = 'px-4 py-2 bg-accent text-cream rounded hover:bg-accent-light transition-colors text-sm'
+  const secondaryButton = 'px-4 py-2 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark transition-colors text-sm'
+
+  return (
+    <article className="space-y-8">
+      <Link to={shelfPath(book.status)} className="text-sm text-charcoal-lighter hover:text-charcoal">
+        ← {STATUS_LABELS[book.status]}
+      </Link>
+
+      {book.deletedAt && (
+        <div className="px-4 py-3 bg-amber-100 text-amber-800 rounded flex items-center justify-between gap-4 text-sm">
+          <span>This book is in the trash.</span>
+          <button onClick={onRestore} className="underline hover:text-amber-900">Restore it</button>
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row gap-6">
+        <div className="space-y-2">
+          <BookCover book={book} large />
+          {editing === 'cover' ? (
+            <CoverForm
+              book={book}
+              onSave={async (source) => {
+                await onSetCover(source)
+                setEditing(null)
+              }}
+              onRemove={() => {
+                onRemoveCover()
+                setEditing(null)
+              }}
+              onCancel={() => setEditing(null)}
+            />
+          ) : (
+            <button onClick={() => setEditing('cover')} className="text-sm text-accent hover:underline">
+              Change cover
+            </button>
+          )}
+        </div>
+
+        <div className="flex-1 space-y-3">
+          <h2 className="text-3xl font-light text-charcoal">{book.title}</h2>
+          <Byline book={book} className="text-charcoal-light" />
+          <p className="text-sm text-charcoal-lighter">
+            {STATUS_LABELS[book.status]} · {levelLabels[book.readLevel]}
+          </p>
+          <EditionDetails book={book} />
+          <BookTags book={book} tags={tags} onChange={(bookTags) => onUpdate({ tags: bookTags })} />
+
+          {book.status === 'finished' && (
+            <StarRating value={book.rating} onChange={(star) => onUpdate({ rating: star })} />
+          )}
+
+          {book.status === 'reading' && (
+            editing === 'progress' ? (
+              <ProgressForm
+                book={book}
+                onSave={(updates) => {
+                  onUpdate(updates)
+                  setEditing(null)
+                }}
+                onCancel={() => setEditing(null)}
+              />
+            ) : (
+              <ReadingProgress book={book} onEdit={() => setEditing('progress')} />
+            )
+          )}
+
+          <div className="flex flex-wrap gap-2 pt-2">
+            {book.status === 'tbr' && (
+              <>
+                <button onClick={() => onChangeStatus('reading')} className={primaryButton}>Start Reading</button>
+                <button onClick={() => onChangeStatus('finished')} className={secondaryButton}>Mark Finished</button>
+              </>
+            )}
+            {book.status === 'reading' && (
+              <>
+                <button onClick={() => onChangeStatus('finished')} className={primaryButton}>Mark Finished</button>
+                <button onClick={() => setEditing(editing === 'abandon' ? null : 'abandon')} className={secondaryButton}>
+                  {editing === 'abandon' ? 'Cancel' : 'Did Not Finish'}
+                </button>
+              </>
+            )}
+            {book.status === 'dnf' && (
+              <button onClick={() => onChangeStatus('reading')} className={primaryButton}>Resume Reading</button>
+            )}
+            {book.status === 'finished' && (
+              <button onClick={() => onChangeStatus('reading')} className={primaryButton}>Read Again</button>
+            )}
+            {book.status !== 'tbr' && (
+              <button onClick={() => onChangeStatus('tbr')} className={secondaryButton}>Back to TBR</button>
+            )}
+            <button onClick={onEditDetails} className={secondaryButton}>Edit Details</button>
+            {!book.deletedAt && (
+              <button onClick={onDelete} className="px-4 py-2 text-charcoal-lighter hover:text-red-600 transition-colors text-sm">
+                Delete
+              </button>
+            )}
+          </div>
+
+          {editing === 'abandon' && (
+            <AbandonForm
+              onAbandon={(reason) => {
+                onChangeStatus('dnf', { reason })
+                setEditing(null)
+              }}
+            />
+          )}
+        </div>
+      </div>
+
+      {book.status === 'dnf' && book.dnfReason && (
+        <section>
+          <h3 className="text-lg font-light text-charcoal border-b border-charcoal-lighter pb-1 mb-3">Why I stopped</h3>
+          <p className="text-charcoal-light italic whitespace-pre-wrap">{book.dnfReason}</p>
+        </section>
+      )}
+
+      <Journal book={book} onChange={(journal) => onUpdate({ journal })} />
+
+      <section>
+        <h3 className="text-lg font-light text-charcoal border-b border-charcoal-lighter pb-1 mb-3 flex items-center justify-between">
+          History
+          {editing !== 'dates' && book.status !== 'tbr' && (
+            <button onClick={() => setEditing('dates')} className="text-sm text-accent hover:underline">
+              Edit dates
+            </button>
+          )}
+        </h3>
+        {editing === 'dates' ? (
+          <DatesForm
+            book={book}
+            onSave={(updates) => {
+              onUpdate(updates)
+              setEditing(null)
+            }}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          <ol className="space-y-2 border-l-2 border-cream-dark pl-4">
+            {statusTimeline(book).map(({ label, date }, i) => (
+              <li key={i} className="text-sm">
+                <span className="text-charcoal">{label}</span>
+                <span className="text-charcoal-lighter"> · {formatDate(date)}</span>
+              </li>
+            ))}
+          </ol>
+        )}
+        <div className="mt-4 text-sm">
+          <ReadHistory book={book} open />
+        </div>
+      </section>
+
+      {sharing && (
+        <section>
+          <h3 className="text-lg font-light text-charcoal border-b border-charcoal-lighter pb-1 mb-3">Public profile</h3>
+          <div className="space-y-2 text-sm text-charcoal-light">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={book.hideFromProfile}
+                onChange={(e) => onUpdate({ hideFromProfile: e.target.checked })}
+              />
+              Keep this book off my public profile
+            </label>
+            <label className={`flex items-center gap-2 ${book.hideFromProfile ? 'opacity-50' : ''}`}>
+              <input
+                type="checkbox"
+                checked={book.privateJournal}
+                disabled={book.hideFromProfile}
+                onChange={(e) => onUpdate({ privateJournal: e.target.checked })}
+              />
+              Keep its journal private
+            </label>
+          </div>
+        </section>
+      )}
+    </article>
+  )
+}
+
+function EditionDetails({ book }) {
+  const details = [
+    ['Published', [book.publishYear, book.publisher].filter(Boolean).join(', ')],
+    ['Pages', book.pageCount],
+    ['ISBN', book.isbn],
+  ].filter(([, value]) => value)
+
+  return (
+    <>
+      {details.length > 0 && (
+        <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+          {details.map(([label, value]) => (
+            <div key={label} className="contents">
+              <dt className="text-charcoal-lighter">{label}</dt>
+              <dd className="text-charcoal-light">{value}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+      {book.subjects?.length > 0 && (
+        <ul className="flex flex-wrap gap-1">
+          {book.subjects.map(subject => (
+            <li key={subject} className="px-2 py-0.5 rounded-full bg-cream-dark text-xs text-charcoal-light">{subject}</li>
+          ))}
+        </ul>
+      )}
+    </>
+  )
+}
+
+function CoverForm({ book, onSave, onRemove, onCancel }) {
+  const [url, setUrl] = useState('')
+  const [error, setError] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const save = async (getSource) => {
+    setSaving(true)
+    setError(null)
+    try {
+      await onSave(await getSource())
+    } catch (err) {
+      setError(err.errors?.join('; ') || err.message)
+      setSaving(false)
+    }
+  }
+
+  const handleFile = (e) => {
+    const file = e.target.files[0]
+    if (file) save(async () => ({ dataUrl: await readCoverImage(file) }))
+  }
+
+  const handleUrl = (e) => {
+    e.preventDefault()
+    if (!/^https?:\/\/\S+$/.test(url.trim())) {
+      setError('Enter a web address starting with http:// or https://')
+      return
+    }
+    save(() => ({ url: url.trim() }))
+  }
+
+  return (
+    <div className="w-40 md:w-48 space-y-2 text-sm">
+      <input
+        type="file"
+        accept="image/*"
+        onChange={handleFile}
+        disabled={saving}
+        aria-label="Upload a cover image"
+        className="block w-full text-xs text-charcoal-light file:mr-2 file:px-2 file:py-1 file:rounded file:border-0 file:bg-charcoal file:text-cream hover:file:bg-charcoal-light"
+      />
+      <form onSubmit={handleUrl} className="flex gap-1">
+        <input
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="or paste an image URL"
+          disabled={saving}
+          className="min-w-0 flex-1 px-2 py-1 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal"
+        />
+        <button type="submit" disabled={saving} className="px-2 py-1 bg-charcoal text-cream rounded hover:bg-charcoal-light disabled:opacity-50">
+          Use
+        </button>
+      </form>
+      {error && <p className="text-red-600">{error}</p>}
+      <div className="flex gap-3">
+        {book.coverUrl && (
+          <button onClick={onRemove} disabled={saving} className="text-charcoal-lighter hover:text-red-600">
+            Remove cover
+          </button>
+        )}
+        <button onClick={onCancel} className="text-charcoal-light hover:text-charcoal">
+          Cancel
+        </button>
+      </div>
+    </div>
+  )
+}
+
+// The dates a book's current status uses
+const STATUS_DATES = {
+  reading: [['startedAt', 'Started']],
+  finished: [['startedAt', 'Started'], ['finishedAt', 'Finished']],
+  dnf: [['startedAt', 'Started'], ['abandonedAt', 'Stopped']],
+}
+
+function DatesForm({ book, onSave, onCancel }) {
+  const fields = STATUS_DATES[book.status] || []
+  const [dates, setDates] = useState(() => Object.fromEntries(fields.map(([name]) => [name, book[name] || ''])))
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onSave(Object.fromEntries(Object.entries(dates).map(([name, value]) => [name, value || null])))
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-4">
+      {fields.map(([name, label]) => (
+        <DateField
+          key={name}
+          label={label}
+          value={dates[name]}
+          onChange={(value) => setDates({ ...dates, [name]: value })}
+        />
+      ))}
+      <button type="submit" className="px-4 py-1 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors text-sm">
+        Save
+      </button>
+      <button type="button" onClick={onCancel} className="text-sm text-charcoal-light hover:text-charcoal">
+        Cancel
+      </button>
+    </form>
+  )
+}
+
 export default App
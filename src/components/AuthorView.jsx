@@ -0,0 +1,102 @@
+import { useMemo } from 'react'
+import { MAX_RATING } from '../lib/bookSchema'
+import { authorKey } from '../lib/bookMatching'
+import { ratingStars } from '../lib/exporters'
+import { STATUS_LABELS, formatDate } from '../lib/readingStatus'
+import { bookPath, seriesPath } from '../lib/router'
+import { listSeries, seriesLabel } from '../lib/series'
+import { sortByPriority } from '../lib/tbrQueue'
+import Link from './Link'
+
+const SECTIONS = ['reading', 'tbr', 'finished', 'dnf']
+
+// The TBR in queue order, finished books latest first
+function sortSection(status, books) {
+  if (status === 'tbr') return sortByPriority(books)
+  if (status === 'finished') return [...books].sort((a, b) => (b.finishedAt || '').localeCompare(a.finishedAt || ''))
+  return books
+}
+
+function AuthorBook({ book }) {
+  return (
+    <li className="bg-cream-dark rounded-lg p-4 flex items-center gap-4">
+      {book.coverUrl && <img src={book.coverUrl} alt="" loading="lazy" className="w-10 h-15 object-cover rounded shadow-sm" />}
+      <div className="flex-1 min-w-0">
+        <Link to={bookPath(book.id)} className="text-charcoal font-medium hover:underline">{book.title}</Link>
+        <p className="text-charcoal-lighter text-xs mt-1">
+          {[seriesLabel(book), book.finishedAt && book.status === 'finished' && formatDate(book.finishedAt)].filter(Boolean).join(' · ')}
+        </p>
+      </div>
+      {book.status === 'finished' && book.rating > 0 && (
+        <span className="text-amber-500" aria-label={`Rated ${book.rating} of ${MAX_RATING}`}>{ratingStars(book.rating)}</span>
+      )}
+    </li>
+  )
+}
+
+// Everything in the library by one author, across every shelf, with how
+// highly their finished books were rated on average
+function AuthorView({ books, name }) {
+  const byAuthor = useMemo(() => {
+    const key = authorKey(name)
+    return books.filter(book => authorKey(book.author) === key)
+  }, [books, name])
+
+  if (byAuthor.length === 0) {
+    return (
+      <div className="text-center py-16">
+        <p className="text-charcoal-light mb-4">There are no books by this author in your library.</p>
+        <Link to="/" className="text-accent underline">Back to your library</Link>
+      </div>
+    )
+  }
+
+  const rated = byAuthor.filter(book => book.status === 'finished' && book.rating > 0)
+  const averageRating = rated.length ? rated.reduce((sum, book) => sum + book.rating, 0) / rated.length : null
+  const series = listSeries(byAuthor)
+
+  return (
+    <section>
+      <h2 className="text-2xl font-light text-charcoal border-b-2 border-charcoal pb-2 mb-2 flex items-center gap-3">
+        {byAuthor[0].author}
+        <span className="ml-auto text-charcoal-lighter text-base font-normal">({byAuthor.length})</span>
+      </h2>
+      <p className="text-sm text-charcoal-light mb-6">
+        {averageRating === null
+          ? 'No finished books rated yet'
+          : `Average rating ${averageRating.toFixed(1)} of ${MAX_RATING} from ${rated.length} ${rated.length === 1 ? 'book' : 'books'}`}
+      </p>
+
+      {series.length > 0 && (
+        <p className="text-sm text-charcoal-light mb-6 flex flex-wrap gap-2 items-center">
+          Series:
+          {series.map(({ name: seriesName, count }) => (
+            <Link
+              key={seriesName}
+              to={seriesPath(seriesName)}
+              className="px-2 py-0.5 rounded-full bg-cream-dark text-xs text-charcoal-light hover:text-charcoal"
+            >
+              {seriesName} ({count})
+            </Link>
+          ))}
+        </p>
+      )}
+
+      {SECTIONS.map(status => {
+        const shelf = sortSection(status, byAuthor.filter(book => book.status === status))
+        return shelf.length > 0 && (
+          <div key={status} className="mb-8">
+            <h3 className="text-lg font-light text-charcoal border-b border-charcoal-lighter pb-1 mb-3">
+              {STATUS_LABELS[status]} <span className="text-charcoal-lighter text-sm">({shelf.length})</span>
+            </h3>
+            <ul className="space-y-3">
+              {shelf.map(book => <AuthorBook key={book.id} book={book} />)}
+            </ul>
+          </div>
+        )
+      })}
+    </section>
+  )
+}
+
+export default AuthorView
@@ -0,0 +1,206 @@
+import { useEffect, useState } from 'react'
+import { createBackup } from '../lib/backup'
+import * as booksApi from '../lib/booksApi'
+import { EXPORT_FORMATS, booksToCsv, booksToMarkdown, exportFilename } from '../lib/exporters'
+import Dialog from './Dialog'
+
+function downloadFile(filename, contentType, content) {
+  const url = URL.createObjectURL(new Blob([content], { type: contentType }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+const snapshotReasons = {
+  scheduled: 'Saved automatically',
+  restore: 'Before a restore',
+  manual: 'Saved by hand',
+}
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+
+// The copies of the library the server keeps, any of which can be restored
+function Snapshots({ onRestore, buttonClass }) {
+  const [snapshots, setSnapshots] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [status, setStatus] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    booksApi.fetchSnapshots()
+      .then(list => !cancelled && setSnapshots(list))
+      .catch(() => !cancelled && setStatus({ ok: false, message: "Earlier versions couldn't be loaded." }))
+    return () => { cancelled = true }
+  }, [])
+
+  const run = async (action, message) => {
+    setBusy(true)
+    setStatus(null)
+    try {
+      await action()
+      setSnapshots(await booksApi.fetchSnapshots())
+      setStatus({ ok: true, message })
+    } catch (err) {
+      setStatus({ ok: false, message: err.message })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const restore = (snapshot) => {
+    if (!window.confirm(`Put your library back as it was on ${formatTime(snapshot.takenAt)}? Your library as it is now is saved first.`)) {
+      return
+    }
+    run(() => onRestore(snapshot.id), 'Library restored.')
+  }
+
+  return (
+    <section className="space-y-3 mb-8">
+      <h4 className="text-sm text-charcoal-light flex items-center justify-between">
+        Earlier versions
+        <button onClick={() => run(booksApi.takeSnapshot, 'Saved a copy of your library.')} disabled={busy} className="text-accent hover:underline disabled:opacity-50">
+          Save a copy now
+        </button>
+      </h4>
+      {snapshots === null ? (
+        !status && <p className="text-sm text-charcoal-lighter">Loading...</p>
+      ) : snapshots.length === 0 ? (
+        <p className="text-sm text-charcoal-lighter italic">None yet. A copy is saved before your library changes, at most once an hour.</p>
+      ) : (
+        <ul className="max-h-48 overflow-y-auto divide-y divide-cream-dark text-sm">
+          {snapshots.map(snapshot => (
+            <li key={snapshot.id} className="flex items-center justify-between gap-3 py-2">
+              <span>
+                <span className="text-charcoal">{formatTime(snapshot.takenAt)}</span>
+                <span className="block text-xs text-charcoal-lighter">
+                  {snapshotReasons[snapshot.reason]} · {snapshot.bookCount} {snapshot.bookCount === 1 ? 'book' : 'books'}
+                </span>
+              </span>
+              <button onClick={() => restore(snapshot)} disabled={busy} className={`${buttonClass} disabled:opacity-50`}>
+                Restore
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {status && (
+        <p className={`text-sm ${status.ok ? 'text-green-700' : 'text-red-600'}`}>{status.message}</p>
+      )}
+    </section>
+  )
+}
+
+function BackupDialog({ books, remote, onRestore, onRestoreSnapshot, onClose }) {
+  const [mode, setMode] = useState('merge')
+  const [file, setFile] = useState(null)
+  const [status, setStatus] = useState(null)
+  const [restoring, setRestoring] = useState(false)
+
+  const download = (format) => {
+    const content = {
+      json: () => JSON.stringify(createBackup(books), null, 2),
+      csv: () => booksToCsv(books),
+      markdown: () => booksToMarkdown(books),
+    }[format]()
+    downloadFile(exportFilename(format), EXPORT_FORMATS[format].contentType, content)
+  }
+
+  const handleRestore = async () => {
+    if (!file) return
+    if (mode === 'replace' && !window.confirm('Replace your whole library with this backup? Books not in the backup will be deleted.')) {
+      return
+    }
+    setRestoring(true)
+    setStatus(null)
+    try {
+      await onRestore(JSON.parse(await file.text()), mode)
+      setStatus({ ok: true, message: 'Backup restored.' })
+    } catch (err) {
+      const message = err instanceof SyntaxError ? "This file isn't valid JSON." : err.errors?.join('; ') || err.message
+      setStatus({ ok: false, message })
+    } finally {
+      setRestoring(false)
+    }
+  }
+
+  const buttonClass = 'px-4 py-2 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark transition-colors text-sm'
+
+  return (
+    <Dialog label="Export & Backup" onClose={onClose}>
+      <div className="bg-cream rounded-lg shadow-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+        <h3 className="text-xl font-light text-charcoal mb-6 border-b border-charcoal-lighter pb-2">
+          Export &amp; Backup
+        </h3>
+
+        <section className="space-y-3 mb-8">
+          <h4 className="text-sm text-charcoal-light">Download</h4>
+          <div className="flex flex-wrap gap-2">
+            {remote ? (
+              // The server inlines cover images into the backup
+              <a href="/api/export?format=json" download className={buttonClass}>
+                Full backup (JSON)
+              </a>
+            ) : (
+              <button onClick={() => download('json')} className={buttonClass}>
+                Full backup (JSON)
+              </button>
+            )}
+            <button onClick={() => download('csv')} className={buttonClass}>
+              Spreadsheet (CSV)
+            </button>
+            <button onClick={() => download('markdown')} className={buttonClass}>
+              Reading journal (Markdown)
+            </button>
+          </div>
+        </section>
+
+        {remote && <Snapshots onRestore={onRestoreSnapshot} buttonClass={buttonClass} />}
+
+        <section className="space-y-3">
+          <h4 className="text-sm text-charcoal-light">Restore from backup</h4>
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            className="block w-full text-sm text-charcoal-light file:mr-4 file:px-4 file:py-2 file:rounded file:border-0 file:bg-charcoal file:text-cream hover:file:bg-charcoal-light"
+          />
+          <div className="flex gap-4 text-sm text-charcoal-light">
+            <label className="flex items-center gap-2">
+              <input type="radio" name="restore-mode" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+              Merge with my library
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="radio" name="restore-mode" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+              Replace my library
+            </label>
+          </div>
+          {status && (
+            <p className={`text-sm ${status.ok ? 'text-green-700' : 'text-red-600'}`}>{status.message}</p>
+          )}
+        </section>
+
+        <div className="flex gap-3 pt-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-4 py-2 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark transition-colors"
+          >
+            Close
+          </button>
+          <button
+            onClick={handleRestore}
+            disabled={!file || restoring}
+            className="flex-1 px-4 py-2 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors disabled:opacity-50"
+          >
+            {restoring ? 'Restoring...' : 'Restore'}
+          </button>
+        </div>
+      </div>
+    </Dialog>
+  )
+}
+
+export default BackupDialog
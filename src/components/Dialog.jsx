@@ -0,0 +1,70 @@
+import { useEffect, useRef, useState } from 'react'
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ')
+
+// A modal over the page. Focus moves into it when it opens (to an
+// autoFocus field if there is one), Tab stays inside it, Escape closes it,
+// and focus goes back where it was when it closes. `label` names it for
+// screen readers; the panel itself comes in as children.
+function Dialog({ label, onClose, children }) {
+  const ref = useRef(null)
+  // Taken while rendering, before an autoFocus field inside moves focus
+  const [opener] = useState(() => document.activeElement)
+
+  useEffect(() => {
+    const dialog = ref.current
+    if (!dialog.contains(document.activeElement)) {
+      (dialog.querySelector(FOCUSABLE) || dialog).focus()
+    }
+    return () => {
+      if (opener?.isConnected) opener.focus()
+    }
+  }, [opener])
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation()
+      onClose()
+      return
+    }
+    if (e.key !== 'Tab') return
+
+    const focusable = [...ref.current.querySelectorAll(FOCUSABLE)]
+    if (focusable.length === 0) {
+      e.preventDefault()
+      return
+    }
+    const first = focusable[0]
+    const last = focusable.at(-1)
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === ref.current)) {
+      e.preventDefault()
+      last.focus()
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault()
+      first.focus()
+    }
+  }
+
+  return (
+    <div
+      ref={ref}
+      role="dialog"
+      aria-modal="true"
+      aria-label={label}
+      tabIndex={-1}
+      onKeyDown={handleKeyDown}
+      className="fixed inset-0 bg-charcoal/50 flex items-center justify-center p-4 z-50 focus:outline-none"
+    >
+      {children}
+    </div>
+  )
+}
+
+export default Dialog
@@ -0,0 +1,102 @@
+import { useMemo, useState } from 'react'
+import { duplicatePairs } from '../lib/bookMatching'
+import { STATUS_LABELS, formatDate } from '../lib/readingStatus'
+import { bookPath } from '../lib/router'
+import Link from './Link'
+import MergeBooksDialog from './MergeBooksDialog'
+
+const pairKey = ([a, b]) => `${a.id}:${b.id}`
+
+// Pairs marked "not the same book" stay hidden on this device
+function loadDistinct(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || []
+  } catch {
+    return []
+  }
+}
+
+function BookSummary({ book }) {
+  return (
+    <div className="flex-1 min-w-0">
+      <Link to={bookPath(book.id)} className="text-charcoal font-medium hover:underline">{book.title}</Link>
+      <p className="text-charcoal-light text-sm">by {book.author}</p>
+      <p className="text-charcoal-lighter text-xs mt-1">
+        {STATUS_LABELS[book.status]} · added {formatDate(new Date(book.id).toISOString().slice(0, 10))}
+        {book.isbn && ` · ISBN ${book.isbn}`}
+      </p>
+    </div>
+  )
+}
+
+// Books that look like they were entered twice, most alike first, each
+// pair either merged or set aside as different books
+function DuplicatesView({ books, storageKey, onMerge }) {
+  const distinctKey = `${storageKey}:distinct-books`
+  const [distinct, setDistinct] = useState(() => loadDistinct(distinctKey))
+  const [merging, setMerging] = useState(null)
+
+  const pairs = useMemo(() => duplicatePairs(books), [books])
+  const shown = pairs.filter(pair => !distinct.includes(pairKey(pair.books)))
+
+  const markDistinct = (pair) => {
+    const next = [...distinct, pairKey(pair.books)]
+    setDistinct(next)
+    localStorage.setItem(distinctKey, JSON.stringify(next))
+  }
+
+  return (
+    <section>
+      <h2 className="text-2xl font-light text-charcoal border-b-2 border-charcoal pb-2 mb-6 flex items-center gap-3">
+        Possible Duplicates
+        <span className="text-charcoal-lighter text-base font-normal">({shown.length})</span>
+      </h2>
+
+      {shown.length === 0 ? (
+        <div className="text-center py-16">
+          <p className="text-charcoal-lighter italic mb-4">No duplicates found.</p>
+          <Link to="/" className="text-accent underline">Back to your library</Link>
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {shown.map(pair => (
+            <li key={pairKey(pair.books)} className="bg-cream-dark rounded-lg p-4 space-y-3">
+              <div className="flex flex-col sm:flex-row gap-3">
+                <BookSummary book={pair.books[0]} />
+                <BookSummary book={pair.books[1]} />
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setMerging(pair.books)}
+                  className="px-4 py-2 bg-accent text-cream rounded hover:bg-accent-light transition-colors text-sm"
+                >
+                  Merge…
+                </button>
+                <button
+                  onClick={() => markDistinct(pair)}
+                  className="px-4 py-2 text-charcoal-lighter hover:text-charcoal transition-colors text-sm"
+                >
+                  Not the same book
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {merging && (
+        <MergeBooksDialog
+          kept={merging[0]}
+          other={merging[1]}
+          onMerge={(choices) => {
+            onMerge(merging[0].id, merging[1].id, choices)
+            setMerging(null)
+          }}
+          onCancel={() => setMerging(null)}
+        />
+      )}
+    </section>
+  )
+}
+
+export default DuplicatesView
@@ -0,0 +1,185 @@
+import { useState } from 'react'
+import { READ_LEVELS } from '../lib/bookSchema'
+import { MAX_GOAL_TARGET, goalLabel, goalProgress, paceLabel, validateGoals } from '../lib/goals'
+import Dialog from './Dialog'
+
+const typeLabels = {
+  books: 'Books finished',
+  readLevel: 'Books of a read level',
+  newAuthors: 'New authors',
+  pages: 'Pages read',
+}
+
+const levelLabels = {
+  easy: 'Easy / Relaxing',
+  moderate: 'Moderate',
+  academic: 'Academic / Dense'
+}
+
+const paceColors = {
+  done: 'text-green-700',
+  ahead: 'text-green-700',
+  'on-pace': 'text-charcoal-light',
+  behind: 'text-amber-700',
+  missed: 'text-red-600',
+  upcoming: 'text-charcoal-lighter',
+}
+
+export function GoalProgressBar({ progress }) {
+  return (
+    <div className="h-2 bg-cream rounded-full overflow-hidden">
+      <div className="h-full bg-accent transition-all" style={{ width: `${progress.percent}%` }} />
+    </div>
+  )
+}
+
+function GoalsDialog({ goals, books, onSave, onClose }) {
+  const thisYear = new Date().getFullYear()
+  const [type, setType] = useState('books')
+  const [target, setTarget] = useState('')
+  const [readLevel, setReadLevel] = useState('academic')
+  const [year, setYear] = useState(thisYear)
+  const [errors, setErrors] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  const save = async (next) => {
+    const problems = validateGoals(next)
+    if (problems.length > 0) {
+      setErrors(problems)
+      return false
+    }
+    setSaving(true)
+    setErrors([])
+    try {
+      await onSave(next)
+      return true
+    } catch (err) {
+      setErrors(err.errors || [err.message])
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    const goal = { id: Date.now(), year: Number(year), type, target: Number(target) }
+    if (type === 'readLevel') goal.readLevel = readLevel
+    if (await save([...goals, goal])) setTarget('')
+  }
+
+  const sorted = [...goals].sort((a, b) => b.year - a.year || a.id - b.id)
+
+  return (
+    <Dialog label="Goals & Challenges" onClose={onClose}>
+      <div className="bg-cream rounded-lg shadow-xl max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+        <h3 className="text-xl font-light text-charcoal mb-6 border-b border-charcoal-lighter pb-2">
+          Goals &amp; Challenges
+        </h3>
+
+        {sorted.length === 0 ? (
+          <p className="text-charcoal-lighter italic text-center py-4">No goals yet. Set one below.</p>
+        ) : (
+          <ul className="space-y-4 mb-6">
+            {sorted.map(goal => {
+              const progress = goalProgress(goal, books)
+              return (
+                <li key={goal.id} className="space-y-1">
+                  <div className="flex items-center justify-between gap-3 text-sm">
+                    <span className="text-charcoal">{goalLabel(goal)}</span>
+                    <button
+                      onClick={() => save(goals.filter(g => g.id !== goal.id))}
+                      disabled={saving}
+                      className="text-charcoal-lighter hover:text-red-600 transition-colors"
+                      title="Remove goal"
+                      aria-label={`Remove goal: ${goalLabel(goal)}`}
+                    >
+                      ×
+                    </button>
+                  </div>
+                  <GoalProgressBar progress={progress} />
+                  <div className="flex justify-between text-xs">
+                    <span className="text-charcoal-lighter">
+                      {progress.count.toLocaleString()} of {progress.target.toLocaleString()}
+                    </span>
+                    <span className={paceColors[progress.pace]}>{paceLabel(progress, goal)}</span>
+                  </div>
+                </li>
+              )
+            })}
+          </ul>
+        )}
+
+        <form onSubmit={handleAdd} className="space-y-3 border-t border-cream-dark pt-4">
+          <h4 className="text-sm text-charcoal-light">New goal</h4>
+          <div className="flex flex-wrap gap-3">
+            <select
+              value={type}
+              onChange={(e) => setType(e.target.value)}
+              className="px-3 py-2 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal"
+            >
+              {Object.entries(typeLabels).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {type === 'readLevel' && (
+              <select
+                value={readLevel}
+                onChange={(e) => setReadLevel(e.target.value)}
+                className="px-3 py-2 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal"
+              >
+                {READ_LEVELS.map(level => <option key={level} value={level}>{levelLabels[level]}</option>)}
+              </select>
+            )}
+          </div>
+          <div className="flex flex-wrap gap-3 items-center text-sm text-charcoal-light">
+            <input
+              type="number"
+              min="1"
+              max={MAX_GOAL_TARGET}
+              value={target}
+              onChange={(e) => setTarget(e.target.value)}
+              className="w-28 px-3 py-2 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal"
+              placeholder="Target"
+              required
+            />
+            in
+            <input
+              type="number"
+              min={thisYear - 10}
+              max={thisYear + 5}
+              value={year}
+              onChange={(e) => setYear(e.target.value)}
+              className="w-24 px-3 py-2 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal"
+              required
+            />
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors disabled:opacity-50"
+            >
+              Add goal
+            </button>
+          </div>
+          {errors.length > 0 && (
+            <ul className="text-sm text-red-600 list-disc pl-5">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+        </form>
+
+        <div className="pt-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="w-full px-4 py-2 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </Dialog>
+  )
+}
+
+export default GoalsDialog
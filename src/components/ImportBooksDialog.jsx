@@ -0,0 +1,149 @@
+import { useState } from 'react'
+import { candidatesToBooks, formatLabel, parseImport } from '../lib/importers'
+import { SCHEMA_VERSION } from '../lib/bookSchema'
+import { STATUS_LABELS } from '../lib/readingStatus'
+import Dialog from './Dialog'
+
+const levelLabels = {
+  easy: 'Easy / Relaxing',
+  moderate: 'Moderate',
+  academic: 'Academic / Dense'
+}
+
+function ImportBooksDialog({ books, onImport, onCancel }) {
+  const [preview, setPreview] = useState(null)
+  const [error, setError] = useState(null)
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+    setError(null)
+    try {
+      const { format, candidates } = parseImport(await file.text(), books)
+      setPreview({
+        format,
+        // Duplicates of books already in the library start out skipped
+        rows: candidates.map(candidate => ({ ...candidate, accepted: candidate.duplicateOf === null })),
+      })
+    } catch (err) {
+      setError(err.message)
+      setPreview(null)
+    }
+  }
+
+  const updateRow = (key, updates) => {
+    setPreview(prev => ({
+      ...prev,
+      rows: prev.rows.map(row => row.key === key ? { ...row, ...updates } : row),
+    }))
+  }
+
+  const setAll = (accepted) => {
+    setPreview(prev => ({ ...prev, rows: prev.rows.map(row => ({ ...row, accepted })) }))
+  }
+
+  const accepted = preview ? preview.rows.filter(row => row.accepted) : []
+
+  const handleImport = () => {
+    onImport(candidatesToBooks(accepted, books, SCHEMA_VERSION))
+  }
+
+  return (
+    <Dialog label="Import Books" onClose={onCancel}>
+      <div className="bg-cream rounded-lg shadow-xl max-w-3xl w-full p-6 max-h-[90vh] flex flex-col">
+        <h3 className="text-xl font-light text-charcoal mb-6 border-b border-charcoal-lighter pb-2">
+          Import Books
+        </h3>
+
+        <div className="space-y-2 mb-4">
+          <label className="block text-sm text-charcoal-light">
+            Choose a Goodreads (<code>goodreads_library_export.csv</code>) or StoryGraph CSV export
+          </label>
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFile}
+            className="block w-full text-sm text-charcoal-light file:mr-4 file:px-4 file:py-2 file:rounded file:border-0 file:bg-charcoal file:text-cream hover:file:bg-charcoal-light"
+          />
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+
+        {preview && (
+          <>
+            <div className="flex items-center justify-between text-sm text-charcoal-lighter mb-2">
+              <span>
+                {formatLabel(preview.format)} export: {preview.rows.length} books, {accepted.length} selected
+              </span>
+              <span className="flex gap-3">
+                <button onClick={() => setAll(true)} className="hover:text-accent">Select all</button>
+                <button onClick={() => setAll(false)} className="hover:text-accent">Select none</button>
+              </span>
+            </div>
+
+            <div className="overflow-y-auto flex-1 border border-cream-dark rounded divide-y divide-cream-dark">
+              {preview.rows.map(row => (
+                <div
+                  key={row.key}
+                  className={`flex items-center gap-3 p-3 ${row.accepted ? '' : 'opacity-50'}`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={row.accepted}
+                    onChange={(e) => updateRow(row.key, { accepted: e.target.checked })}
+                    aria-label={`Import ${row.title}`}
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-charcoal truncate">{row.title}</p>
+                    <p className="text-xs text-charcoal-lighter">
+                      by {row.author} · {STATUS_LABELS[row.status]}
+                      {row.shelf && row.shelf !== 'read' && row.shelf !== 'to-read' && ` (was "${row.shelf}")`}
+                      {row.rating > 0 && ` · ${'★'.repeat(row.rating)}`}
+                      {row.notes && ' · has review'}
+                    </p>
+                    {row.duplicateOf !== null && (
+                      <p className="text-xs text-amber-700">Already in your library</p>
+                    )}
+                  </div>
+                  <select
+                    value={row.readLevel}
+                    onChange={(e) => updateRow(row.key, { readLevel: e.target.value, readLevelInferred: true })}
+                    className={`px-2 py-1 text-sm border rounded bg-cream-dark focus:outline-none focus:border-charcoal ${
+                      row.readLevelInferred ? 'border-charcoal-lighter' : 'border-amber-500'
+                    }`}
+                    title={row.readLevelInferred ? 'Read level' : 'Read level (guessed, please check)'}
+                  >
+                    {Object.entries(levelLabels).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-charcoal-lighter mt-2">
+              Read levels outlined in amber couldn't be inferred from your shelves and default to Moderate.
+            </p>
+          </>
+        )}
+
+        <div className="flex gap-3 pt-4">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex-1 px-4 py-2 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={accepted.length === 0}
+            className="flex-1 px-4 py-2 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors disabled:opacity-50"
+          >
+            Import {accepted.length > 0 ? accepted.length : ''} {accepted.length === 1 ? 'Book' : 'Books'}
+          </button>
+        </div>
+      </div>
+    </Dialog>
+  )
+}
+
+export default ImportBooksDialog
@@ -0,0 +1,203 @@
+import { useState } from 'react'
+import { MAX_CHAPTER_LENGTH, MAX_ENTRY_LENGTH, MAX_PAGE_COUNT } from '../lib/bookSchema'
+import { entryLocation, newEntryId, sortEntries } from '../lib/journal'
+import { formatDate, today } from '../lib/readingStatus'
+import Markdown from './Markdown'
+
+const inputClass = 'px-3 py-2 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal transition-colors'
+
+function EntryForm({ entry, onSave, onCancel }) {
+  const [values, setValues] = useState({
+    date: entry.date,
+    page: entry.page ?? '',
+    chapter: entry.chapter || '',
+    text: entry.text,
+  })
+  const [preview, setPreview] = useState(false)
+  const set = (changes) => setValues({ ...values, ...changes })
+  const quote = entry.type === 'quote'
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!values.text.trim()) return
+    onSave({
+      ...entry,
+      date: values.date || today(),
+      page: values.page === '' ? null : Number(values.page),
+      chapter: values.chapter.trim() || null,
+      text: values.text.trim(),
+    })
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 bg-cream-dark rounded p-4">
+      <div className="flex flex-wrap gap-3 text-sm text-charcoal-light">
+        <label className="flex items-center gap-2">
+          Date
+          <input type="date" value={values.date} onChange={(e) => set({ date: e.target.value })} className={inputClass} required />
+        </label>
+        <label className="flex items-center gap-2">
+          Page
+          <input
+            type="number"
+            min="0"
+            max={MAX_PAGE_COUNT}
+            value={values.page}
+            onChange={(e) => set({ page: e.target.value })}
+            className={`${inputClass} w-24`}
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          Chapter
+          <input
+            value={values.chapter}
+            onChange={(e) => set({ chapter: e.target.value })}
+            maxLength={MAX_CHAPTER_LENGTH}
+            className={`${inputClass} w-32`}
+          />
+        </label>
+      </div>
+      {preview ? (
+        <div className="min-h-32 px-4 py-3 border border-cream-dark rounded bg-cream text-charcoal-light">
+          <Markdown text={values.text || '*Nothing to preview*'} />
+        </div>
+      ) : (
+        <textarea
+          value={values.text}
+          onChange={(e) => set({ text: e.target.value })}
+          className={`${inputClass} w-full min-h-32 resize-y`}
+          placeholder={quote ? 'The passage, word for word...' : 'What are you thinking?'}
+          maxLength={MAX_ENTRY_LENGTH}
+          aria-label={quote ? 'Quote' : 'Note'}
+          autoFocus
+        />
+      )}
+      <div className="flex items-center gap-3">
+        <button type="submit" className="px-6 py-2 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors">
+          {quote ? 'Save Quote' : 'Save Note'}
+        </button>
+        <button type="button" onClick={onCancel} className="text-sm text-charcoal-light hover:text-charcoal">
+          Cancel
+        </button>
+        <button type="button" onClick={() => setPreview(!preview)} className="ml-auto text-sm text-charcoal-light hover:text-charcoal">
+          {preview ? 'Write' : 'Preview'}
+        </button>
+      </div>
+      <p className="text-xs text-charcoal-lighter">
+        Markdown works here: **bold**, *italic*, &gt; quotes, - lists and [links](https://…).
+      </p>
+    </form>
+  )
+}
+
+function Entry({ entry, onEdit, onDelete }) {
+  const location = entryLocation(entry)
+
+  return (
+    <li className="space-y-2">
+      <div className="flex items-center gap-2 text-xs text-charcoal-lighter">
+        <span>{formatDate(entry.date)}</span>
+        {location && <span>· {location}</span>}
+        {entry.type === 'quote' && <span className="px-2 rounded-full bg-cream-dark">Quote</span>}
+        <span className="ml-auto flex gap-3">
+          <button onClick={onEdit} className="hover:text-charcoal">Edit</button>
+          <button onClick={onDelete} className="hover:text-red-600">Delete</button>
+        </span>
+      </div>
+      {entry.type === 'quote' ? (
+        <blockquote className="border-l-4 border-accent pl-4 text-charcoal font-serif text-lg">
+          <Markdown text={entry.text} />
+        </blockquote>
+      ) : (
+        <Markdown text={entry.text} className="text-charcoal-light" />
+      )}
+    </li>
+  )
+}
+
+const FILTERS = [['all', 'All'], ['note', 'Notes'], ['quote', 'Quotes']]
+
+// A book's journal: dated notes and saved quotes, written at any point
+// while reading and after. `onChange` receives the whole new journal.
+function Journal({ book, onChange }) {
+  const [editing, setEditing] = useState(null)
+  const [filter, setFilter] = useState('all')
+  const journal = book.journal || []
+  const entries = sortEntries(journal).filter(entry => filter === 'all' || entry.type === filter)
+
+  const startEntry = (type) => setEditing({
+    id: newEntryId(journal),
+    type,
+    date: today(),
+    // While reading, entries are most likely about where we are now
+    page: book.status === 'reading' ? book.currentPage : null,
+    chapter: null,
+    text: '',
+  })
+
+  const save = (entry) => {
+    const exists = journal.some(e => e.id === entry.id)
+    onChange(exists ? journal.map(e => (e.id === entry.id ? entry : e)) : [...journal, entry])
+    setEditing(null)
+  }
+
+  const remove = (entry) => {
+    if (window.confirm(`Delete this ${entry.type}?`)) onChange(journal.filter(e => e.id !== entry.id))
+  }
+
+  return (
+    <section>
+      <h3 className="text-lg font-light text-charcoal border-b border-charcoal-lighter pb-1 mb-3 flex items-center gap-4">
+        Journal
+        {journal.length > 0 && (
+          <span className="flex gap-3 text-sm">
+            {FILTERS.map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setFilter(value)}
+                aria-pressed={filter === value}
+                className={filter === value ? 'text-charcoal' : 'text-charcoal-lighter hover:text-charcoal'}
+              >
+                {label}
+              </button>
+            ))}
+          </span>
+        )}
+        {!editing && (
+          <span className="ml-auto flex gap-3 text-sm">
+            <button onClick={() => startEntry('note')} className="text-accent hover:underline">+ Note</button>
+            <button onClick={() => startEntry('quote')} className="text-accent hover:underline">+ Quote</button>
+          </span>
+        )}
+      </h3>
+
+      {editing && !journal.some(e => e.id === editing.id) && (
+        <div className="mb-6">
+          <EntryForm entry={editing} onSave={save} onCancel={() => setEditing(null)} />
+        </div>
+      )}
+
+      {entries.length === 0 ? (
+        !editing && (
+          <p className="text-charcoal-lighter italic">
+            {journal.length === 0 ? 'Nothing written yet.' : `No ${filter === 'quote' ? 'quotes' : 'notes'} yet.`}
+          </p>
+        )
+      ) : (
+        <ol className="space-y-6">
+          {entries.map(entry => (
+            editing?.id === entry.id ? (
+              <li key={entry.id}>
+                <EntryForm entry={entry} onSave={save} onCancel={() => setEditing(null)} />
+              </li>
+            ) : (
+              <Entry key={entry.id} entry={entry} onEdit={() => setEditing(entry)} onDelete={() => remove(entry)} />
+            )
+          ))}
+        </ol>
+      )}
+    </section>
+  )
+}
+
+export default Journal
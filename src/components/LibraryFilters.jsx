@@ -0,0 +1,140 @@
+import { MAX_RATING, READ_LEVELS, STATUSES } from '../lib/bookSchema'
+import { SORTS, isFiltered } from '../lib/librarySearch'
+import { STATUS_LABELS } from '../lib/readingStatus'
+import { TAG_STYLES } from '../lib/tagStyles'
+
+const levelLabels = {
+  easy: 'Easy',
+  moderate: 'Moderate',
+  academic: 'Academic'
+}
+
+const toggle = (list, item) =>
+  list.includes(item) ? list.filter(i => i !== item) : [...list, item]
+
+function Chip({ active, onClick, className = 'border-charcoal-lighter text-charcoal-light hover:bg-cream-dark', children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      aria-pressed={active}
+      className={`px-3 py-1 rounded-full border text-xs transition-colors ${
+        active ? 'bg-charcoal text-cream border-charcoal' : className
+      }`}
+    >
+      {children}
+    </button>
+  )
+}
+
+function LibraryFilters({ query, onChange, shown, total, tags }) {
+  const ratings = Array.from({ length: MAX_RATING + 1 }, (_, i) => i)
+  const selectClass = 'px-2 py-1 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal'
+
+  return (
+    <div className="mb-8 space-y-3">
+      <input
+        id="library-search"
+        type="search"
+        value={query.q}
+        onChange={(e) => onChange({ q: e.target.value })}
+        placeholder="Search titles, authors, series, tags and journals..."
+        aria-label="Search the library"
+        aria-keyshortcuts="/"
+        className="w-full px-4 py-2 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal transition-colors"
+      />
+
+      <div className="flex flex-wrap items-center gap-2">
+        {STATUSES.map(status => (
+          <Chip
+            key={status}
+            active={query.statuses.includes(status)}
+            onClick={() => onChange({ statuses: toggle(query.statuses, status) })}
+          >
+            {STATUS_LABELS[status]}
+          </Chip>
+        ))}
+        <span className="w-px h-5 bg-charcoal-lighter/40 mx-1" />
+        {READ_LEVELS.map(level => (
+          <Chip
+            key={level}
+            active={query.levels.includes(level)}
+            onClick={() => onChange({ levels: toggle(query.levels, level) })}
+          >
+            {levelLabels[level]}
+          </Chip>
+        ))}
+      </div>
+
+      {tags.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          {tags.map(tag => (
+            <Chip
+              key={tag.name}
+              active={query.tags.includes(tag.name)}
+              onClick={() => onChange({ tags: toggle(query.tags, tag.name) })}
+              className={TAG_STYLES[tag.color]}
+            >
+              {tag.name}
+            </Chip>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-4 text-sm text-charcoal-light">
+        <label className="flex items-center gap-2">
+          Rating
+          <select
+            value={query.minRating}
+            onChange={(e) => onChange({ minRating: Number(e.target.value) })}
+            className={selectClass}
+          >
+            {ratings.map(r => <option key={r} value={r} disabled={r > query.maxRating}>{r}★</option>)}
+          </select>
+          to
+          <select
+            value={query.maxRating}
+            onChange={(e) => onChange({ maxRating: Number(e.target.value) })}
+            className={selectClass}
+          >
+            {ratings.map(r => <option key={r} value={r} disabled={r < query.minRating}>{r}★</option>)}
+          </select>
+        </label>
+
+        <label className="flex items-center gap-2">
+          Sort by
+          <select
+            value={query.sort}
+            onChange={(e) => onChange({ sort: e.target.value })}
+            className={selectClass}
+          >
+            {Object.entries(SORTS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {query.sort !== 'relevance' && (
+          <button
+            type="button"
+            onClick={() => onChange({ descending: !query.descending })}
+            className="hover:text-charcoal"
+            title={query.descending ? 'Descending' : 'Ascending'}
+          >
+            {query.descending ? '↓ Descending' : '↑ Ascending'}
+          </button>
+        )}
+
+        {isFiltered(query) && (
+          <span className="ml-auto flex items-center gap-3">
+            <span className="text-charcoal-lighter">Showing {shown} of {total}</span>
+            <button type="button" onClick={() => onChange(null)} className="underline hover:text-charcoal">
+              Clear filters
+            </button>
+          </span>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default LibraryFilters
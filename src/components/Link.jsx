@@ -0,0 +1,20 @@
+import { navigate } from '../lib/router'
+
+// An anchor that navigates without reloading the page. Modified clicks
+// (new tab, new window) are left to the browser.
+function Link({ to, onClick, children, ...props }) {
+  const handleClick = (e) => {
+    onClick?.(e)
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+    e.preventDefault()
+    navigate(to)
+  }
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  )
+}
+
+export default Link
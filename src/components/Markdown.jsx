@@ -0,0 +1,70 @@
+import { parseMarkdown } from '../lib/markdown'
+
+function Inline({ nodes }) {
+  return nodes.map((node, i) => {
+    if (node.type === 'text') return node.text
+    if (node.type === 'code') return <code key={i} className="px-1 rounded bg-cream-dark text-sm">{node.text}</code>
+    if (node.type === 'strong') return <strong key={i} className="font-semibold"><Inline nodes={node.children} /></strong>
+    if (node.type === 'em') return <em key={i}><Inline nodes={node.children} /></em>
+    return (
+      <a key={i} href={node.url} target="_blank" rel="noopener noreferrer" className="text-accent underline">
+        <Inline nodes={node.children} />
+      </a>
+    )
+  })
+}
+
+const headingClasses = {
+  1: 'text-lg font-medium text-charcoal',
+  2: 'font-medium text-charcoal',
+  3: 'text-sm font-medium uppercase tracking-wide text-charcoal-light',
+}
+
+function Blocks({ blocks }) {
+  return blocks.map((block, i) => {
+    if (block.type === 'heading') {
+      // Entries sit under the book's and the journal's headings
+      const Heading = `h${block.level + 3}`
+      return <Heading key={i} className={headingClasses[block.level]}><Inline nodes={block.children} /></Heading>
+    }
+    if (block.type === 'quote') {
+      return (
+        <blockquote key={i} className="border-l-2 border-accent-light pl-3 italic space-y-2">
+          <Blocks blocks={block.children} />
+        </blockquote>
+      )
+    }
+    if (block.type === 'list') {
+      const List = block.ordered ? 'ol' : 'ul'
+      return (
+        <List key={i} className={`pl-5 space-y-1 ${block.ordered ? 'list-decimal' : 'list-disc'}`}>
+          {block.items.map((item, j) => <li key={j}><Inline nodes={item} /></li>)}
+        </List>
+      )
+    }
+    if (block.type === 'codeBlock') {
+      return <pre key={i} className="p-3 rounded bg-cream-dark text-sm overflow-x-auto">{block.text}</pre>
+    }
+    return (
+      <p key={i}>
+        {block.lines.map((line, j) => (
+          <span key={j}>
+            {j > 0 && <br />}
+            <Inline nodes={line} />
+          </span>
+        ))}
+      </p>
+    )
+  })
+}
+
+// Renders a journal entry's Markdown
+function Markdown({ text, className = '' }) {
+  return (
+    <div className={`space-y-2 leading-relaxed ${className}`}>
+      <Blocks blocks={parseMarkdown(text)} />
+    </div>
+  )
+}
+
+export default Markdown
@@ -0,0 +1,138 @@
+import { useState } from 'react'
+import { ratingStars } from '../lib/exporters'
+import { combineJournals, defaultChoices, mergeBooks, mergeErrors } from '../lib/mergeBooks'
+import { STATUS_LABELS, formatDate } from '../lib/readingStatus'
+import { timesRead } from '../lib/reads'
+import Dialog from './Dialog'
+
+const addedOn = (book) => formatDate(new Date(book.id).toISOString().slice(0, 10))
+
+const entries = (count) => (count === 1 ? '1 journal entry' : `${count} journal entries`)
+
+function readingSummary(book) {
+  const date = book.finishedAt || book.abandonedAt || book.startedAt
+  const times = timesRead(book)
+  return [
+    STATUS_LABELS[book.status],
+    date && formatDate(date),
+    times > 1 && `read ${times} times`,
+  ].filter(Boolean).join(' · ')
+}
+
+const cover = (book) => (book.coverUrl
+  ? <img src={book.coverUrl} alt="" className="w-12 h-18 object-cover rounded shadow-sm" />
+  : <span className="text-charcoal-lighter italic">No cover</span>)
+
+// Each part that differs between the two books, and how to show it
+const PARTS = [
+  { name: 'title', label: 'Title', show: (book) => book.title, same: (a, b) => a.title === b.title },
+  { name: 'author', label: 'Author', show: (book) => book.author, same: (a, b) => a.author === b.author },
+  { name: 'coverUrl', label: 'Cover', show: cover, same: (a, b) => a.coverUrl === b.coverUrl },
+  {
+    name: 'rating',
+    label: 'Rating',
+    show: (book) => (book.rating ? ratingStars(book.rating) : 'Not rated'),
+    same: (a, b) => (a.rating || 0) === (b.rating || 0),
+  },
+  {
+    name: 'reading',
+    label: 'Reading status and dates',
+    show: readingSummary,
+    same: (a, b) => readingSummary(a) === readingSummary(b),
+  },
+]
+
+function Choice({ name, value, checked, onChange, children }) {
+  return (
+    <label className={`flex items-start gap-2 p-2 rounded border cursor-pointer ${checked ? 'border-charcoal bg-cream-dark' : 'border-cream-dark'}`}>
+      <input type="radio" name={name} value={value} checked={checked} onChange={() => onChange(value)} className="mt-1" />
+      <span className="text-sm text-charcoal-light min-w-0 break-words">{children}</span>
+    </label>
+  )
+}
+
+// Picks, part by part, what the merged book keeps. `kept` is the book
+// added first, which the other is merged into.
+function MergeBooksDialog({ kept, other, onMerge, onCancel }) {
+  const [choices, setChoices] = useState(() => defaultChoices(kept, other))
+  const merged = { ...kept, ...mergeBooks(kept, other, choices) }
+  const errors = mergeErrors(kept, other, choices)
+  const choose = (name) => (value) => setChoices({ ...choices, [name]: value })
+  const parts = PARTS.filter(part => !part.same(kept, other))
+  const hasJournals = kept.journal.length > 0 && other.journal.length > 0
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (errors.length === 0) onMerge(choices)
+  }
+
+  return (
+    <Dialog label="Merge Books" onClose={onCancel}>
+      <form onSubmit={handleSubmit} className="bg-cream rounded-lg shadow-xl max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto space-y-5">
+        <h3 className="text-xl font-light text-charcoal border-b border-charcoal-lighter pb-2">
+          Merge Books
+        </h3>
+        <p className="text-sm text-charcoal-light">
+          The merged book keeps the date the first copy was added ({addedOn(kept)}). Tags, subjects and
+          edition details from both are kept; the second copy goes to the trash.
+        </p>
+
+        {parts.map(part => (
+          <fieldset key={part.name} className="space-y-2">
+            <legend className="text-sm text-charcoal mb-1">{part.label}</legend>
+            <div className="grid grid-cols-2 gap-2">
+              {[['kept', kept], ['other', other]].map(([value, book]) => (
+                <Choice key={value} name={part.name} value={value} checked={choices[part.name] === value} onChange={choose(part.name)}>
+                  {part.show(book)}
+                </Choice>
+              ))}
+            </div>
+          </fieldset>
+        ))}
+
+        {hasJournals ? (
+          <fieldset className="space-y-2">
+            <legend className="text-sm text-charcoal mb-1">Journal</legend>
+            <div className="grid grid-cols-3 gap-2">
+              <Choice name="journal" value="both" checked={choices.journal === 'both'} onChange={choose('journal')}>
+                Both ({entries(combineJournals(kept.journal, other.journal).length)})
+              </Choice>
+              {[['kept', kept], ['other', other]].map(([value, book]) => (
+                <Choice key={value} name="journal" value={value} checked={choices.journal === value} onChange={choose('journal')}>
+                  {value === 'kept' ? 'First copy' : 'Second copy'} ({entries(book.journal.length)})
+                </Choice>
+              ))}
+            </div>
+          </fieldset>
+        ) : (
+          <p className="text-sm text-charcoal-lighter">The merged book keeps {entries(merged.journal.length)}.</p>
+        )}
+
+        {errors.length > 0 && (
+          <ul className="text-sm text-red-600 list-disc pl-5">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        )}
+
+        <div className="flex gap-3 pt-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex-1 px-4 py-2 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={errors.length > 0}
+            className="flex-1 px-4 py-2 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors disabled:opacity-50"
+          >
+            Merge
+          </button>
+        </div>
+      </form>
+    </Dialog>
+  )
+}
+
+export default MergeBooksDialog
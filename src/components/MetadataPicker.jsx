@@ -0,0 +1,67 @@
+import { useState } from 'react'
+import { searchMetadata } from '../lib/metadata'
+
+// Looks a book up by title and author and lets the reader pick the right
+// edition. `selected` is the chosen candidate's key, if any.
+function MetadataPicker({ title, author, selected, onSelect }) {
+  const [candidates, setCandidates] = useState(null)
+  const [searching, setSearching] = useState(false)
+
+  const search = async () => {
+    setSearching(true)
+    setCandidates(await searchMetadata({ title, author }))
+    setSearching(false)
+  }
+
+  return (
+    <div className="space-y-2">
+      <button
+        type="button"
+        onClick={search}
+        disabled={searching || !(title.trim() || author.trim())}
+        className="text-sm text-accent hover:underline disabled:opacity-50 disabled:no-underline"
+      >
+        {searching ? 'Searching...' : candidates ? 'Search again' : 'Find cover & details'}
+      </button>
+
+      {candidates?.length === 0 && (
+        <p className="text-sm text-charcoal-lighter italic">No matches found.</p>
+      )}
+
+      {candidates?.length > 0 && (
+        <ul className="max-h-64 overflow-y-auto border border-charcoal-lighter rounded divide-y divide-cream-dark">
+          {candidates.map(candidate => (
+            <li key={candidate.key}>
+              <button
+                type="button"
+                onClick={() => onSelect(selected === candidate.key ? null : candidate)}
+                aria-pressed={selected === candidate.key}
+                className={`w-full flex gap-3 p-2 text-left transition-colors ${
+                  selected === candidate.key ? 'bg-cream-dark' : 'hover:bg-cream-dark/50'
+                }`}
+              >
+                <div className="flex-shrink-0 w-10 h-14 bg-cream-dark rounded overflow-hidden">
+                  {candidate.coverUrl && (
+                    <img src={candidate.coverUrl} alt="" className="w-full h-full object-cover" loading="lazy" />
+                  )}
+                </div>
+                <div className="min-w-0 text-sm">
+                  <p className="text-charcoal truncate">{candidate.title}</p>
+                  <p className="text-charcoal-light truncate">{candidate.author}</p>
+                  <p className="text-xs text-charcoal-lighter truncate">
+                    {[candidate.publishYear, candidate.publisher, candidate.pageCount && `${candidate.pageCount} pages`]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  </p>
+                </div>
+                {selected === candidate.key && <span className="ml-auto text-accent self-center">✓</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default MetadataPicker
@@ -0,0 +1,129 @@
+import { useState } from 'react'
+import { READ_LEVELS } from '../lib/bookSchema'
+import { pickNextRead } from '../lib/tbrQueue'
+import Dialog from './Dialog'
+
+const moodLabels = {
+  easy: 'Something easy',
+  moderate: 'Something in between',
+  academic: 'Something dense',
+}
+
+const moods = [[null, 'Anything'], ...READ_LEVELS.map(level => [level, moodLabels[level]])]
+
+// Suggests a book from the TBR to read next. Each "something else" skips the
+// books already suggested until there are none left.
+function NextReadDialog({ books, onStart, onClose }) {
+  const [readLevel, setReadLevel] = useState(null)
+  const [random, setRandom] = useState(false)
+  const [suggested, setSuggested] = useState([])
+  const [pick, setPick] = useState(null)
+  const [exhausted, setExhausted] = useState(false)
+
+  const suggest = (exclude) => {
+    const next = pickNextRead(books, { readLevel, random, exclude })
+    setPick(next)
+    setExhausted(!next)
+    setSuggested(next ? [...exclude, next.book.id] : exclude)
+  }
+
+  // A new mood or way of picking starts the suggestions over
+  const changeOptions = (updates) => {
+    if ('readLevel' in updates) setReadLevel(updates.readLevel)
+    if ('random' in updates) setRandom(updates.random)
+    setPick(null)
+    setExhausted(false)
+    setSuggested([])
+  }
+
+  return (
+    <Dialog label="What should I read next?" onClose={onClose}>
+      <div className="bg-cream rounded-lg shadow-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+        <h3 className="text-xl font-light text-charcoal mb-6 border-b border-charcoal-lighter pb-2">
+          What should I read next?
+        </h3>
+
+        <fieldset className="space-y-2 mb-4">
+          <legend className="text-sm text-charcoal-light mb-2">In the mood for</legend>
+          <div className="flex flex-wrap gap-2">
+            {moods.map(([level, label]) => (
+              <button
+                key={label}
+                type="button"
+                onClick={() => changeOptions({ readLevel: level })}
+                aria-pressed={readLevel === level}
+                className={`px-3 py-1 rounded-full border text-xs transition-colors ${
+                  readLevel === level
+                    ? 'bg-charcoal text-cream border-charcoal'
+                    : 'border-charcoal-lighter text-charcoal-light hover:bg-cream-dark'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </fieldset>
+
+        <label className="flex items-center gap-2 text-sm text-charcoal-light mb-6">
+          <input type="checkbox" checked={random} onChange={(e) => changeOptions({ random: e.target.checked })} />
+          Surprise me (a random pick, weighted toward the best matches)
+        </label>
+
+        {pick && (
+          <div className="bg-cream-dark rounded-lg p-4 mb-4 space-y-2">
+            <p className="text-lg text-charcoal">{pick.book.title}</p>
+            <p className="text-sm text-charcoal-light">by {pick.book.author}</p>
+            {pick.reasons.length > 0 && (
+              <ul className="text-xs text-charcoal-lighter list-disc pl-5">
+                {pick.reasons.map(reason => <li key={reason}>{reason}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+        {exhausted && (
+          <p className="text-sm text-charcoal-lighter italic mb-4">
+            {suggested.length > 0 ? "That's everything on your TBR." : 'Your TBR is empty.'}
+          </p>
+        )}
+
+        <div className="flex flex-wrap gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-4 py-2 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark transition-colors"
+          >
+            Close
+          </button>
+          {pick ? (
+            <>
+              <button
+                type="button"
+                onClick={() => suggest(suggested)}
+                className="flex-1 px-4 py-2 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark transition-colors"
+              >
+                Something else
+              </button>
+              <button
+                type="button"
+                onClick={() => onStart(pick.book.id)}
+                className="flex-1 px-4 py-2 bg-accent text-cream rounded hover:bg-accent-light transition-colors"
+              >
+                Start reading
+              </button>
+            </>
+          ) : (
+            <button
+              type="button"
+              onClick={() => suggest(exhausted ? [] : suggested)}
+              className="flex-1 px-4 py-2 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors"
+            >
+              {exhausted && suggested.length > 0 ? 'Start over' : 'Pick my next read'}
+            </button>
+          )}
+        </div>
+      </div>
+    </Dialog>
+  )
+}
+
+export default NextReadDialog
@@ -0,0 +1,144 @@
+import { useEffect, useState } from 'react'
+import * as booksApi from '../lib/booksApi'
+import { entryLocation } from '../lib/journal'
+import { formatDate } from '../lib/readingStatus'
+import { feedPath } from '../lib/sharing'
+import Markdown from './Markdown'
+
+const levelLabels = {
+  easy: 'Easy / Relaxing',
+  moderate: 'Moderate',
+  academic: 'Academic / Dense'
+}
+
+function Cover({ book }) {
+  if (!book.coverUrl) return null
+  return <img src={book.coverUrl} alt="" loading="lazy" className="w-16 h-24 object-cover rounded shadow-sm flex-shrink-0" />
+}
+
+function FinishedBook({ book }) {
+  return (
+    <li id={`book-${book.id}`} className="bg-cream-dark rounded-lg p-5 shadow-sm space-y-3">
+      <div className="flex gap-4">
+        <Cover book={book} />
+        <div>
+          <h3 className="text-lg font-medium text-charcoal">{book.title}</h3>
+          <p className="text-charcoal-light text-sm mt-1">by {book.author}</p>
+          <p className="text-charcoal-lighter text-xs mt-1">
+            {[levelLabels[book.readLevel], book.finishedAt && `Finished ${formatDate(book.finishedAt)}`].filter(Boolean).join(' · ')}
+          </p>
+          {book.rating > 0 && (
+            <p className="text-amber-500 mt-1" aria-label={`Rated ${book.rating} of 5`}>
+              {'★'.repeat(book.rating)}{'☆'.repeat(5 - book.rating)}
+            </p>
+          )}
+        </div>
+      </div>
+      {book.journal.length > 0 && (
+        <ul className="space-y-3">
+          {book.journal.map(entry => (
+            <li
+              key={entry.id}
+              className={`text-sm text-charcoal-light ${entry.type === 'quote' ? 'border-l-2 border-accent pl-3' : 'bg-cream rounded p-3'}`}
+            >
+              <Markdown text={entry.text} />
+              <p className="text-xs text-charcoal-lighter mt-1">
+                {[formatDate(entry.date), entryLocation(entry)].filter(Boolean).join(' · ')}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </li>
+  )
+}
+
+// Someone's shared bookshelf, read-only, as seen through their share link
+function PublicProfile({ token }) {
+  const [profile, setProfile] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    booksApi.fetchSharedProfile(token)
+      .then(data => !cancelled && setProfile(data))
+      .catch(err => {
+        if (cancelled) return
+        setError(err instanceof booksApi.NotFoundError
+          ? "This link doesn't lead to a shared bookshelf. It may have been turned off or replaced."
+          : "The bookshelf couldn't be loaded. Try again in a moment.")
+      })
+    return () => { cancelled = true }
+  }, [token])
+
+  const owner = profile?.displayName ? `${profile.displayName}'s` : 'A'
+
+  return (
+    <div className="min-h-screen bg-cream">
+      <header className="bg-charcoal text-cream py-8 px-4 shadow-lg">
+        <h1 className="text-3xl md:text-4xl font-light tracking-wide text-center">
+          {profile ? `${owner} Bookshelf` : 'Shared Bookshelf'}
+        </h1>
+        <p className="text-cream-dark text-center mt-2 text-sm tracking-widest uppercase">Reading Journal</p>
+        {profile && (
+          <p className="text-cream-dark text-center mt-3 text-xs">
+            Follow in a feed reader:{' '}
+            <a href={feedPath(token)} className="underline hover:text-cream">Atom</a>
+            {' · '}
+            <a href={feedPath(token, 'rss')} className="underline hover:text-cream">RSS</a>
+          </p>
+        )}
+      </header>
+
+      <main className="max-w-4xl mx-auto px-4 py-8">
+        {error ? (
+          <p className="text-charcoal-light text-center py-16">{error}</p>
+        ) : !profile ? (
+          <p className="text-charcoal-light text-center py-16">Loading...</p>
+        ) : (
+          <>
+            <section className="mb-12">
+              <h2 className="text-2xl font-light text-charcoal border-b-2 border-charcoal pb-2 mb-6 flex items-center gap-3">
+                <span className="text-accent">Finished</span>
+                <span className="ml-auto text-base text-charcoal-lighter">({profile.finished.length})</span>
+              </h2>
+              {profile.finished.length === 0 ? (
+                <p className="text-charcoal-lighter italic text-center py-8">Nothing here yet.</p>
+              ) : (
+                <ul className="grid gap-4">
+                  {profile.finished.map(book => <FinishedBook key={book.id} book={book} />)}
+                </ul>
+              )}
+            </section>
+
+            {profile.tbr && (
+              <section className="mb-12">
+                <h2 className="text-2xl font-light text-charcoal border-b-2 border-charcoal pb-2 mb-6 flex items-center gap-3">
+                  <span className="text-accent">Up Next</span>
+                  <span className="ml-auto text-base text-charcoal-lighter">({profile.tbr.length})</span>
+                </h2>
+                {profile.tbr.length === 0 ? (
+                  <p className="text-charcoal-lighter italic text-center py-8">Nothing here yet.</p>
+                ) : (
+                  <ol className="grid gap-3">
+                    {profile.tbr.map(book => (
+                      <li key={book.id} className="flex gap-4 items-center bg-cream-dark rounded-lg p-4">
+                        <Cover book={book} />
+                        <div>
+                          <p className="text-charcoal">{book.title}</p>
+                          <p className="text-charcoal-light text-sm">by {book.author}</p>
+                        </div>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </section>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  )
+}
+
+export default PublicProfile
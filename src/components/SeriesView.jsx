@@ -0,0 +1,104 @@
+import { useMemo } from 'react'
+import { STATUS_LABELS, formatDate } from '../lib/readingStatus'
+import { authorKey } from '../lib/bookMatching'
+import { authorPath, bookPath } from '../lib/router'
+import { isRead, seriesVolumes } from '../lib/series'
+import Link from './Link'
+
+function readingState(book) {
+  if (book.status === 'reading') return STATUS_LABELS.reading
+  if (isRead(book)) return book.finishedAt ? `Read · ${formatDate(book.finishedAt)}` : 'Read'
+  if (book.status === 'dnf') return STATUS_LABELS.dnf
+  return 'Unread'
+}
+
+const numberLabel = (number) => (number === null ? '–' : `#${number}`)
+
+// A series in reading order, read volumes ticked off, gaps in the library
+// shown, and the one to read next picked out
+function SeriesView({ books, name, onStart }) {
+  const series = useMemo(() => seriesVolumes(books, name), [books, name])
+
+  if (!series) {
+    return (
+      <div className="text-center py-16">
+        <p className="text-charcoal-light mb-4">There are no books in this series in your library.</p>
+        <Link to="/" className="text-accent underline">Back to your library</Link>
+      </div>
+    )
+  }
+
+  const volumes = series.entries.filter(entry => entry.book)
+  const readCount = volumes.filter(entry => isRead(entry.book)).length
+  // Usually one author; an anthology series may have several
+  const authors = [...new Map(volumes.map(({ book }) => [authorKey(book.author), book.author])).values()]
+
+  return (
+    <section>
+      <h2 className="text-2xl font-light text-charcoal border-b-2 border-charcoal pb-2 mb-2 flex items-center gap-3">
+        {series.name}
+        <span className="ml-auto text-charcoal-lighter text-base font-normal">
+          {readCount} of {volumes.length} read
+        </span>
+      </h2>
+      <p className="text-sm text-charcoal-light mb-6">
+        by{' '}
+        {authors.map((author, i) => (
+          <span key={author}>
+            {i > 0 && ', '}
+            <Link to={authorPath(author)} className="hover:underline">{author}</Link>
+          </span>
+        ))}
+      </p>
+
+      <ol className="space-y-3">
+        {series.entries.map((entry, i) => {
+          const next = entry === series.next
+          return entry.book ? (
+            <li
+              key={entry.book.id}
+              className={`bg-cream-dark rounded-lg p-4 flex items-center gap-4 border-l-4 ${next ? 'border-accent' : isRead(entry.book) ? 'border-charcoal' : 'border-transparent'}`}
+            >
+              <span className="w-10 text-charcoal-lighter text-sm">{numberLabel(entry.number)}</span>
+              {entry.book.coverUrl && (
+                <img src={entry.book.coverUrl} alt="" loading="lazy" className="w-10 h-15 object-cover rounded shadow-sm" />
+              )}
+              <div className="flex-1 min-w-0">
+                <Link to={bookPath(entry.book.id)} className="text-charcoal font-medium hover:underline">{entry.book.title}</Link>
+                <p className="text-charcoal-lighter text-xs mt-1">
+                  {next && <span className="text-accent font-medium">Up next · </span>}
+                  {readingState(entry.book)}
+                </p>
+              </div>
+              {next && entry.book.status === 'tbr' && (
+                <button
+                  onClick={() => onStart(entry.book.id)}
+                  className="px-4 py-2 bg-accent text-cream rounded hover:bg-accent-light transition-colors text-sm"
+                >
+                  Start Reading
+                </button>
+              )}
+            </li>
+          ) : (
+            <li
+              key={`missing-${i}`}
+              className={`rounded-lg p-4 flex items-center gap-4 border border-dashed ${next ? 'border-accent' : 'border-charcoal-lighter'}`}
+            >
+              <span className="w-10 text-charcoal-lighter text-sm">{numberLabel(entry.number)}</span>
+              <p className="text-charcoal-lighter text-sm italic">
+                {next && <span className="text-accent font-medium not-italic">Up next · </span>}
+                Not in your library
+              </p>
+            </li>
+          )
+        })}
+      </ol>
+
+      {!series.next && readCount === volumes.length && (
+        <p className="text-charcoal-lighter italic text-center py-8">You've read every book in this series you have.</p>
+      )}
+    </section>
+  )
+}
+
+export default SeriesView
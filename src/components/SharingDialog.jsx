@@ -0,0 +1,189 @@
+import { useEffect, useState } from 'react'
+import * as booksApi from '../lib/booksApi'
+import { sharedPath } from '../lib/router'
+import { DEFAULT_SHARING, MAX_DISPLAY_NAME_LENGTH, feedPath, validateSharingSettings } from '../lib/sharing'
+import Dialog from './Dialog'
+
+const settingsOf = (record) =>
+  Object.fromEntries(Object.keys(DEFAULT_SHARING).map(name => [name, record[name]]))
+
+// Turns the public profile on or off, says what it shows and hands out its
+// link. Books can be kept off it from their own pages.
+function SharingDialog({ onUnauthorized, onClose }) {
+  const [record, setRecord] = useState(null)
+  const [settings, setSettings] = useState(DEFAULT_SHARING)
+  const [errors, setErrors] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [copied, setCopied] = useState(false)
+
+  const load = (next) => {
+    setRecord(next)
+    setSettings(settingsOf(next))
+  }
+
+  const fail = (err) => {
+    if (err instanceof booksApi.UnauthorizedError) onUnauthorized?.()
+    setErrors(err.errors || [err.message])
+  }
+
+  useEffect(() => {
+    let cancelled = false
+    booksApi.fetchSharing()
+      .then(next => {
+        if (cancelled) return
+        setRecord(next)
+        setSettings(settingsOf(next))
+      })
+      .catch(err => {
+        if (cancelled) return
+        if (err instanceof booksApi.UnauthorizedError) onUnauthorized?.()
+        setErrors(["Sharing settings couldn't be loaded."])
+      })
+    return () => { cancelled = true }
+  }, [onUnauthorized])
+
+  const run = async (action) => {
+    setSaving(true)
+    setErrors([])
+    setCopied(false)
+    try {
+      load(await action())
+    } catch (err) {
+      if (err instanceof booksApi.ConflictError) {
+        load(err.current)
+        setErrors(['Sharing was changed on another device. Check the settings and try again.'])
+      } else {
+        fail(err)
+      }
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    const problems = validateSharingSettings(settings)
+    if (problems.length > 0) {
+      setErrors(problems)
+      return
+    }
+    run(() => booksApi.saveSharing(settings, record.version))
+  }
+
+  const renew = () => {
+    if (window.confirm('Make a new link? Anyone with the current link will lose access.')) {
+      run(booksApi.renewShareLink)
+    }
+  }
+
+  const link = record?.token ? `${window.location.origin}${sharedPath(record.token)}` : null
+
+  const copy = async () => {
+    await navigator.clipboard.writeText(link)
+    setCopied(true)
+  }
+
+  const set = (name) => (e) =>
+    setSettings({ ...settings, [name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value })
+
+  return (
+    <Dialog label="Public Profile" onClose={onClose}>
+      <form onSubmit={handleSave} className="bg-cream rounded-lg shadow-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto space-y-4">
+        <h3 className="text-xl font-light text-charcoal border-b border-charcoal-lighter pb-2">
+          Public Profile
+        </h3>
+
+        {!record ? (
+          errors.length === 0 && <p className="text-sm text-charcoal-lighter">Loading...</p>
+        ) : (
+          <>
+            <p className="text-sm text-charcoal-light">
+              A read-only page of the books you've finished, for anyone you give the link to.
+            </p>
+
+            <label className="flex items-center gap-2 text-sm text-charcoal">
+              <input type="checkbox" checked={settings.enabled} onChange={set('enabled')} />
+              Share my bookshelf
+            </label>
+
+            <div className={`space-y-3 ${settings.enabled ? '' : 'opacity-50'}`}>
+              <label className="block text-sm text-charcoal-light">
+                Name to show
+                <input
+                  type="text"
+                  value={settings.displayName}
+                  onChange={set('displayName')}
+                  maxLength={MAX_DISPLAY_NAME_LENGTH}
+                  disabled={!settings.enabled}
+                  placeholder="Leave blank to stay anonymous"
+                  className="mt-1 w-full px-3 py-2 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal"
+                />
+              </label>
+              <label className="flex items-center gap-2 text-sm text-charcoal-light">
+                <input type="checkbox" checked={settings.showJournal} onChange={set('showJournal')} disabled={!settings.enabled} />
+                Show journals and reviews of finished books
+              </label>
+              <label className="flex items-center gap-2 text-sm text-charcoal-light">
+                <input type="checkbox" checked={settings.showTbr} onChange={set('showTbr')} disabled={!settings.enabled} />
+                Show my TBR
+              </label>
+            </div>
+
+            {link && record.enabled && (
+              <div className="space-y-2 border-t border-cream-dark pt-4">
+                <p className="text-sm text-charcoal-light">Your link</p>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    readOnly
+                    value={link}
+                    onFocus={(e) => e.target.select()}
+                    aria-label="Share link"
+                    className="flex-1 min-w-0 px-3 py-2 border border-charcoal-lighter rounded bg-cream-dark text-xs text-charcoal-light"
+                  />
+                  <button type="button" onClick={copy} className="px-3 py-2 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark text-sm">
+                    {copied ? 'Copied' : 'Copy'}
+                  </button>
+                </div>
+                <p className="text-xs text-charcoal-lighter">
+                  Finished books are also in a feed for feed readers and blogs:{' '}
+                  <a href={feedPath(record.token)} className="text-accent underline">Atom</a>
+                  {' · '}
+                  <a href={feedPath(record.token, 'rss')} className="text-accent underline">RSS</a>
+                </p>
+                <button type="button" onClick={renew} disabled={saving} className="text-xs text-charcoal-lighter hover:text-red-600 transition-colors">
+                  Make a new link (the old one stops working)
+                </button>
+              </div>
+            )}
+          </>
+        )}
+
+        {errors.length > 0 && (
+          <ul className="text-sm text-red-600 list-disc pl-5">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        )}
+
+        <div className="flex gap-3 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-4 py-2 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark transition-colors"
+          >
+            Close
+          </button>
+          <button
+            type="submit"
+            disabled={!record || saving}
+            className="flex-1 px-4 py-2 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </form>
+    </Dialog>
+  )
+}
+
+export default SharingDialog
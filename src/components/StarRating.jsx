@@ -0,0 +1,55 @@
+import { useRef } from 'react'
+import { MAX_RATING } from '../lib/bookSchema'
+
+const STARS = Array.from({ length: MAX_RATING }, (_, i) => i + 1)
+
+const starLabel = (star) => (star === 1 ? '1 star' : `${star} stars`)
+
+// One to five stars as a radio group: Tab reaches the current rating (or
+// the first star when there's none), and the arrow keys, Home and End pick
+// another, wrapping around as radio buttons do.
+function StarRating({ value, onChange, label = 'Rating' }) {
+  const buttons = useRef([])
+  const current = value || 0
+
+  const pick = (star) => {
+    onChange(star)
+    buttons.current[star - 1]?.focus()
+  }
+
+  const handleKeyDown = (e) => {
+    const step = { ArrowRight: 1, ArrowUp: 1, ArrowLeft: -1, ArrowDown: -1 }[e.key]
+    if (step) {
+      e.preventDefault()
+      if (current === 0) pick(step > 0 ? 1 : MAX_RATING)
+      else pick(((current - 1 + step + MAX_RATING) % MAX_RATING) + 1)
+    } else if (e.key === 'Home' || e.key === 'End') {
+      e.preventDefault()
+      pick(e.key === 'Home' ? 1 : MAX_RATING)
+    }
+  }
+
+  return (
+    <div role="radiogroup" aria-label={label} onKeyDown={handleKeyDown} className="flex items-center gap-1">
+      {STARS.map(star => (
+        <button
+          key={star}
+          ref={(button) => { buttons.current[star - 1] = button }}
+          type="button"
+          role="radio"
+          aria-checked={star === current}
+          aria-label={starLabel(star)}
+          tabIndex={star === (current || 1) ? 0 : -1}
+          onClick={() => pick(star)}
+          className={`text-2xl transition-colors rounded ${
+            star <= current ? 'text-amber-500' : 'text-charcoal-lighter hover:text-amber-300'
+          }`}
+        >
+          {star <= current ? '★' : '☆'}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default StarRating
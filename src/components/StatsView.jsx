@@ -0,0 +1,199 @@
+import { useState } from 'react'
+import { MAX_RATING } from '../lib/bookSchema'
+import { computeStats, statsYears } from '../lib/stats'
+
+const levelLabels = {
+  easy: 'Easy / Relaxing',
+  moderate: 'Moderate',
+  academic: 'Academic / Dense'
+}
+
+const CHART_HEIGHT = 160
+
+function Card({ title, children }) {
+  return (
+    <div className="bg-cream-dark rounded-lg p-5 shadow-sm">
+      <h3 className="text-sm text-charcoal-light uppercase tracking-wider mb-4">{title}</h3>
+      {children}
+    </div>
+  )
+}
+
+function Empty() {
+  return <p className="text-charcoal-lighter italic text-sm text-center py-6">Nothing to show yet.</p>
+}
+
+// Vertical bars, one per period
+function ColumnChart({ data }) {
+  const max = Math.max(1, ...data.map(d => d.count))
+  if (data.every(d => d.count === 0)) return <Empty />
+
+  return (
+    <div className="flex items-end gap-1" style={{ height: CHART_HEIGHT }}>
+      {data.map(({ label, count }) => (
+        <div key={label} className="flex-1 flex flex-col items-center justify-end h-full min-w-0" title={`${label}: ${count}`}>
+          <span className="text-xs text-charcoal-lighter">{count || ''}</span>
+          <div className="w-full bg-accent rounded-t" style={{ height: `${(count / max) * 80}%` }} />
+          <span className="text-xs text-charcoal-lighter mt-1 truncate w-full text-center">{label}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// Horizontal bars for a handful of labelled counts
+function BarList({ data }) {
+  const max = Math.max(1, ...data.map(d => d.count))
+  if (data.every(d => d.count === 0)) return <Empty />
+
+  return (
+    <ul className="space-y-2">
+      {data.map(({ label, count }) => (
+        <li key={label} className="flex items-center gap-3 text-sm">
+          <span className="w-32 shrink-0 text-charcoal-light truncate" title={label}>{label}</span>
+          <div className="flex-1 h-3 bg-cream rounded-full overflow-hidden">
+            <div className="h-full bg-accent" style={{ width: `${(count / max) * 100}%` }} />
+          </div>
+          <span className="w-8 text-right text-charcoal-lighter">{count}</span>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+// An SVG line per series; gaps where a value is null
+function LineChart({ labels, series, max }) {
+  const width = 100
+  const x = (i) => (labels.length === 1 ? width / 2 : (i / (labels.length - 1)) * width)
+  const y = (value) => CHART_HEIGHT - (value / max) * (CHART_HEIGHT - 10) - 5
+
+  const segments = (values) => {
+    const runs = [[]]
+    values.forEach((value, i) => {
+      if (value === null) runs.push([])
+      else runs[runs.length - 1].push(`${x(i)},${y(value)}`)
+    })
+    return runs.filter(run => run.length > 0)
+  }
+
+  if (series.every(s => s.values.every(v => v === null))) return <Empty />
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${CHART_HEIGHT}`} preserveAspectRatio="none" className="w-full" style={{ height: CHART_HEIGHT }}>
+        {series.map(({ name, color, values }) => (
+          <g key={name} stroke={color} fill={color}>
+            {segments(values).map(run => (
+              <polyline key={run[0]} points={run.join(' ')} fill="none" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+            ))}
+          </g>
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs text-charcoal-lighter mt-1">
+        <span>{labels[0]}</span>
+        {labels.length > 1 && <span>{labels[labels.length - 1]}</span>}
+      </div>
+      {series.length > 1 && (
+        <div className="flex gap-4 text-xs text-charcoal-light mt-2">
+          {series.map(({ name, color }) => (
+            <span key={name} className="flex items-center gap-1">
+              <span className="inline-block w-3 h-0.5" style={{ backgroundColor: color }} />
+              {name}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function StatsView({ books }) {
+  const [year, setYear] = useState(null)
+  const years = statsYears(books)
+  const stats = computeStats(books, year)
+  const labels = stats.pileByPeriod.map(p => p.label)
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-2xl font-light text-charcoal">
+          {year ? `${year} in Review` : 'All-Time Reading'}
+        </h2>
+        <select
+          value={year ?? ''}
+          onChange={(e) => setYear(e.target.value ? Number(e.target.value) : null)}
+          className="px-3 py-2 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal"
+        >
+          <option value="">All time</option>
+          {years.map(y => <option key={y} value={y}>{y}</option>)}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-3 gap-4 text-center">
+        <div className="bg-cream-dark rounded-lg p-4">
+          <p className="text-3xl font-light text-charcoal">{stats.finishedCount}</p>
+          <p className="text-xs text-charcoal-lighter uppercase tracking-wider mt-1">Books finished</p>
+        </div>
+        <div className="bg-cream-dark rounded-lg p-4">
+          <p className="text-3xl font-light text-charcoal">
+            {stats.averageRating === null ? '–' : stats.averageRating.toFixed(1)}
+          </p>
+          <p className="text-xs text-charcoal-lighter uppercase tracking-wider mt-1">Average rating</p>
+        </div>
+        <div className="bg-cream-dark rounded-lg p-4">
+          <p className="text-3xl font-light text-charcoal">{stats.pagesRead.toLocaleString()}</p>
+          <p className="text-xs text-charcoal-lighter uppercase tracking-wider mt-1">Pages read</p>
+        </div>
+      </div>
+
+      {stats.undatedCount > 0 && (
+        <p className="text-xs text-charcoal-lighter italic">
+          {stats.undatedCount} finished {stats.undatedCount === 1 ? 'book has' : 'books have'} no finish date
+          and {stats.undatedCount === 1 ? "isn't" : "aren't"} shown in the charts over time.
+        </p>
+      )}
+
+      <Card title={year ? 'Finished per month' : 'Finished per year'}>
+        <ColumnChart data={stats.finishedByPeriod} />
+      </Card>
+
+      <Card title="Average rating over time">
+        <LineChart
+          labels={labels}
+          max={MAX_RATING}
+          series={[{ name: 'Average rating', color: 'var(--color-accent)', values: stats.ratingByPeriod.map(p => p.value) }]}
+        />
+      </Card>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <Card title="Rating distribution">
+          <BarList data={stats.ratingDistribution.map(({ rating, count }) => ({ label: '★'.repeat(rating), count })).reverse()} />
+        </Card>
+        <Card title="Read level mix">
+          <BarList data={stats.readLevelMix.map(({ level, count }) => ({ label: levelLabels[level], count }))} />
+        </Card>
+      </div>
+
+      <Card title="Top authors">
+        {stats.topAuthors.length === 0 ? (
+          <Empty />
+        ) : (
+          <BarList data={stats.topAuthors.map(({ author, count }) => ({ label: author, count }))} />
+        )}
+      </Card>
+
+      <Card title="TBR pile vs. completions">
+        <LineChart
+          labels={labels}
+          max={Math.max(1, ...stats.pileByPeriod.map(p => Math.max(p.pile, p.finished)))}
+          series={[
+            { name: 'Books on the TBR pile', color: 'var(--color-charcoal-lighter)', values: stats.pileByPeriod.map(p => p.pile) },
+            { name: 'Books finished (running total)', color: 'var(--color-accent)', values: stats.pileByPeriod.map(p => p.finished) },
+          ]}
+        />
+      </Card>
+    </div>
+  )
+}
+
+export default StatsView
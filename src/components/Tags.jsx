@@ -0,0 +1,75 @@
+import { useId, useState } from 'react'
+import { MAX_TAGS, MAX_TAG_LENGTH, normalizeTag } from '../lib/bookSchema'
+import { tagPath } from '../lib/router'
+import { TAG_STYLES } from '../lib/tagStyles'
+import Link from './Link'
+
+export function TagChip({ name, color = 'gray', onRemove }) {
+  return (
+    <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full border text-xs ${TAG_STYLES[color]}`}>
+      <Link to={tagPath(name)} className="hover:underline">{name}</Link>
+      {onRemove && (
+        <button type="button" onClick={onRemove} className="opacity-60 hover:opacity-100" aria-label={`Remove tag ${name}`}>
+          ×
+        </button>
+      )}
+    </span>
+  )
+}
+
+// A book's tags, with adding and removing. `tags` is every tag in the
+// library (see listTags), for colors and suggestions.
+export function BookTags({ book, tags, onChange }) {
+  const [adding, setAdding] = useState(false)
+  const [text, setText] = useState('')
+  const listId = useId()
+  const bookTags = book.tags || []
+  const colorOf = (name) => tags.find(tag => tag.name === name)?.color
+
+  const handleAdd = (e) => {
+    e.preventDefault()
+    const tag = normalizeTag(text)
+    if (tag && !bookTags.includes(tag)) onChange([...bookTags, tag])
+    setText('')
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      {bookTags.map(name => (
+        <TagChip
+          key={name}
+          name={name}
+          color={colorOf(name)}
+          onRemove={() => onChange(bookTags.filter(tag => tag !== name))}
+        />
+      ))}
+      {adding ? (
+        <form onSubmit={handleAdd} className="inline-flex">
+          <input
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            onBlur={() => !text && setAdding(false)}
+            onKeyDown={(e) => e.key === 'Escape' && setAdding(false)}
+            list={listId}
+            maxLength={MAX_TAG_LENGTH}
+            placeholder="Tag name"
+            aria-label="Add a tag"
+            className="w-28 px-2 py-0.5 border border-charcoal-lighter rounded-full bg-cream text-xs focus:outline-none focus:border-charcoal"
+            autoFocus
+          />
+          <datalist id={listId}>
+            {tags.filter(tag => !bookTags.includes(tag.name)).map(tag => <option key={tag.name} value={tag.name} />)}
+          </datalist>
+        </form>
+      ) : bookTags.length < MAX_TAGS && (
+        <button
+          type="button"
+          onClick={() => setAdding(true)}
+          className="px-2 py-0.5 rounded-full border border-dashed border-charcoal-lighter/60 text-xs text-charcoal-lighter hover:text-charcoal"
+        >
+          + tag
+        </button>
+      )}
+    </div>
+  )
+}
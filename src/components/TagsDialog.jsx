@@ -0,0 +1,180 @@
+import { useState } from 'react'
+import { MAX_TAG_LENGTH, normalizeTag } from '../lib/bookSchema'
+import { TAG_COLORS, deleteTag, renameTag, updateTagSetting } from '../lib/tags'
+import { TAG_STYLES } from '../lib/tagStyles'
+import { TagChip } from './Tags'
+import Dialog from './Dialog'
+
+function TagRow({ tag, busy, onColor, onShelf, onRename, onDelete }) {
+  const [name, setName] = useState(tag.name)
+
+  const handleRename = (e) => {
+    e.preventDefault()
+    if (normalizeTag(name) === tag.name) return
+    onRename(name)
+  }
+
+  return (
+    <li className="space-y-2 border-b border-cream-dark pb-3">
+      <div className="flex items-center justify-between gap-3">
+        <TagChip name={tag.name} color={tag.color} />
+        <span className="text-xs text-charcoal-lighter">
+          {tag.count} {tag.count === 1 ? 'book' : 'books'}
+        </span>
+      </div>
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <form onSubmit={handleRename} className="flex gap-1">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={MAX_TAG_LENGTH}
+            aria-label={`Rename ${tag.name}`}
+            className="w-32 px-2 py-1 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal"
+          />
+          <button type="submit" disabled={busy || !normalizeTag(name)} className="text-charcoal-light hover:text-charcoal disabled:opacity-50">
+            Rename
+          </button>
+        </form>
+        <div className="flex gap-1" role="radiogroup" aria-label={`Color of ${tag.name}`}>
+          {TAG_COLORS.map(color => (
+            <button
+              key={color}
+              type="button"
+              role="radio"
+              aria-checked={tag.color === color}
+              aria-label={color}
+              title={color}
+              disabled={busy}
+              onClick={() => onColor(color)}
+              className={`w-5 h-5 rounded-full border ${TAG_STYLES[color]} ${tag.color === color ? 'ring-2 ring-charcoal' : ''}`}
+            />
+          ))}
+        </div>
+        <label className="flex items-center gap-1 text-charcoal-light">
+          <input type="checkbox" checked={tag.shelf} disabled={busy} onChange={(e) => onShelf(e.target.checked)} />
+          Shelf
+        </label>
+        <button onClick={onDelete} disabled={busy} className="ml-auto text-charcoal-lighter hover:text-red-600">
+          Delete
+        </button>
+      </div>
+    </li>
+  )
+}
+
+// Renaming, merging, coloring and deleting tags. Renames and deletes
+// change every book with the tag (through `onUpdateBooks`) as well as the
+// tag settings. `books` includes the trash, so a book restored from it
+// doesn't bring back a tag that has since been renamed or deleted.
+function TagsDialog({ tags, books, settings, onSaveSettings, onUpdateBooks, onClose }) {
+  const [newTag, setNewTag] = useState('')
+  const [error, setError] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  const run = async (change) => {
+    setBusy(true)
+    setError(null)
+    try {
+      await change()
+    } catch (err) {
+      setError(err.errors?.join('; ') || err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const apply = ({ updates, settings: next }) => run(async () => {
+    await onSaveSettings(next)
+    onUpdateBooks(updates)
+  })
+
+  const handleRename = (tag, to) => {
+    const target = tags.find(other => other.name === normalizeTag(to))
+    if (target && !window.confirm(`Merge "${tag.name}" into "${target.name}"? Books with either tag will have "${target.name}".`)) {
+      return
+    }
+    apply(renameTag(books, settings, tag.name, to))
+  }
+
+  const handleDelete = (tag) => {
+    const message = tag.count > 0
+      ? `Delete "${tag.name}"? It will be removed from ${tag.count} ${tag.count === 1 ? 'book' : 'books'}.`
+      : `Delete "${tag.name}"?`
+    if (window.confirm(message)) apply(deleteTag(books, settings, tag.name))
+  }
+
+  // A tag with no books yet only exists in the settings, e.g. a new shelf
+  const handleCreate = (e) => {
+    e.preventDefault()
+    const name = normalizeTag(newTag)
+    if (!name) return
+    if (tags.some(tag => tag.name === name)) {
+      setError(`There's already a tag called "${name}".`)
+      return
+    }
+    run(async () => {
+      await onSaveSettings(updateTagSetting(settings, name, { shelf: true }))
+      setNewTag('')
+    })
+  }
+
+  return (
+    <Dialog label="Tags & Shelves" onClose={onClose}>
+      <div className="bg-cream rounded-lg shadow-xl max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+        <h3 className="text-xl font-light text-charcoal mb-6 border-b border-charcoal-lighter pb-2">
+          Tags &amp; Shelves
+        </h3>
+
+        {tags.length === 0 ? (
+          <p className="text-charcoal-lighter italic text-center py-4">
+            No tags yet. Add them to books, or create a shelf below.
+          </p>
+        ) : (
+          <ul className="space-y-3 mb-6">
+            {tags.map(tag => (
+              <TagRow
+                key={tag.name}
+                tag={tag}
+                busy={busy}
+                onColor={(color) => run(() => onSaveSettings(updateTagSetting(settings, tag.name, { color })))}
+                onShelf={(shelf) => run(() => onSaveSettings(updateTagSetting(settings, tag.name, { shelf })))}
+                onRename={(to) => handleRename(tag, to)}
+                onDelete={() => handleDelete(tag)}
+              />
+            ))}
+          </ul>
+        )}
+
+        <form onSubmit={handleCreate} className="flex gap-3 items-center border-t border-cream-dark pt-4">
+          <input
+            value={newTag}
+            onChange={(e) => setNewTag(e.target.value)}
+            maxLength={MAX_TAG_LENGTH}
+            placeholder="New shelf, e.g. book club"
+            className="flex-1 px-3 py-2 border border-charcoal-lighter rounded bg-cream focus:outline-none focus:border-charcoal"
+          />
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-4 py-2 bg-charcoal text-cream rounded hover:bg-charcoal-light transition-colors disabled:opacity-50"
+          >
+            Add shelf
+          </button>
+        </form>
+        {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+
+        <div className="pt-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="w-full px-4 py-2 border border-charcoal-lighter text-charcoal-light rounded hover:bg-cream-dark transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </Dialog>
+  )
+}
+
+export default TagsDialog
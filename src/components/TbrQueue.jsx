@@ -0,0 +1,104 @@
+import { useEffect, useRef, useState } from 'react'
+
+// The TBR pile in queue order. When `reorderable`, books can be dragged into
+// place, moved with the arrow buttons, or moved with the arrow keys (and
+// Home/End) while their handle has focus.
+function TbrQueue({ books, reorderable, onMove, renderBook }) {
+  const [dragging, setDragging] = useState(null)
+  const [over, setOver] = useState(null)
+  const [announcement, setAnnouncement] = useState('')
+  const handles = useRef(new Map())
+  const refocus = useRef(null)
+
+  // Moving a book re-orders the DOM, which can drop focus from its handle
+  useEffect(() => {
+    if (refocus.current === null) return
+    handles.current.get(refocus.current)?.focus()
+    refocus.current = null
+  }, [books])
+
+  const move = (book, index) => {
+    if (index < 0 || index >= books.length) return
+    onMove(book.id, index)
+    refocus.current = book.id
+    setAnnouncement(`${book.title} moved to position ${index + 1} of ${books.length}`)
+  }
+
+  const handleKeyDown = (e, book, index) => {
+    const target = { ArrowUp: index - 1, ArrowDown: index + 1, Home: 0, End: books.length - 1 }[e.key]
+    if (target === undefined) return
+    e.preventDefault()
+    if (target !== index) move(book, target)
+  }
+
+  const endDrag = () => {
+    setDragging(null)
+    setOver(null)
+  }
+
+  const arrowClass = 'px-1 leading-none hover:text-charcoal disabled:opacity-30 disabled:hover:text-charcoal-lighter'
+
+  return (
+    <>
+      <ol className="grid gap-4">
+        {books.map((book, index) => (
+          <li
+            key={book.id}
+            draggable={reorderable}
+            onDragStart={(e) => {
+              e.dataTransfer.effectAllowed = 'move'
+              e.dataTransfer.setData('text/plain', String(book.id))
+              setDragging(book.id)
+            }}
+            onDragOver={(e) => {
+              if (dragging === null) return
+              e.preventDefault()
+              setOver(index)
+            }}
+            onDrop={(e) => {
+              e.preventDefault()
+              const moved = books.find(b => b.id === dragging)
+              if (moved && moved.id !== book.id) move(moved, index)
+              endDrag()
+            }}
+            onDragEnd={endDrag}
+            className={`flex gap-2 rounded-lg ${dragging === book.id ? 'opacity-50' : ''} ${
+              over === index && dragging !== book.id ? 'ring-2 ring-accent' : ''
+            }`}
+          >
+            {reorderable && (
+              <div className="flex flex-col items-center justify-center gap-1 text-charcoal-lighter text-xs">
+                <button onClick={() => move(book, index - 1)} disabled={index === 0} className={arrowClass} title="Move up">
+                  ▲<span className="sr-only"> Move {book.title} up</span>
+                </button>
+                <span
+                  ref={(node) => (node ? handles.current.set(book.id, node) : handles.current.delete(book.id))}
+                  role="button"
+                  tabIndex={0}
+                  onKeyDown={(e) => handleKeyDown(e, book, index)}
+                  aria-label={`${book.title}, position ${index + 1} of ${books.length}. Use the arrow keys to move it.`}
+                  className="cursor-grab text-base px-1 rounded focus:outline-none focus:ring-2 focus:ring-accent"
+                  title="Drag to reorder"
+                >
+                  ⠿
+                </span>
+                <button
+                  onClick={() => move(book, index + 1)}
+                  disabled={index === books.length - 1}
+                  className={arrowClass}
+                  title="Move down"
+                >
+                  ▼<span className="sr-only"> Move {book.title} down</span>
+                </button>
+              </div>
+            )}
+            <div className="flex-1 min-w-0">{renderBook(book)}</div>
+          </li>
+        ))}
+      </ol>
+      <p className="sr-only" aria-live="polite">{announcement}</p>
+    </>
+  )
+}
+
+export default TbrQueue
@@ -0,0 +1,68 @@
+import { STATUS_LABELS, formatDate, localDate } from '../lib/readingStatus'
+import Link from './Link'
+
+// Deleted books, most recently deleted first. They stay here until they're
+// restored or deleted for good.
+function TrashView({ books, onRestore, onDeleteForever, onEmpty }) {
+  const sorted = [...books].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+
+  const deleteForever = (book) => {
+    if (window.confirm(`Delete "${book.title}" for good? Its journal and cover go with it.`)) onDeleteForever(book.id)
+  }
+
+  const empty = () => {
+    const count = books.length === 1 ? 'the book' : `all ${books.length} books`
+    if (window.confirm(`Delete ${count} in the trash for good?`)) onEmpty()
+  }
+
+  return (
+    <section>
+      <h2 className="text-2xl font-light text-charcoal border-b-2 border-charcoal pb-2 mb-6 flex items-center gap-3">
+        Trash
+        <span className="text-charcoal-lighter text-base font-normal">({books.length})</span>
+        {books.length > 0 && (
+          <button onClick={empty} className="ml-auto text-sm text-charcoal-lighter hover:text-red-600 transition-colors">
+            Empty trash
+          </button>
+        )}
+      </h2>
+
+      {sorted.length === 0 ? (
+        <div className="text-center py-16">
+          <p className="text-charcoal-lighter italic mb-4">The trash is empty.</p>
+          <Link to="/" className="text-accent underline">Back to your library</Link>
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {sorted.map(book => (
+            <li key={book.id} className="bg-cream-dark rounded-lg p-4 flex flex-col sm:flex-row sm:items-center gap-3">
+              <div className="flex-1">
+                <p className="text-charcoal font-medium">{book.title}</p>
+                <p className="text-charcoal-light text-sm">by {book.author}</p>
+                <p className="text-charcoal-lighter text-xs mt-1">
+                  {STATUS_LABELS[book.status]} · deleted {formatDate(localDate(book.deletedAt))}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => onRestore(book.id)}
+                  className="px-4 py-2 bg-accent text-cream rounded hover:bg-accent-light transition-colors text-sm"
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() => deleteForever(book)}
+                  className="px-4 py-2 text-charcoal-lighter hover:text-red-600 transition-colors text-sm"
+                >
+                  Delete forever
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+export default TrashView
@@ -0,0 +1,32 @@
+import { useEffect } from 'react'
+
+const UNDO_TIMEOUT = 8000
+
+// A note about something just done, with a way to take it back. It goes
+// away by itself after a few seconds, or when the next one replaces it.
+function UndoToast({ toast, onUndo, onDismiss }) {
+  useEffect(() => {
+    if (!toast) return
+    const timer = setTimeout(onDismiss, UNDO_TIMEOUT)
+    return () => clearTimeout(timer)
+  }, [toast, onDismiss])
+
+  if (!toast) return null
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 px-5 py-3 rounded-lg shadow-lg bg-charcoal text-cream text-sm max-w-[calc(100%-2rem)]"
+    >
+      <span className="truncate">{toast.message}</span>
+      <button onClick={onUndo} className="font-medium text-accent-light hover:underline">
+        Undo
+      </button>
+      <button onClick={onDismiss} className="text-cream-dark hover:text-cream" title="Dismiss" aria-label="Dismiss">
+        ×
+      </button>
+    </div>
+  )
+}
+
+export default UndoToast
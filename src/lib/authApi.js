@@ -0,0 +1,70 @@
+const AUTH_URL = '/api/auth'
+const SESSION_KEY = 'reading-journal-session'
+// The service worker's cache of covers (see serviceWorker.js)
+const COVER_CACHE = 'reading-journal-covers'
+
+// The user last seen signed in on this device, so their library can open
+// from its local copy while the session is checked, even offline
+export function rememberedUser() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY))
+  } catch {
+    return null
+  }
+}
+
+function remember(user) {
+  if (user) localStorage.setItem(SESSION_KEY, JSON.stringify(user))
+  else localStorage.removeItem(SESSION_KEY)
+}
+
+async function post(action, body) {
+  const res = await fetch(`${AUTH_URL}/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+  })
+  if (res.status === 204) return null
+  const data = await res.json()
+  if (!res.ok) throw new Error(data.error || `Request failed: ${res.status}`)
+  return data
+}
+
+// Resolves to the signed-in user, null when signed out, or undefined when
+// there is no API to ask (plain `vite` dev server, which answers with
+// index.html), in which case the app runs against localStorage only. Any
+// other failure, like the server erroring or the network being down, throws:
+// the user may well have an account, so falling back to a local library
+// would leave their changes out of it.
+export async function getSessionUser() {
+  const res = await fetch(`${AUTH_URL}/session`)
+  if (res.status === 401) {
+    remember(null)
+    return null
+  }
+  if (!res.headers.get('Content-Type')?.includes('application/json')) return undefined
+  const data = await res.json()
+  if (!res.ok) throw new Error(data.error || `Request failed: ${res.status}`)
+  remember(data.user)
+  return data.user
+}
+
+export async function signUp(email, password) {
+  const { user } = await post('signup', { email, password })
+  remember(user)
+  return user
+}
+
+export async function signIn(email, password) {
+  const { user } = await post('login', { email, password })
+  remember(user)
+  return user
+}
+
+// Forgets the user and their cached covers here even if the server can't
+// be reached
+export async function signOut() {
+  remember(null)
+  if (window.caches) caches.delete(COVER_CACHE).catch(() => {})
+  await post('logout')
+}
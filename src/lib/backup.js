@@ -0,0 +1,62 @@
+import { SCHEMA_VERSION, ValidationError, assertValidBook, migrateBook } from './bookSchema.js'
+import { isSameBook } from './bookMatching.js'
+
+// Full-library JSON backups, shared by the export/restore API routes and the
+// client's local-only mode.
+
+const BACKUP_APP = 'reading-journal'
+
+export class BackupFormatError extends Error {
+  constructor(message = "This file isn't a Reading Journal backup.") {
+    super(message)
+    this.name = 'BackupFormatError'
+  }
+}
+
+export function createBackup(books) {
+  return {
+    app: BACKUP_APP,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    books,
+  }
+}
+
+// Checks a parsed backup and upgrades its books to the current schema.
+// A bare array of books (an old localStorage dump) is accepted too.
+export function readBackup(backup) {
+  const books = Array.isArray(backup) ? backup : backup?.app === BACKUP_APP && backup.books
+  if (!Array.isArray(books)) throw new BackupFormatError()
+
+  return books.map((book, index) => {
+    try {
+      return assertValidBook(migrateBook(book))
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw new BackupFormatError(`Book ${index + 1} in the backup is invalid: ${error.errors.join('; ')}`)
+      }
+      throw error
+    }
+  })
+}
+
+// Combines the current library with restored books. `replace` takes the
+// backup as is. `merge` adds books the library doesn't have, and for books
+// in both keeps whichever copy was updated last; a backup book that matches
+// a different library book by title and author is treated as already there.
+export function mergeLibraries(current, incoming, mode) {
+  if (mode === 'replace') return incoming
+
+  const result = new Map(current.map(book => [book.id, book]))
+  for (const book of incoming) {
+    const existing = result.get(book.id)
+    if (existing) {
+      if (book.updatedAt && (!existing.updatedAt || book.updatedAt > existing.updatedAt)) {
+        result.set(book.id, book)
+      }
+    } else if (!current.some(other => isSameBook(other, book))) {
+      result.set(book.id, book)
+    }
+  }
+  return [...result.values()]
+}
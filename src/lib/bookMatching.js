@@ -0,0 +1,160 @@
+// Loose comparison of books by title and author, for spotting the same book
+// entered twice or arriving again from an import.
+
+const LEADING_ARTICLE = /^(the|a|an)\s+/
+const TRAILING_ARTICLE = /,\s*(the|a|an)$/
+
+export function normalizeTitle(title = '') {
+  return title
+    .toLowerCase()
+    .replace(/\s*[:(].*$/, '') // drop subtitles and "(Series, #2)"
+    .replace(TRAILING_ARTICLE, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .trim()
+    .replace(LEADING_ARTICLE, '')
+    .replace(/\s+/g, ' ')
+}
+
+// Reduces an author to their surname, so "J.R.R. Tolkien", "Tolkien" and
+// "Tolkien, J.R.R." all compare equal.
+export function normalizeAuthor(author = '') {
+  const first = author.split(/\s*(?:;|&|\band\b)\s*/)[0]
+  const name = first.includes(',') ? first.split(',')[0] : first.trim().split(/\s+/).pop()
+  return (name || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '')
+}
+
+// The whole of an author's name, for telling authors apart: "J.R.R.
+// Tolkien", "J. R. R. Tolkien" and "Tolkien, J.R.R." are one author, but
+// "Christopher Tolkien" is another.
+export function authorKey(author = '') {
+  const first = author.split(/\s*(?:;|&|\band\b)\s*/)[0]
+  const [last, given] = first.split(',')
+  return (given === undefined ? first : `${given} ${last}`)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '')
+}
+
+export function isSameBook(a, b) {
+  return normalizeTitle(a.title) === normalizeTitle(b.title) &&
+    normalizeAuthor(a.author) === normalizeAuthor(b.author)
+}
+
+// Fuzzy matching, for warning about likely duplicates. Titles are compared
+// by the letter pairs they share, which shrugs off small typos and missing
+// words; authors by edit distance, which catches "Tolkein" for "Tolkien".
+
+export const DUPLICATE_THRESHOLD = 0.8
+
+function letterPairs(text) {
+  const pairs = new Map()
+  for (let i = 0; i < text.length - 1; i++) {
+    const pair = text.slice(i, i + 2)
+    pairs.set(pair, (pairs.get(pair) || 0) + 1)
+  }
+  return pairs
+}
+
+// Dice's coefficient over letter pairs, from 0 (nothing shared) to 1
+function titleSimilarity(a, b) {
+  if (a.title === b.title) return 1
+  if (a.title.length < 2 || b.title.length < 2) return 0
+  let shared = 0
+  for (const [pair, count] of a.pairs) shared += Math.min(count, b.pairs.get(pair) || 0)
+  return (2 * shared) / (a.title.length - 1 + b.title.length - 1)
+}
+
+// 1 less the edit distance (counting a swap of neighbours as one edit) as a
+// share of the longer name
+function authorSimilarity(a, b) {
+  if (a === b) return 1
+  if (!a || !b || Math.abs(a.length - b.length) > 2) return 0
+  const rows = [[...Array(b.length + 1).keys()]]
+  for (let i = 1; i <= a.length; i++) {
+    rows[i] = [i]
+    for (let j = 1; j <= b.length; j++) {
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      )
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1)
+      }
+    }
+  }
+  return 1 - rows[a.length][b.length] / Math.max(a.length, b.length)
+}
+
+// ISBN-10s and 978 ISBN-13s of the same edition share their middle nine digits
+const isbnKey = (isbn) => (isbn.length === 10 ? isbn.slice(0, 9) : isbn.startsWith('978') ? isbn.slice(3, 12) : isbn)
+
+const numbersIn = (title) => (title.match(/\d+/g) || []).join(' ')
+
+function matchKey(book) {
+  const title = normalizeTitle(book.title)
+  return { book, title, pairs: letterPairs(title), numbers: numbersIn(title), author: normalizeAuthor(book.author) }
+}
+
+const sameIsbn = (a, b) => Boolean(a.book.isbn && b.book.isbn && isbnKey(a.book.isbn) === isbnKey(b.book.isbn))
+
+function keyScore(a, b, author = authorSimilarity(a.author, b.author)) {
+  if (sameIsbn(a, b)) return 1
+  // "Book 1" and "Book 2" of a series are different books however alike
+  if (a.numbers !== b.numbers || author < DUPLICATE_THRESHOLD) return 0
+  return titleSimilarity(a, b) * (author === 1 ? 1 : 0.95)
+}
+
+// How likely two books are the same one, from 0 to 1. A shared ISBN is
+// taken as certain.
+export function duplicateScore(a, b) {
+  return keyScore(matchKey(a), matchKey(b))
+}
+
+// The books in `books` that look like `book`, most alike first, as
+// `{ book, score }`
+export function findDuplicates(book, books) {
+  const key = matchKey(book)
+  return books
+    .filter(other => other.id !== book.id)
+    .map(other => ({ book: other, score: keyScore(key, matchKey(other)) }))
+    .filter(match => match.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+}
+
+// Every pair of likely duplicates in a library, most alike first, as
+// `{ books: [older, newer], score }`. Books are grouped by author first, so
+// titles are only compared where the authors are close.
+export function duplicatePairs(books) {
+  const keys = [...books].sort((a, b) => a.id - b.id).map(matchKey)
+  const byAuthor = new Map()
+  for (const key of keys) byAuthor.set(key.author, [...(byAuthor.get(key.author) || []), key])
+  const groups = [...byAuthor.entries()]
+
+  const found = new Map()
+  const consider = (a, b, author) => {
+    const [older, newer] = a.book.id < b.book.id ? [a, b] : [b, a]
+    const score = keyScore(older, newer, author)
+    if (score >= DUPLICATE_THRESHOLD) found.set(`${older.book.id} ${newer.book.id}`, { books: [older.book, newer.book], score })
+  }
+
+  groups.forEach(([author, group], i) => {
+    group.forEach((a, j) => group.slice(j + 1).forEach(b => consider(a, b, 1)))
+    for (const [otherAuthor, otherGroup] of groups.slice(i + 1)) {
+      const similarity = authorSimilarity(author, otherAuthor)
+      if (similarity < DUPLICATE_THRESHOLD) continue
+      group.forEach(a => otherGroup.forEach(b => consider(a, b, similarity)))
+    }
+  })
+
+  // A shared ISBN counts whatever the authors
+  const byIsbn = new Map()
+  for (const key of keys.filter(key => key.book.isbn)) {
+    const isbn = isbnKey(key.book.isbn)
+    for (const other of byIsbn.get(isbn) || []) consider(other, key, 0)
+    byIsbn.set(isbn, [...(byIsbn.get(isbn) || []), key])
+  }
+
+  return [...found.values()].sort((a, b) => b.score - a.score)
+}
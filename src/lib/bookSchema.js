@@ -0,0 +1,385 @@
+// The shape of a book record, shared by the client and the API.
+//
+// Every stored record carries `schemaVersion`. When the shape changes, bump
+// SCHEMA_VERSION and add a step to `migrations` that upgrades a record from
+// the previous version; old records are upgraded as they are loaded.
+
+export const SCHEMA_VERSION = 11
+
+export const READ_LEVELS = ['easy', 'moderate', 'academic']
+export const STATUSES = ['tbr', 'reading', 'finished', 'dnf']
+export const MIN_RATING = 0
+export const MAX_RATING = 5
+export const MAX_TITLE_LENGTH = 300
+export const MAX_AUTHOR_LENGTH = 200
+export const MAX_ENTRY_LENGTH = 20000
+export const MAX_JOURNAL_ENTRIES = 500
+export const MAX_JOURNAL_LENGTH = 200000
+export const MAX_CHAPTER_LENGTH = 100
+export const JOURNAL_ENTRY_TYPES = ['note', 'quote']
+export const MAX_READS = 100
+export const MAX_DNF_REASON_LENGTH = 1000
+export const MAX_PAGE_COUNT = 100000
+export const MAX_PUBLISHER_LENGTH = 200
+export const MAX_SUBJECTS = 25
+export const MAX_SUBJECT_LENGTH = 100
+export const MAX_TAGS = 30
+export const MAX_TAG_LENGTH = 40
+export const MAX_SERIES_LENGTH = 200
+export const MAX_SERIES_NUMBER = 10000
+
+// Fields maintained by the API rather than by the client
+const SERVER_FIELDS = ['version', 'updatedAt', 'schemaVersion']
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== ''
+
+const isDate = (value) =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+
+const optionalDate = (name) => (value) =>
+  value === null || isDate(value) ? null : `${name} must be a YYYY-MM-DD date or null`
+
+const optionalInteger = (name, min, max) => (value) =>
+  value === null || (Number.isInteger(value) && value >= min && value <= max)
+    ? null
+    : `${name} must be a whole number from ${min} to ${max} or null`
+
+// ISBN-10 (which may end in X) or ISBN-13, digits only
+const isIsbn = (value) => typeof value === 'string' && /^(\d{9}[\dX]|\d{13})$/.test(value)
+
+const READ_FIELDS = ['id', 'status', 'startedAt', 'finishedAt', 'abandonedAt', 'rating', 'dnfReason']
+
+// An earlier read of the book (see reads.js), checked like the same fields
+// on the book itself
+function readError(read) {
+  if (!read || typeof read !== 'object' || Array.isArray(read)) return 'reads must be objects'
+  if (!Number.isSafeInteger(read.id) || read.id <= 0) return 'read ids must be positive integers'
+  if (!['finished', 'dnf'].includes(read.status)) return 'read status must be finished or dnf'
+  for (const name of READ_FIELDS.slice(2)) {
+    const error = fields[name](read[name])
+    if (error) return `read ${error}`
+  }
+  const unknown = Object.keys(read).find(name => !READ_FIELDS.includes(name))
+  return unknown ? `unknown read field "${unknown}"` : null
+}
+
+const ENTRY_FIELDS = ['id', 'type', 'date', 'text', 'page', 'chapter']
+
+// A journal entry is a dated note or quote, `{ id, type, date, text, page,
+// chapter }`, optionally tied to a page or chapter. Text is Markdown.
+function journalEntryError(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return 'journal entries must be objects'
+  if (!Number.isSafeInteger(entry.id) || entry.id <= 0) return 'journal entry ids must be positive integers'
+  if (!JOURNAL_ENTRY_TYPES.includes(entry.type)) return `journal entry type must be one of ${JOURNAL_ENTRY_TYPES.join(', ')}`
+  if (!isDate(entry.date)) return 'journal entry date must be a YYYY-MM-DD date'
+  if (!isNonEmptyString(entry.text)) return 'journal entries need some text'
+  if (entry.text.length > MAX_ENTRY_LENGTH) return `journal entries must be at most ${MAX_ENTRY_LENGTH} characters`
+  if (optionalInteger('page', 0, MAX_PAGE_COUNT)(entry.page)) return `journal entry page must be a whole number from 0 to ${MAX_PAGE_COUNT} or null`
+  if (entry.chapter !== null && (!isNonEmptyString(entry.chapter) || entry.chapter.length > MAX_CHAPTER_LENGTH)) {
+    return `journal entry chapter must be text of at most ${MAX_CHAPTER_LENGTH} characters or null`
+  }
+  const unknown = Object.keys(entry).find(name => !ENTRY_FIELDS.includes(name))
+  return unknown ? `unknown journal entry field "${unknown}"` : null
+}
+
+// Tags are stored as normalizeTag leaves them
+const isTag = (value) => isNonEmptyString(value) && value === normalizeTag(value)
+
+const fields = {
+  id: (value) =>
+    Number.isSafeInteger(value) && value > 0 ? null : 'id must be a positive integer',
+  title: (value) => {
+    if (!isNonEmptyString(value)) return 'title is required'
+    if (value.length > MAX_TITLE_LENGTH) return `title must be at most ${MAX_TITLE_LENGTH} characters`
+    return null
+  },
+  author: (value) => {
+    if (!isNonEmptyString(value)) return 'author is required'
+    if (value.length > MAX_AUTHOR_LENGTH) return `author must be at most ${MAX_AUTHOR_LENGTH} characters`
+    return null
+  },
+  readLevel: (value) =>
+    READ_LEVELS.includes(value) ? null : `readLevel must be one of ${READ_LEVELS.join(', ')}`,
+  status: (value) =>
+    STATUSES.includes(value) ? null : `status must be one of ${STATUSES.join(', ')}`,
+  rating: (value) =>
+    value === null || (Number.isInteger(value) && value >= MIN_RATING && value <= MAX_RATING)
+      ? null
+      : `rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}`,
+  journal: (value) => {
+    if (!Array.isArray(value)) return 'journal must be a list'
+    if (value.length > MAX_JOURNAL_ENTRIES) return `at most ${MAX_JOURNAL_ENTRIES} journal entries are allowed`
+    const error = value.map(journalEntryError).find(Boolean)
+    if (error) return error
+    if (new Set(value.map(entry => entry.id)).size !== value.length) return 'journal entry ids must be unique'
+    if (value.reduce((total, entry) => total + entry.text.length, 0) > MAX_JOURNAL_LENGTH) {
+      return `the journal must be at most ${MAX_JOURNAL_LENGTH} characters in all`
+    }
+    return null
+  },
+  coverUrl: (value) =>
+    value === null || typeof value === 'string' ? null : 'coverUrl must be a URL or null',
+  startedAt: optionalDate('startedAt'),
+  finishedAt: optionalDate('finishedAt'),
+  abandonedAt: optionalDate('abandonedAt'),
+  // When the book was moved to the trash
+  deletedAt: (value) =>
+    value === null || (typeof value === 'string' && !Number.isNaN(Date.parse(value)))
+      ? null
+      : 'deletedAt must be a timestamp or null',
+  // Place in the TBR queue, lowest first (see tbrQueue.js)
+  priority: (value) =>
+    value === null || Number.isFinite(value) ? null : 'priority must be a number or null',
+  // Kept off the public profile altogether, or just its journal (see sharing.js)
+  hideFromProfile: (value) =>
+    typeof value === 'boolean' ? null : 'hideFromProfile must be true or false',
+  privateJournal: (value) =>
+    typeof value === 'boolean' ? null : 'privateJournal must be true or false',
+  // The series a book belongs to, and its place in it (see series.js).
+  // Numbers needn't be whole, for novellas numbered 2.5 and the like.
+  series: (value) => {
+    if (value === null) return null
+    if (!isNonEmptyString(value)) return 'series must be text or null'
+    if (value.length > MAX_SERIES_LENGTH) return `series must be at most ${MAX_SERIES_LENGTH} characters`
+    return null
+  },
+  seriesNumber: (value) =>
+    value === null || (Number.isFinite(value) && value >= 0 && value <= MAX_SERIES_NUMBER)
+      ? null
+      : `seriesNumber must be a number from 0 to ${MAX_SERIES_NUMBER} or null`,
+  currentPage: optionalInteger('currentPage', 0, MAX_PAGE_COUNT),
+  pageCount: optionalInteger('pageCount', 1, MAX_PAGE_COUNT),
+  percentComplete: optionalInteger('percentComplete', 0, 100),
+  dnfReason: (value) => {
+    if (value === null) return null
+    if (typeof value !== 'string') return 'dnfReason must be text'
+    if (value.length > MAX_DNF_REASON_LENGTH) return `dnfReason must be at most ${MAX_DNF_REASON_LENGTH} characters`
+    return null
+  },
+  isbn: (value) =>
+    value === null || isIsbn(value) ? null : 'isbn must be an ISBN-10 or ISBN-13 without dashes, or null',
+  publishYear: optionalInteger('publishYear', 0, 9999),
+  publisher: (value) => {
+    if (value === null) return null
+    if (typeof value !== 'string') return 'publisher must be text'
+    if (value.length > MAX_PUBLISHER_LENGTH) return `publisher must be at most ${MAX_PUBLISHER_LENGTH} characters`
+    return null
+  },
+  subjects: (value) => {
+    if (!Array.isArray(value)) return 'subjects must be a list'
+    if (value.length > MAX_SUBJECTS) return `at most ${MAX_SUBJECTS} subjects are allowed`
+    if (value.some(subject => !isNonEmptyString(subject) || subject.length > MAX_SUBJECT_LENGTH)) {
+      return `subjects must be text of at most ${MAX_SUBJECT_LENGTH} characters`
+    }
+    return null
+  },
+  reads: (value) => {
+    if (!Array.isArray(value)) return 'reads must be a list'
+    if (value.length > MAX_READS) return `at most ${MAX_READS} reads are allowed`
+    const error = value.map(readError).find(Boolean)
+    if (error) return error
+    if (new Set(value.map(read => read.id)).size !== value.length) return 'read ids must be unique'
+    return null
+  },
+  tags: (value) => {
+    if (!Array.isArray(value)) return 'tags must be a list'
+    if (value.length > MAX_TAGS) return `at most ${MAX_TAGS} tags are allowed`
+    if (!value.every(isTag)) return `tags must be lowercase text of at most ${MAX_TAG_LENGTH} characters`
+    if (new Set(value).size !== value.length) return 'tags must not repeat'
+    return null
+  },
+}
+
+const REQUIRED_FIELDS = ['id', 'title', 'author', 'readLevel', 'status']
+
+export class ValidationError extends Error {
+  constructor(errors, subject = 'book') {
+    super(`Invalid ${subject}: ${errors.join('; ')}`)
+    this.name = 'ValidationError'
+    this.errors = errors
+  }
+}
+
+// Returns a list of problems with `book`, empty when it is valid. With
+// `partial`, only the fields present are checked (e.g. a form's values).
+export function validateBook(book, { partial = false } = {}) {
+  if (!book || typeof book !== 'object' || Array.isArray(book)) {
+    return ['book must be an object']
+  }
+
+  const errors = []
+  if (!partial) {
+    for (const name of REQUIRED_FIELDS) {
+      if (book[name] === undefined) errors.push(`${name} is required`)
+    }
+  }
+  for (const [name, value] of Object.entries(book)) {
+    if (SERVER_FIELDS.includes(name) || value === undefined) continue
+    const check = fields[name]
+    if (!check) {
+      errors.push(`unknown field "${name}"`)
+      continue
+    }
+    const error = check(value)
+    if (error) errors.push(error)
+  }
+  return errors
+}
+
+// Trimmed, lowercased and with single spaces, so "Book  Club" and
+// "book club" are the same tag. Commas separate tags in URLs and imports.
+export function normalizeTag(value) {
+  return String(value ?? '').replace(/[\s,]+/g, ' ').trim().toLowerCase().slice(0, MAX_TAG_LENGTH).trim()
+}
+
+export function assertValidBook(book) {
+  const errors = validateBook(book)
+  if (errors.length > 0) throw new ValidationError(errors)
+  return book
+}
+
+// migrations[n] upgrades a record from schema version n to n + 1.
+// Records written before versioning existed count as version 1.
+const migrations = {
+  // v1 -> v2: records from before the schema existed. Books moved back to
+  // TBR had `rating`/`notes` set to undefined rather than null, and nothing
+  // guaranteed readLevel, status or coverUrl were present.
+  1: (book) => ({
+    ...book,
+    readLevel: READ_LEVELS.includes(book.readLevel) ? book.readLevel : 'moderate',
+    status: STATUSES.includes(book.status) ? book.status : 'tbr',
+    rating: Number.isInteger(book.rating) ? book.rating : (book.status === 'finished' ? 0 : null),
+    notes: typeof book.notes === 'string' ? book.notes : (book.status === 'finished' ? '' : null),
+    coverUrl: book.coverUrl ?? null,
+  }),
+  // v2 -> v3: Currently Reading and Did Not Finish statuses, with reading
+  // dates, progress and a reason for abandoning a book. Dates weren't
+  // recorded before, so existing books start without them.
+  2: (book) => ({
+    ...book,
+    startedAt: null,
+    finishedAt: null,
+    abandonedAt: null,
+    currentPage: null,
+    pageCount: null,
+    percentComplete: null,
+    dnfReason: null,
+  }),
+  // v3 -> v4: edition details picked from a metadata lookup
+  3: (book) => ({
+    ...book,
+    isbn: null,
+    publishYear: null,
+    publisher: null,
+    subjects: [],
+  }),
+  // v4 -> v5: user-defined tags
+  4: (book) => ({
+    ...book,
+    tags: [],
+  }),
+  // v5 -> v6: the single `notes` text becomes a journal of entries, starting
+  // with the old notes if there were any
+  5: ({ notes, ...book }) => ({
+    ...book,
+    journal: notes?.trim() ? [notesEntry(book, notes)] : [],
+  }),
+  // v6 -> v7: a history of earlier reads. Moving a book back to the TBR
+  // used to clear its last read, so there's none to recover.
+  6: (book) => ({
+    ...book,
+    reads: [],
+  }),
+  // v7 -> v8: deleting a book moves it to the trash first
+  7: (book) => ({
+    ...book,
+    deletedAt: null,
+  }),
+  // v8 -> v9: the TBR is a queue. Without a priority a book keeps its
+  // place by when it was added.
+  8: (book) => ({
+    ...book,
+    priority: null,
+  }),
+  // v9 -> v10: per-book privacy for the public profile
+  9: (book) => ({
+    ...book,
+    hideFromProfile: false,
+    privateJournal: false,
+  }),
+  // v10 -> v11: series name and number
+  10: (book) => ({
+    ...book,
+    series: null,
+    seriesNumber: null,
+  }),
+}
+
+// The day a book was added, which its id records. Ids too large to be a
+// date (valid, if odd) count as added today.
+function addedDate(book) {
+  const added = new Date(book.id)
+  return (Number.isNaN(added.getTime()) ? new Date() : added).toISOString().slice(0, 10)
+}
+
+// A journal entry for free text written outside the journal: notes from
+// before journals had entries, or a review brought in by an import. It
+// takes the book's id, so converting the same notes twice gives the same
+// entry.
+export function notesEntry(book, text) {
+  return {
+    id: book.id,
+    type: 'note',
+    date: book.finishedAt || addedDate(book),
+    text: text.slice(0, MAX_ENTRY_LENGTH),
+    page: null,
+    chapter: null,
+  }
+}
+
+// What a new book has for each field it leaves out, so a record is complete
+// from the start. Every new book goes through withDefaults, in the app, in
+// imports and in the API, so a new field's default goes here; migrations
+// only fill in records from older versions.
+const DEFAULTS = {
+  rating: null,
+  coverUrl: null,
+  startedAt: null,
+  finishedAt: null,
+  abandonedAt: null,
+  currentPage: null,
+  pageCount: null,
+  percentComplete: null,
+  dnfReason: null,
+  isbn: null,
+  publishYear: null,
+  publisher: null,
+  series: null,
+  seriesNumber: null,
+  priority: null,
+  deletedAt: null,
+  hideFromProfile: false,
+  privateJournal: false,
+}
+
+export function withDefaults(book) {
+  const complete = { ...DEFAULTS, subjects: [], tags: [], journal: [], reads: [] }
+  for (const [name, value] of Object.entries(book)) {
+    if (value !== undefined) complete[name] = value
+  }
+  return complete
+}
+
+export function migrateBook(book) {
+  let current = book
+  let version = book.schemaVersion ?? 1
+  while (version < SCHEMA_VERSION) {
+    current = migrations[version](current)
+    version++
+  }
+  return current === book ? book : { ...current, schemaVersion: SCHEMA_VERSION }
+}
+
+export function migrateLibrary(books) {
+  return Array.isArray(books) ? books.map(migrateBook) : []
+}
@@ -0,0 +1,100 @@
+import { describe, expect, it } from 'vitest'
+import { SCHEMA_VERSION, migrateBook, migrateLibrary, validateBook, withDefaults } from './bookSchema'
+
+// A record as the first version of the app saved it
+const V1_FINISHED = {
+  id: 1700000000000,
+  title: 'Middlemarch',
+  author: 'George Eliot',
+  readLevel: 'academic',
+  status: 'finished',
+  rating: undefined,
+  notes: '  Slow start, worth it.  ',
+  coverUrl: undefined,
+}
+
+describe('migrateBook', () => {
+  it('upgrades a first-version record to a valid current one', () => {
+    const book = migrateBook(V1_FINISHED)
+
+    expect(book.schemaVersion).toBe(SCHEMA_VERSION)
+    expect(validateBook(book)).toEqual([])
+    expect(book).toMatchObject({
+      rating: 0,
+      coverUrl: null,
+      startedAt: null,
+      isbn: null,
+      subjects: [],
+      tags: [],
+      reads: [],
+      deletedAt: null,
+      priority: null,
+      hideFromProfile: false,
+      privateJournal: false,
+      series: null,
+      seriesNumber: null,
+    })
+    expect(book).not.toHaveProperty('notes')
+  })
+
+  it('turns old notes into the first journal entry', () => {
+    const { journal } = migrateBook(V1_FINISHED)
+    expect(journal).toEqual([{
+      id: V1_FINISHED.id,
+      type: 'note',
+      date: '2023-11-14',
+      text: '  Slow start, worth it.  ',
+      page: null,
+      chapter: null,
+    }])
+    expect(migrateBook({ ...V1_FINISHED, notes: ' ' }).journal).toEqual([])
+  })
+
+  it('dates notes today when the id is too large to be a date', () => {
+    const book = migrateBook({ ...V1_FINISHED, id: Number.MAX_SAFE_INTEGER })
+    expect(book.journal[0].date).toBe(new Date().toISOString().slice(0, 10))
+    expect(validateBook(book)).toEqual([])
+  })
+
+  it('fixes up what early records left out', () => {
+    const book = migrateBook({ id: 5, title: 'T', author: 'A', status: 'moved', readLevel: 'light' })
+    expect(book).toMatchObject({ status: 'tbr', readLevel: 'moderate', rating: null })
+    expect(validateBook(book)).toEqual([])
+  })
+
+  it('starts from the version a record carries', () => {
+    const v9 = { ...migrateBook(V1_FINISHED), schemaVersion: 9, hideFromProfile: undefined, series: undefined }
+    delete v9.privateJournal
+    delete v9.seriesNumber
+    const book = migrateBook({ ...v9, tags: ['classic'], priority: 3 })
+
+    expect(book).toMatchObject({ tags: ['classic'], priority: 3, hideFromProfile: false, privateJournal: false })
+    expect(validateBook(book)).toEqual([])
+  })
+
+  it('leaves current records alone', () => {
+    const book = migrateBook(V1_FINISHED)
+    expect(migrateBook(book)).toBe(book)
+  })
+
+  it('migrates a whole library, and treats anything else as empty', () => {
+    expect(migrateLibrary([V1_FINISHED])).toHaveLength(1)
+    expect(migrateLibrary(null)).toEqual([])
+  })
+})
+
+describe('withDefaults', () => {
+  it('completes a minimal book without changing what it has', () => {
+    const book = withDefaults({ id: 2, title: 'T', author: 'A', readLevel: 'easy', status: 'tbr', tags: ['x'], rating: undefined })
+
+    expect(validateBook({ ...book, schemaVersion: SCHEMA_VERSION })).toEqual([])
+    expect(book).toMatchObject({ tags: ['x'], journal: [], reads: [], subjects: [], rating: null, hideFromProfile: false })
+  })
+
+  it('gives each book lists of its own', () => {
+    const a = withDefaults({})
+    const b = withDefaults({})
+    a.journal.push('entry')
+    expect(b.journal).toEqual([])
+  })
+})
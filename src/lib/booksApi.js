@@ -0,0 +1,156 @@
+import { ValidationError } from './bookSchema'
+
+const API_URL = '/api/books'
+
+export class ConflictError extends Error {
+  constructor(current) {
+    super('Book was modified elsewhere')
+    this.name = 'ConflictError'
+    this.current = current
+  }
+}
+
+export class NotFoundError extends Error {
+  constructor() {
+    super('Book no longer exists')
+    this.name = 'NotFoundError'
+  }
+}
+
+export class UnauthorizedError extends Error {
+  constructor() {
+    super('Sign in required')
+    this.name = 'UnauthorizedError'
+  }
+}
+
+async function request(url, options = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+  })
+  if (res.status === 401) {
+    throw new UnauthorizedError()
+  }
+  if (res.status === 409) {
+    const data = await res.json()
+    throw new ConflictError(data.current)
+  }
+  if (res.status === 400) {
+    const data = await res.json()
+    throw new ValidationError(data.details || [data.error])
+  }
+  if (res.status === 404) {
+    throw new NotFoundError()
+  }
+  if (!res.ok) {
+    throw new Error(`Request failed: ${res.status}`)
+  }
+  return res.status === 204 ? null : res.json()
+}
+
+export function fetchBooks() {
+  return request(API_URL)
+}
+
+export function createBook(book) {
+  return request(API_URL, {
+    method: 'POST',
+    body: JSON.stringify(book),
+  })
+}
+
+export function patchBook(id, version, updates) {
+  return request(`${API_URL}/${id}`, {
+    method: 'PATCH',
+    headers: { 'If-Match': `"${version}"` },
+    body: JSON.stringify(updates),
+  })
+}
+
+export function deleteBook(id, version) {
+  return request(`${API_URL}/${id}`, {
+    method: 'DELETE',
+    headers: { 'If-Match': `"${version}"` },
+  })
+}
+
+export function restoreLibrary(backup, mode) {
+  return request(`/api/restore?mode=${mode}`, {
+    method: 'POST',
+    body: JSON.stringify(backup),
+  })
+}
+
+// Saved copies of the library on the server, newest first
+export function fetchSnapshots() {
+  return request('/api/snapshots')
+}
+
+export function takeSnapshot() {
+  return request('/api/snapshots', { method: 'POST' })
+}
+
+export function restoreSnapshot(id) {
+  return request(`/api/snapshots/${id}`, { method: 'POST' })
+}
+
+// The public profile's settings and share token
+export function fetchSharing() {
+  return request('/api/sharing')
+}
+
+export function saveSharing(settings, version) {
+  return request('/api/sharing', {
+    method: 'PUT',
+    headers: { 'If-Match': `"${version}"` },
+    body: JSON.stringify({ settings }),
+  })
+}
+
+// Replaces the share link; the old one stops working
+export function renewShareLink() {
+  return request('/api/sharing', { method: 'POST' })
+}
+
+// Someone's public profile, by share token; needs no sign-in
+export function fetchSharedProfile(token) {
+  return request(`/api/shared/${encodeURIComponent(token)}`)
+}
+
+export function fetchGoals() {
+  return request('/api/goals')
+}
+
+export function saveGoals(goals, version) {
+  return request('/api/goals', {
+    method: 'PUT',
+    headers: { 'If-Match': `"${version}"` },
+    body: JSON.stringify({ goals }),
+  })
+}
+
+// Caches a cover on the server from `{ url }` or `{ dataUrl }`; resolves to
+// `{ coverUrl }` for the book
+export function cacheCover(id, source) {
+  return request(`/api/covers/${id}`, {
+    method: 'POST',
+    body: JSON.stringify(source),
+  })
+}
+
+export function deleteCover(id) {
+  return request(`/api/covers/${id}`, { method: 'DELETE' })
+}
+
+export function fetchTagSettings() {
+  return request('/api/tags')
+}
+
+export function saveTagSettings(tags, version) {
+  return request('/api/tags', {
+    method: 'PUT',
+    headers: { 'If-Match': `"${version}"` },
+    body: JSON.stringify({ tags }),
+  })
+}
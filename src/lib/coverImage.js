@@ -0,0 +1,19 @@
+// Uploaded covers are scaled down in the browser before they're saved. A
+// phone photo is far bigger than a cover needs to be, and the server only
+// keeps images up to 600 KB.
+const MAX_HEIGHT = 900
+const QUALITY = 0.85
+
+// Reads an image file as a JPEG data URL at most MAX_HEIGHT pixels tall
+export async function readCoverImage(file) {
+  if (!file.type.startsWith('image/')) throw new Error('Choose an image file.')
+
+  const bitmap = await createImageBitmap(file)
+  const scale = Math.min(1, MAX_HEIGHT / bitmap.height)
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(bitmap.width * scale)
+  canvas.height = Math.round(bitmap.height * scale)
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+  bitmap.close()
+  return canvas.toDataURL('image/jpeg', QUALITY)
+}
@@ -0,0 +1,162 @@
+import * as booksApi from './booksApi'
+import { ValidationError } from './bookSchema'
+import { findCover } from './metadata'
+
+// Finds covers for books that have none and, when signed in, copies them
+// into the server's cover cache so they're served from our own origin.
+//
+// Books are worked through one at a time with a pause between lookups, and
+// the pause doubles while Open Library or the API keep failing. A book we
+// found nothing for is remembered (by title, author and ISBN) so it isn't
+// looked up again on every visit; editing those fields gives it another go.
+// So is one that keeps failing (a cover host that always answers 502, a book
+// the server doesn't have) after MAX_ATTEMPTS tries, until MISS_TTL passes.
+// Requests that got no answer at all don't count: that's being offline.
+
+const MIN_INTERVAL = 1500
+const MAX_BACKOFF = 5 * 60 * 1000
+const MISS_TTL = 30 * 24 * 60 * 60 * 1000
+const MAX_ATTEMPTS = 5
+
+const isHotlinked = (url) => /^https?:/.test(url || '')
+
+const signature = (book) =>
+  [book.title, book.author, book.isbn].map(part => (part || '').trim().toLowerCase()).join('|')
+
+// What needsWork looks a book up by in the misses
+const missKey = (book) => book.coverUrl || signature(book)
+
+// fetch rejects with a TypeError when a request gets no answer
+const isOffline = (err) => err instanceof TypeError
+
+function readMisses(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || {}
+  } catch {
+    return {}
+  }
+}
+
+// `getBook(id)` returns the current copy of a book, or nothing once it's
+// gone; `onCover(id, coverUrl)` saves a cover on it.
+export function createCoverQueue({ storageKey, remote, getBook, onCover }) {
+  const missesKey = `${storageKey}:cover-misses`
+  const misses = readMisses(missesKey)
+  const pending = new Set()
+  const attempts = new Map()
+  let running = false
+  let stopped = true
+  let failures = 0
+  let timer = null
+  let wake = null
+
+  const now = Date.now()
+  for (const [key, at] of Object.entries(misses)) {
+    if (now - at > MISS_TTL) delete misses[key]
+  }
+
+  function remember(key) {
+    misses[key] = Date.now()
+    localStorage.setItem(missesKey, JSON.stringify(misses))
+  }
+
+  function needsWork(book) {
+    if (!book.coverUrl) return !misses[signature(book)]
+    return remote && isHotlinked(book.coverUrl) && !misses[book.coverUrl]
+  }
+
+  const sleep = (ms) => new Promise(resolve => {
+    wake = resolve
+    timer = setTimeout(resolve, ms)
+  })
+
+  async function process(book) {
+    let coverUrl = book.coverUrl
+    if (!coverUrl) {
+      coverUrl = await findCover(book)
+      if (!coverUrl) {
+        remember(signature(book))
+        return
+      }
+      // Show it straight away; caching it can follow
+      onCover(book.id, coverUrl)
+    }
+    if (!remote) return
+
+    try {
+      const cached = await booksApi.cacheCover(book.id, { url: coverUrl })
+      onCover(book.id, cached.coverUrl)
+    } catch (err) {
+      // The image can't be cached (not an image, too large...), so it stays
+      // hotlinked
+      if (err instanceof ValidationError) {
+        remember(coverUrl)
+        return
+      }
+      throw err
+    }
+  }
+
+  async function run() {
+    if (running) return
+    running = true
+    while (!stopped && pending.size > 0) {
+      const [id] = pending
+      pending.delete(id)
+      const book = getBook(id)
+      if (!book || !needsWork(book)) continue
+
+      try {
+        await process(book)
+        attempts.delete(id)
+        failures = 0
+      } catch (err) {
+        if (err instanceof booksApi.UnauthorizedError) {
+          pending.clear()
+          break
+        }
+        // Anything else, including a book the server hasn't heard of yet,
+        // is tried again later, up to MAX_ATTEMPTS times
+        const tries = (attempts.get(id) || 0) + (isOffline(err) ? 0 : 1)
+        if (tries >= MAX_ATTEMPTS) {
+          attempts.delete(id)
+          // The current copy, which may have the cover found before it failed
+          const current = getBook(id)
+          if (current) remember(missKey(current))
+        } else {
+          attempts.set(id, tries)
+          pending.add(id)
+        }
+        failures++
+      }
+      await sleep(Math.min(MIN_INTERVAL * 2 ** failures, MAX_BACKOFF))
+    }
+    running = false
+  }
+
+  return {
+    // Queues any of these books that need a cover found or cached
+    enqueue(books) {
+      for (const book of books) {
+        if (needsWork(book)) pending.add(book.id)
+      }
+      if (!stopped) run()
+    },
+
+    // Stops fetching and remembers to leave this book without a cover
+    skip(book) {
+      pending.delete(book.id)
+      remember(signature(book))
+    },
+
+    start() {
+      stopped = false
+      run()
+      return () => {
+        stopped = true
+        clearTimeout(timer)
+        wake?.()
+      }
+    },
+  }
+}
@@ -0,0 +1,56 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import * as booksApi from './booksApi'
+import { createCoverQueue } from './coverQueue'
+
+vi.mock('./booksApi', async (importOriginal) => ({
+  ...(await importOriginal()),
+  cacheCover: vi.fn(),
+}))
+
+const BOOK = { id: 1, title: 'Dune', author: 'Frank Herbert', isbn: null, coverUrl: 'https://covers.example/1.jpg' }
+
+describe('the cover queue', () => {
+  let items
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    items = new Map()
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, value),
+    })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.unstubAllGlobals()
+    vi.resetAllMocks()
+  })
+
+  function startQueue() {
+    const queue = createCoverQueue({ storageKey: 'test', remote: true, getBook: () => BOOK, onCover: vi.fn() })
+    const stop = queue.start()
+    queue.enqueue([BOOK])
+    return stop
+  }
+
+  it('gives up on a cover that keeps failing to cache', async () => {
+    booksApi.cacheCover.mockRejectedValue(new Error('Request failed: 502'))
+    const stop = startQueue()
+    await vi.runAllTimersAsync()
+    stop()
+
+    expect(booksApi.cacheCover).toHaveBeenCalledTimes(5)
+    expect(JSON.parse(items.get('test:cover-misses'))).toHaveProperty([BOOK.coverUrl])
+  })
+
+  it('keeps trying while offline', async () => {
+    booksApi.cacheCover.mockRejectedValue(new TypeError('Failed to fetch'))
+    const stop = startQueue()
+    await vi.advanceTimersByTimeAsync(60 * 60 * 1000)
+    stop()
+
+    expect(booksApi.cacheCover.mock.calls.length).toBeGreaterThan(5)
+    expect(items.has('test:cover-misses')).toBe(false)
+  })
+})
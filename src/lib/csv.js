@@ -0,0 +1,78 @@
+// Minimal RFC 4180 CSV parsing: quoted fields, doubled quotes, embedded
+// newlines and CRLF line endings.
+
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+
+  // Exports from spreadsheet apps often start with a byte-order mark
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1)
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ''))
+}
+
+// Parses CSV with a header row into objects keyed by column name
+export function parseCsvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text)
+  const columns = header.map(name => name.trim())
+  return {
+    columns,
+    records: rows.map(row =>
+      Object.fromEntries(columns.map((name, i) => [name, row[i] ?? '']))
+    ),
+  }
+}
+
+// Spreadsheet apps run a cell starting with one of these as a formula, so
+// an imported or shared title can't smuggle one in; the quote shows the
+// text as typed
+const FORMULA_START = /^[=+\-@\t\r]/
+
+function escapeField(value) {
+  let text = value === null || value === undefined ? '' : String(value)
+  if (FORMULA_START.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Serializes objects to CSV with the given columns as the header row
+export function toCsv(columns, records) {
+  const lines = [columns.map(escapeField).join(',')]
+  for (const record of records) {
+    lines.push(columns.map(column => escapeField(record[column])).join(','))
+  }
+  return lines.join('\r\n') + '\r\n'
+}
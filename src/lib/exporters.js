@@ -0,0 +1,102 @@
+import { toCsv } from './csv.js'
+import { MAX_RATING } from './bookSchema.js'
+import { entryLocation, sortEntries } from './journal.js'
+import { timesRead } from './reads.js'
+import { seriesLabel } from './series.js'
+
+// CSV and Markdown exports of the library, shared by the export API route
+// and the client. Books in the trash are left out; only JSON backups keep them.
+
+const CSV_COLUMNS = [
+  'id', 'title', 'author', 'status', 'readLevel', 'rating', 'journal', 'coverUrl', 'dateAdded',
+  'startedAt', 'finishedAt', 'abandonedAt', 'dnfReason', 'currentPage', 'pageCount', 'percentComplete',
+  'isbn', 'publishYear', 'publisher', 'subjects', 'tags', 'timesRead', 'earlierReads', 'series', 'seriesNumber',
+]
+
+const levelLabels = {
+  easy: 'Easy / Relaxing',
+  moderate: 'Moderate',
+  academic: 'Academic / Dense'
+}
+
+// Ids are the `Date.now()` of when a book was added
+const dateAdded = (book) => new Date(book.id).toISOString().slice(0, 10)
+
+// One cell for the whole journal: "2024-03-02 (p. 40) quote: ..." entries
+// separated by blank lines
+function journalCell(book) {
+  return sortEntries(book.journal).map(entry => {
+    const location = entryLocation(entry)
+    return `${entry.date}${location ? ` (${location})` : ''} ${entry.type}: ${entry.text}`
+  }).join('\n\n')
+}
+
+// Earlier reads in one cell: "2023-01-04 to 2023-02-10 finished 4/5" each,
+// separated by semicolons
+function readsCell(book) {
+  return (book.reads || []).map(read => {
+    const end = read.finishedAt || read.abandonedAt
+    const dates = read.startedAt && end ? `${read.startedAt} to ${end}` : read.startedAt || end
+    const rating = read.rating > 0 && `${read.rating}/${MAX_RATING}`
+    return [dates, read.status === 'dnf' ? 'not finished' : 'finished', rating].filter(Boolean).join(' ')
+  }).join('; ')
+}
+
+export function booksToCsv(books) {
+  return toCsv(CSV_COLUMNS, books.filter(book => !book.deletedAt).map(book => ({
+    ...book,
+    dateAdded: dateAdded(book),
+    journal: journalCell(book),
+    subjects: book.subjects?.join('; '),
+    tags: book.tags?.join('; '),
+    timesRead: timesRead(book),
+    earlierReads: readsCell(book),
+  })))
+}
+
+export function ratingStars(rating) {
+  const filled = Math.max(0, Math.min(rating || 0, MAX_RATING))
+  return '★'.repeat(filled) + '☆'.repeat(MAX_RATING - filled)
+}
+
+const quoted = (text) => text.split('\n').map(line => (line ? `> ${line}` : '>'))
+
+export function booksToMarkdown(books, { title = 'Reading Journal' } = {}) {
+  const finished = books.filter(book => book.status === 'finished' && !book.deletedAt)
+  const lines = [
+    `# ${title}`,
+    '',
+    `_${finished.length} finished ${finished.length === 1 ? 'book' : 'books'}, exported ${new Date().toISOString().slice(0, 10)}_`,
+    '',
+  ]
+
+  for (const book of finished) {
+    const series = seriesLabel(book)
+    lines.push(`## ${book.title}`, '', `*by ${book.author}${series ? ` · ${series}` : ''}*`, '')
+    const details = [ratingStars(book.rating), levelLabels[book.readLevel]]
+    if (book.finishedAt) details.push(`finished ${book.finishedAt}`)
+    if (timesRead(book) > 1) details.push(`read ${timesRead(book)} times`)
+    if (book.tags?.length) details.push(book.tags.map(tag => `#${tag.replace(/ /g, '-')}`).join(' '))
+    lines.push(details.join(' · '), '')
+    for (const entry of sortEntries(book.journal)) {
+      const heading = [entry.date, entryLocation(entry)].filter(Boolean).join(' · ')
+      if (entry.type === 'quote') {
+        lines.push(...quoted(entry.text), `> — ${heading}`, '')
+      } else {
+        lines.push(`**${heading}**`, '', entry.text, '')
+      }
+    }
+  }
+  return lines.join('\n')
+}
+
+export const EXPORT_FORMATS = {
+  json: { extension: 'json', contentType: 'application/json' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+}
+
+export function exportFilename(format) {
+  const date = new Date().toISOString().slice(0, 10)
+  return `reading-journal-${date}.${EXPORT_FORMATS[format].extension}`
+}
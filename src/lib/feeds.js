@@ -0,0 +1,164 @@
+import { MAX_RATING } from './bookSchema.js'
+import { ratingStars } from './exporters.js'
+import { entryLocation, sortEntries } from './journal.js'
+import { escapeHtml, markdownToHtml } from './markdown.js'
+import { allReads } from './reads.js'
+import { isOnProfile, showsJournal } from './sharing.js'
+
+// Atom and RSS 2.0 feeds of the books finished on a public profile, newest
+// first, one item per time a book was finished. An item's id never changes,
+// and it only counts as updated when its finish date or a later journal
+// entry moves it forward, so feed readers don't show it again for edits
+// that don't change what the feed says.
+
+export const FEED_FORMATS = {
+  atom: { contentType: 'application/atom+xml; charset=utf-8' },
+  rss: { contentType: 'application/rss+xml; charset=utf-8' },
+}
+
+export const MAX_FEED_ITEMS = 50
+
+// XML 1.0 doesn't allow these control characters at all, escaped or not, and
+// a feed with one in it won't parse
+// eslint-disable-next-line no-control-regex
+const XML_CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g
+
+const escapeXml = (text) => escapeHtml(String(text).replace(XML_CONTROL_CHARS, ''))
+
+const timestamp = (date) => `${date}T00:00:00Z`
+
+const longDate = (date) => new Date(timestamp(date)).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'UTC',
+})
+
+// The journal entries that belong to each of a book's reads: those written
+// from its start until the next read began. The first read also gets
+// anything written before it started.
+function entriesByRead(book, reads) {
+  const ended = book.status === 'finished' || book.status === 'dnf'
+  const nextStarts = [...reads.slice(1).map(read => read.startedAt), ended ? null : book.startedAt]
+  const entries = sortEntries(book.journal)
+  return reads.map((read, i) => entries.filter(entry =>
+    (i === 0 || !read.startedAt || entry.date >= read.startedAt) &&
+    (!nextStarts[i] || entry.date < nextStarts[i])))
+}
+
+function itemHtml(item) {
+  const parts = []
+  if (item.coverUrl) {
+    parts.push(`<p><img src="${escapeHtml(item.coverUrl)}" alt="Cover of ${escapeHtml(item.title)}" width="120"></p>`)
+  }
+  parts.push(`<p>by ${escapeHtml(item.author)}</p>`)
+  if (item.rating > 0) parts.push(`<p title="${item.rating} of ${MAX_RATING}">${ratingStars(item.rating)}</p>`)
+  parts.push(`<p>Finished ${longDate(item.finishedAt)}</p>`)
+  for (const entry of item.journal) {
+    const body = markdownToHtml(entry.text)
+    parts.push(entry.type === 'quote' ? `<blockquote>${body}</blockquote>` : body)
+    const about = [longDate(entry.date), entryLocation(entry)].filter(Boolean).join(' · ')
+    parts.push(`<p><small>${escapeHtml(about)}</small></p>`)
+  }
+  return parts.join('\n')
+}
+
+// The feed's items for `books` under the profile's `settings`. `idPrefix`
+// makes item ids unique to this reader; `coverUrl(book)` is as for
+// publicProfile, but should give absolute URLs.
+export function feedItems(books, settings, { idPrefix, coverUrl = () => null }) {
+  const items = books.filter(isOnProfile).flatMap(book => {
+    const reads = allReads(book)
+    const journals = entriesByRead(book, reads)
+    return reads.flatMap((read, i) => {
+      if (read.status !== 'finished' || !read.finishedAt) return []
+      const journal = showsJournal(book, settings) ? journals[i] : []
+      const latest = journal.reduce((date, entry) => (entry.date > date ? entry.date : date), read.finishedAt)
+      return [{
+        id: `${idPrefix}:books/${book.id}/reads/${i + 1}`,
+        bookId: book.id,
+        title: book.title,
+        author: book.author,
+        coverUrl: coverUrl(book),
+        rating: read.rating,
+        finishedAt: read.finishedAt,
+        journal,
+        published: timestamp(read.finishedAt),
+        updated: timestamp(latest),
+      }]
+    })
+  })
+
+  return items
+    .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt) || b.id.localeCompare(a.id))
+    .slice(0, MAX_FEED_ITEMS)
+}
+
+function atomFeed(items, { title, author, id, profileUrl, feedUrl, updated }) {
+  const entries = items.map(item => `  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(`${item.title} by ${item.author}`)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(`${profileUrl}#book-${item.bookId}`)}"/>
+    <published>${item.published}</published>
+    <updated>${item.updated}</updated>
+    <content type="html">${escapeXml(itemHtml(item))}</content>
+  </entry>
+`).join('')
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(id)}</id>
+  <title>${escapeXml(title)}</title>
+  <link rel="self" type="${FEED_FORMATS.atom.contentType.split(';')[0]}" href="${escapeXml(feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(profileUrl)}"/>
+  <updated>${updated}</updated>
+  <author><name>${escapeXml(author)}</name></author>
+  <generator>Reading Journal</generator>
+${entries}</feed>
+`
+}
+
+const rfc822 = (time) => new Date(time).toUTCString()
+
+function rssFeed(items, { title, description, profileUrl, feedUrl, updated }) {
+  const entries = items.map(item => `    <item>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <title>${escapeXml(`${item.title} by ${item.author}`)}</title>
+      <link>${escapeXml(`${profileUrl}#book-${item.bookId}`)}</link>
+      <pubDate>${rfc822(item.published)}</pubDate>
+      <description>${escapeXml(itemHtml(item))}</description>
+    </item>
+`).join('')
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(profileUrl)}</link>
+    <description>${escapeXml(description)}</description>
+    <atom:link rel="self" type="${FEED_FORMATS.rss.contentType.split(';')[0]}" href="${escapeXml(feedUrl)}"/>
+    <lastBuildDate>${rfc822(updated)}</lastBuildDate>
+    <generator>Reading Journal</generator>
+    <docs>https://www.rssboard.org/rss-specification</docs>
+${entries}  </channel>
+</rss>
+`
+}
+
+// The whole feed as XML. `since` dates an empty feed, which has no items
+// to take its updated time from.
+export function profileFeed(format, items, { displayName, id, profileUrl, feedUrl, since }) {
+  const author = displayName || 'A reader'
+  const updated = items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), '') ||
+    new Date(since || 0).toISOString().replace(/\.\d+Z$/, 'Z')
+  const options = {
+    title: `${author}'s Bookshelf`,
+    description: `Books finished by ${displayName || 'a reader'}`,
+    author,
+    id,
+    profileUrl,
+    feedUrl,
+    updated,
+  }
+  return format === 'rss' ? rssFeed(items, options) : atomFeed(items, options)
+}
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest'
+import { profileFeed } from './feeds'
+
+const ITEM = {
+  id: 'tag:example.com,2024:books/1/reads/1',
+  bookId: 1,
+  title: 'Dune\u0001',
+  author: 'Frank\u000BHerbert',
+  coverUrl: null,
+  rating: 4,
+  finishedAt: '2024-01-02',
+  journal: [{ id: 1, type: 'note', date: '2024-01-02', text: 'Pasted\u0000 from\u001F somewhere\tand\nkept', page: null, chapter: null }],
+  published: '2024-01-02T00:00:00Z',
+  updated: '2024-01-02T00:00:00Z',
+}
+
+const OPTIONS = { displayName: 'Reader\u0008', id: 'tag:example.com,2024:reader', profileUrl: 'https://example.com/p', feedUrl: 'https://example.com/f' }
+
+describe('profileFeed', () => {
+  it('leaves out control characters XML does not allow, in either format', () => {
+    for (const format of ['atom', 'rss']) {
+      const xml = profileFeed(format, [ITEM], OPTIONS)
+      for (const char of ['\u0000', '\u0001', '\u0008', '\u000B', '\u001F']) expect(xml).not.toContain(char)
+      expect(xml).toContain('Dune by FrankHerbert')
+      expect(xml).toContain('Reader')
+      expect(xml).toContain('Pasted from somewhere\tand')
+    }
+  })
+})
@@ -0,0 +1,129 @@
+import { READ_LEVELS, ValidationError } from './bookSchema.js'
+import { normalizeAuthor } from './bookMatching.js'
+import { finishedReads } from './reads.js'
+
+// Yearly reading goals and challenges, shared by the client and the goals
+// API. A goal is `{ id, year, type, target }`, plus `readLevel` for
+// read-level challenges. Progress always comes from finished reads and their
+// `finishedAt` dates, so a reread counts again in the year it was finished.
+
+export const GOAL_TYPES = ['books', 'readLevel', 'newAuthors', 'pages']
+export const MAX_GOALS = 50
+export const MAX_GOAL_TARGET = 1000000
+
+const UNITS = {
+  books: ['book', 'books'],
+  readLevel: ['book', 'books'],
+  newAuthors: ['author', 'authors'],
+  pages: ['page', 'pages'],
+}
+
+const amount = (count, type) =>
+  `${count.toLocaleString()} ${UNITS[type][count === 1 ? 0 : 1]}`
+
+function validateGoal(goal) {
+  if (!goal || typeof goal !== 'object' || Array.isArray(goal)) return ['goal must be an object']
+
+  const errors = []
+  if (!Number.isSafeInteger(goal.id) || goal.id <= 0) errors.push('goal id must be a positive integer')
+  if (!Number.isInteger(goal.year) || goal.year < 1900 || goal.year > 2200) errors.push('goal year must be a year')
+  if (!GOAL_TYPES.includes(goal.type)) errors.push(`goal type must be one of ${GOAL_TYPES.join(', ')}`)
+  if (!Number.isInteger(goal.target) || goal.target < 1 || goal.target > MAX_GOAL_TARGET) {
+    errors.push(`goal target must be a whole number from 1 to ${MAX_GOAL_TARGET}`)
+  }
+  if (goal.type === 'readLevel' && !READ_LEVELS.includes(goal.readLevel)) {
+    errors.push(`readLevel must be one of ${READ_LEVELS.join(', ')}`)
+  }
+  const allowed = ['id', 'year', 'type', 'target', ...(goal.type === 'readLevel' ? ['readLevel'] : [])]
+  for (const name of Object.keys(goal)) {
+    if (!allowed.includes(name)) errors.push(`unknown goal field "${name}"`)
+  }
+  return errors
+}
+
+// Returns a list of problems with a user's goals, empty when they are valid
+export function validateGoals(goals) {
+  if (!Array.isArray(goals)) return ['goals must be a list']
+  if (goals.length > MAX_GOALS) return [`at most ${MAX_GOALS} goals are allowed`]
+
+  const errors = goals.flatMap(validateGoal)
+  const ids = new Set(goals.map(goal => goal.id))
+  if (ids.size !== goals.length) errors.push('goal ids must be unique')
+  const yearly = goals.filter(goal => goal.type === 'books').map(goal => goal.year)
+  if (new Set(yearly).size !== yearly.length) errors.push('only one book-count goal per year')
+  return errors
+}
+
+export function assertValidGoals(goals) {
+  const errors = validateGoals(goals)
+  if (errors.length > 0) throw new ValidationError(errors, 'goals')
+  return goals
+}
+
+export function goalLabel(goal) {
+  const target = amount(goal.target, goal.type)
+  if (goal.type === 'readLevel') return `${target.replace(/ book/, ` ${goal.readLevel} book`)} in ${goal.year}`
+  if (goal.type === 'newAuthors') return `${target.replace(/ author/, ' new author')} in ${goal.year}`
+  return `${target} in ${goal.year}`
+}
+
+function goalCount(goal, books) {
+  const reads = finishedReads(books)
+  const finished = reads.filter(read => read.finishedAt?.startsWith(`${goal.year}-`))
+
+  if (goal.type === 'readLevel') {
+    return finished.filter(book => book.readLevel === goal.readLevel).length
+  }
+  if (goal.type === 'pages') {
+    return finished.reduce((sum, book) => sum + (book.pageCount || 0), 0)
+  }
+  if (goal.type === 'newAuthors') {
+    // Finished books without a date are assumed to have been read earlier
+    const before = new Set(
+      reads
+        .filter(read => !read.finishedAt || read.finishedAt < `${goal.year}-`)
+        .map(book => normalizeAuthor(book.author))
+    )
+    return new Set(
+      finished.map(book => normalizeAuthor(book.author)).filter(author => !before.has(author))
+    ).size
+  }
+  return finished.length
+}
+
+// How far along a goal is. `pace` compares progress with an even spread
+// over the year: 'ahead', 'behind' or 'on-pace' during the year, 'done' or
+// 'missed' after it, and 'upcoming' before it starts. `difference` is how
+// far ahead (positive) or behind (negative) of that spread it is.
+export function goalProgress(goal, books, now = new Date()) {
+  const count = goalCount(goal, books)
+  const year = now.getFullYear()
+  const progress = { count, target: goal.target, percent: Math.min(100, Math.round((count / goal.target) * 100)) }
+
+  if (count >= goal.target) return { ...progress, pace: 'done', difference: 0 }
+  if (goal.year < year) return { ...progress, pace: 'missed', difference: count - goal.target }
+  if (goal.year > year) return { ...progress, pace: 'upcoming', difference: 0 }
+
+  const start = new Date(year, 0, 1)
+  const elapsed = (now - start) / (new Date(year + 1, 0, 1) - start)
+  const difference = Math.round(count - goal.target * elapsed)
+  const pace = difference > 0 ? 'ahead' : difference < 0 ? 'behind' : 'on-pace'
+  return { ...progress, pace, difference }
+}
+
+export function paceLabel({ pace, difference }, goal) {
+  switch (pace) {
+    case 'done':
+      return 'Complete!'
+    case 'missed':
+      return 'Not reached'
+    case 'upcoming':
+      return 'Not started'
+    case 'ahead':
+      return `${amount(difference, goal.type)} ahead of pace`
+    case 'behind':
+      return `${amount(-difference, goal.type)} behind pace`
+    default:
+      return 'On pace'
+  }
+}
@@ -0,0 +1,214 @@
+import { parseCsvRecords } from './csv'
+import { isSameBook } from './bookMatching'
+import {
+  MAX_AUTHOR_LENGTH,
+  MAX_ENTRY_LENGTH,
+  MAX_PAGE_COUNT,
+  MAX_PUBLISHER_LENGTH,
+  MAX_RATING,
+  MAX_TAGS,
+  MAX_TITLE_LENGTH,
+  MIN_RATING,
+  normalizeTag,
+  notesEntry,
+  withDefaults,
+} from './bookSchema'
+import { normalizeIsbn } from './metadata'
+import { parseSeriesTitle } from './series'
+
+// Turns Goodreads and StoryGraph CSV exports into import candidates:
+// `{ title, author, shelf, status, rating, notes, readLevel,
+//    readLevelInferred, dateAdded, finishedAt, isbn, pageCount, publishYear,
+//    publisher, series, seriesNumber, tags, duplicateOf }`, one per row.
+
+const FORMATS = {
+  goodreads: {
+    label: 'Goodreads',
+    detect: (columns) => columns.includes('Exclusive Shelf') && columns.includes('My Rating'),
+    toCandidate: (record) => ({
+      title: record['Title'],
+      author: record['Author'],
+      shelf: record['Exclusive Shelf'],
+      rating: record['My Rating'],
+      review: reviewHtmlToText(record['My Review']),
+      dateAdded: record['Date Added'],
+      dateRead: record['Date Read'],
+      // Goodreads writes ISBNs as ="0441013597" to keep spreadsheets from
+      // turning them into numbers
+      isbn: record['ISBN13'] || record['ISBN'],
+      pageCount: record['Number of Pages'],
+      publishYear: record['Year Published'],
+      publisher: record['Publisher'],
+      tags: record['Bookshelves'],
+      hints: [record['Bookshelves']],
+    }),
+  },
+  storygraph: {
+    label: 'StoryGraph',
+    detect: (columns) => columns.includes('Read Status') && columns.includes('Star Rating'),
+    toCandidate: (record) => ({
+      title: record['Title'],
+      author: record['Authors'],
+      shelf: record['Read Status'],
+      rating: record['Star Rating'],
+      review: record['Review'],
+      dateAdded: record['Date Added'],
+      dateRead: record['Last Date Read'],
+      isbn: record['ISBN/UID'],
+      tags: record['Tags'],
+      hints: [record['Moods'], record['Pace'], record['Tags']],
+    }),
+  },
+}
+
+// Only books someone has read get a rating and a note; shelves we don't
+// recognise land on the TBR.
+const SHELF_STATUSES = {
+  'read': 'finished',
+  'currently-reading': 'reading',
+  'did-not-finish': 'dnf',
+}
+
+// Shelf, mood, pace and tag words that suggest how heavy a book is
+const READ_LEVEL_HINTS = {
+  academic: ['academic', 'textbook', 'philosophy', 'non-fiction', 'nonfiction', 'history',
+    'science', 'challenging', 'informative', 'slow', 'reflective'],
+  easy: ['easy', 'light', 'beach', 'romance', 'cozy', 'lighthearted', 'funny', 'fast',
+    'relaxing', 'comfort'],
+}
+
+function reviewHtmlToText(html = '') {
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .trim()
+}
+
+// Both exports write dates as YYYY/MM/DD
+function toIsoDate(value) {
+  const match = value?.trim().match(/^(\d{4})[/-](\d{2})[/-](\d{2})$/)
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null
+}
+
+// Goodreads lists the status shelf among a book's shelves; the rest become tags
+function toTags(list) {
+  const tags = (list || '').split(',').map(normalizeTag)
+    .filter(tag => tag && tag !== 'to-read' && !SHELF_STATUSES[tag])
+  return [...new Set(tags)].slice(0, MAX_TAGS)
+}
+
+// Whole stars, clamped to the schema's range; anything unreadable is
+// unrated (0)
+function toRating(value) {
+  const rating = Math.round(Number(value)) || 0
+  return Math.min(Math.max(rating, MIN_RATING), MAX_RATING)
+}
+
+function toInteger(value, max) {
+  const number = Number(value)
+  return Number.isInteger(number) && number > 0 && number <= max ? number : null
+}
+
+function inferReadLevel(hints) {
+  const words = hints.filter(Boolean).join(' ').toLowerCase().split(/[\s,;|]+/)
+  for (const [level, cues] of Object.entries(READ_LEVEL_HINTS)) {
+    if (cues.some(cue => words.includes(cue))) return level
+  }
+  return null
+}
+
+export function detectFormat(columns) {
+  return Object.keys(FORMATS).find(name => FORMATS[name].detect(columns)) || null
+}
+
+export function formatLabel(format) {
+  return FORMATS[format]?.label
+}
+
+export class ImportFormatError extends Error {
+  constructor() {
+    super("This doesn't look like a Goodreads or StoryGraph export.")
+    this.name = 'ImportFormatError'
+  }
+}
+
+export function parseImport(text, existingBooks) {
+  const { columns, records } = parseCsvRecords(text)
+  const format = detectFormat(columns)
+  if (!format) throw new ImportFormatError()
+
+  const candidates = records
+    .map(FORMATS[format].toCandidate)
+    .filter(row => row.title?.trim() && row.author?.trim())
+    .map((row, index) => {
+      const status = SHELF_STATUSES[row.shelf] || 'tbr'
+      const finished = status === 'finished'
+      const inferred = inferReadLevel(row.hints)
+      // Goodreads titles end with the series, which becomes its own field
+      const series = parseSeriesTitle(row.title.trim())
+      const book = {
+        title: (series ? series.title : row.title.trim()).slice(0, MAX_TITLE_LENGTH),
+        author: row.author.split(',')[0].trim().slice(0, MAX_AUTHOR_LENGTH),
+      }
+      return {
+        key: index,
+        ...book,
+        shelf: row.shelf,
+        status,
+        rating: finished ? toRating(row.rating) : null,
+        notes: finished ? (row.review || '').slice(0, MAX_ENTRY_LENGTH) : null,
+        readLevel: inferred || 'moderate',
+        readLevelInferred: Boolean(inferred),
+        dateAdded: Date.parse(row.dateAdded?.replace(/\//g, '-')) || null,
+        finishedAt: finished ? toIsoDate(row.dateRead) : null,
+        isbn: normalizeIsbn(row.isbn?.replace(/[="]/g, '')),
+        pageCount: toInteger(row.pageCount, MAX_PAGE_COUNT),
+        publishYear: toInteger(row.publishYear, 9999),
+        publisher: row.publisher?.trim().slice(0, MAX_PUBLISHER_LENGTH) || null,
+        series: series?.series ?? null,
+        seriesNumber: series?.seriesNumber ?? null,
+        tags: toTags(row.tags),
+        duplicateOf: existingBooks.find(existing => isSameBook(existing, book))?.id ?? null,
+      }
+    })
+
+  return { format, candidates }
+}
+
+// Builds book records for the accepted candidates. Ids double as the date a
+// book was added, so they come from the export's "Date Added" when present.
+export function candidatesToBooks(candidates, existingBooks, schemaVersion) {
+  const usedIds = new Set(existingBooks.map(book => book.id))
+  const now = Date.now()
+
+  return candidates.map((candidate, index) => {
+    let id = candidate.dateAdded || now + index
+    while (usedIds.has(id)) id++
+    usedIds.add(id)
+
+    const book = withDefaults({
+      id,
+      title: candidate.title,
+      author: candidate.author,
+      readLevel: candidate.readLevel,
+      status: candidate.status,
+      rating: candidate.rating,
+      finishedAt: candidate.finishedAt,
+      pageCount: candidate.pageCount,
+      isbn: candidate.isbn,
+      publishYear: candidate.publishYear,
+      publisher: candidate.publisher,
+      series: candidate.series,
+      seriesNumber: candidate.seriesNumber,
+      tags: candidate.tags,
+      schemaVersion,
+    })
+    // A review becomes the first journal entry
+    return { ...book, journal: candidate.notes?.trim() ? [notesEntry(book, candidate.notes)] : [] }
+  })
+}
@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest'
+import { candidatesToBooks, parseImport } from './importers'
+import { SCHEMA_VERSION, validateBook } from './bookSchema'
+
+const GOODREADS_HEADER = 'Title,Author,My Rating,Exclusive Shelf,Date Read,Date Added,Bookshelves,My Review'
+
+const goodreads = (...rows) => [GOODREADS_HEADER, ...rows].join('\n')
+
+describe('parseImport', () => {
+  it('clamps Goodreads ratings to whole stars from 0 to 5', () => {
+    const { candidates } = parseImport(goodreads(
+      'Low,A,-3,read,2024/01/02,2023/12/01,,',
+      'High,A,9,read,2024/01/02,2023/12/01,,',
+      'Half,A,3.6,read,2024/01/02,2023/12/01,,',
+      'Blank,A,,read,2024/01/02,2023/12/01,,',
+      'Unread,A,4,to-read,,2023/12/01,,',
+    ), [])
+
+    expect(candidates.map(c => c.rating)).toEqual([0, 5, 4, 0, null])
+  })
+
+  it('makes books that pass validation', () => {
+    const { candidates } = parseImport(goodreads(
+      'Dune (Dune Chronicles #1),"Herbert, Frank",7,read,2024/01/02,2023/12/01,sci-fi,Loved it',
+    ), [])
+    const [book] = candidatesToBooks(candidates, [], SCHEMA_VERSION)
+
+    expect(validateBook(book)).toEqual([])
+    expect(book).toMatchObject({ title: 'Dune', rating: 5, series: 'Dune Chronicles', tags: ['sci-fi'], reads: [] })
+    expect(book.journal[0].text).toBe('Loved it')
+  })
+})
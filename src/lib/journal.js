@@ -0,0 +1,39 @@
+// Helpers for a book's journal (see journalEntryError in bookSchema),
+// shared by the client and the export API route.
+
+// Oldest first, in the order they were written within a day
+export function sortEntries(journal) {
+  return [...(journal || [])].sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id)
+}
+
+// Where in the book an entry is about, e.g. "p. 112 · Chapter 4"
+export function entryLocation(entry) {
+  const parts = []
+  if (entry.page !== null) parts.push(`p. ${entry.page}`)
+  if (entry.chapter) parts.push(/^\d+$/.test(entry.chapter) ? `Chapter ${entry.chapter}` : entry.chapter)
+  return parts.join(' · ')
+}
+
+// Entry ids are timestamps, bumped past any already taken
+export function newEntryId(journal) {
+  const ids = new Set((journal || []).map(entry => entry.id))
+  let id = Date.now()
+  while (ids.has(id)) id++
+  return id
+}
+
+export function journalText(book) {
+  return (book.journal || []).map(entry => entry.text).join('\n')
+}
+
+export function quoteCount(book) {
+  return (book.journal || []).filter(entry => entry.type === 'quote').length
+}
+
+// The entries written during one read (see reads.js), from its start to its
+// end; a read with no date at one end is open on that side
+export function entriesDuring(journal, read) {
+  const end = read.finishedAt || read.abandonedAt
+  return sortEntries(journal).filter(entry =>
+    (!read.startedAt || entry.date >= read.startedAt) && (!end || entry.date <= end))
+}
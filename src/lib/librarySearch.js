@@ -0,0 +1,168 @@
+import { MAX_RATING, READ_LEVELS, STATUSES, normalizeTag } from './bookSchema'
+import { journalText } from './journal'
+
+// Searching, filtering and sorting the library. The query lives in the URL
+// (`?q=dune&level=easy,moderate&tag=sci-fi&rating=3-5&sort=title`) so a filtered view
+// can be bookmarked; defaults are left out of it.
+
+export const SORTS = {
+  relevance: 'Best match',
+  added: 'Date added',
+  title: 'Title',
+  author: 'Author',
+  rating: 'Rating',
+}
+
+export const DEFAULT_QUERY = {
+  q: '',
+  levels: [],
+  statuses: [],
+  tags: [],
+  minRating: 0,
+  maxRating: MAX_RATING,
+  sort: 'added',
+  descending: false,
+}
+
+const parseList = (value, allowed) =>
+  (value || '').split(',').filter(item => allowed.includes(item))
+
+export function parseQuery(search) {
+  const params = new URLSearchParams(search)
+  const [min, max] = (params.get('rating') || '').split('-').map(Number)
+  const inRange = (n) => Number.isInteger(n) && n >= 0 && n <= MAX_RATING
+
+  return {
+    q: params.get('q') || '',
+    levels: parseList(params.get('level'), READ_LEVELS),
+    statuses: parseList(params.get('status'), STATUSES),
+    tags: [...new Set((params.get('tag') || '').split(',').map(normalizeTag).filter(Boolean))],
+    minRating: inRange(min) ? min : DEFAULT_QUERY.minRating,
+    maxRating: inRange(max) ? max : DEFAULT_QUERY.maxRating,
+    sort: SORTS[params.get('sort')] ? params.get('sort') : DEFAULT_QUERY.sort,
+    descending: params.get('order') === 'desc',
+  }
+}
+
+export function toSearchString(query) {
+  const params = new URLSearchParams()
+  if (query.q) params.set('q', query.q)
+  if (query.levels.length) params.set('level', query.levels.join(','))
+  if (query.statuses.length) params.set('status', query.statuses.join(','))
+  if (query.tags.length) params.set('tag', query.tags.join(','))
+  if (isRatingFiltered(query)) params.set('rating', `${query.minRating}-${query.maxRating}`)
+  if (query.sort !== DEFAULT_QUERY.sort) params.set('sort', query.sort)
+  if (query.descending) params.set('order', 'desc')
+  const search = params.toString()
+  return search ? `?${search}` : ''
+}
+
+export function isRatingFiltered(query) {
+  return query.minRating > DEFAULT_QUERY.minRating || query.maxRating < DEFAULT_QUERY.maxRating
+}
+
+export function isFiltered(query) {
+  return Boolean(query.q.trim()) || query.levels.length > 0 || query.statuses.length > 0 ||
+    query.tags.length > 0 || isRatingFiltered(query)
+}
+
+const normalize = (text) =>
+  (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+
+// Levenshtein distance, giving up once it passes `limit`
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i]
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+    }
+    if (Math.min(...row) > limit) return limit + 1
+    previous = row
+  }
+  return previous[b.length]
+}
+
+const isSubsequence = (term, text) => {
+  let i = 0
+  for (const char of text) {
+    if (char === term[i]) i++
+    if (i === term.length) return true
+  }
+  return false
+}
+
+// How well one search term matches some text: exact substrings beat words
+// with a typo in them, which beat the letters merely appearing in order.
+function termScore(term, text) {
+  if (text.includes(term)) return 3
+  if (term.length >= 4) {
+    const limit = term.length >= 7 ? 2 : 1
+    if (text.split(/[^\p{L}\p{N}]+/u).some(word => editDistance(term, word, limit) <= limit)) return 2
+  }
+  if (term.length >= 3 && isSubsequence(term, text)) return 1
+  return 0
+}
+
+// Title, author and series matches count for more than matches in tags or
+// the journal
+const SEARCH_FIELDS = [['title', 3], ['author', 2], ['series', 2], ['tags', 1], ['journal', 1]]
+
+const fieldText = (book, field) => {
+  if (field === 'tags') return (book.tags || []).join(' ')
+  if (field === 'journal') return journalText(book)
+  return book[field]
+}
+
+// Scores a book against the search text; 0 means it doesn't match. Every
+// term has to match one of the fields.
+export function searchScore(book, q) {
+  const terms = normalize(q).split(/\s+/).filter(Boolean)
+  let total = 0
+  for (const term of terms) {
+    const best = Math.max(...SEARCH_FIELDS.map(([field, weight]) => termScore(term, normalize(fieldText(book, field))) * weight))
+    if (best === 0) return 0
+    total += best
+  }
+  return total
+}
+
+const compareText = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' })
+
+const comparators = {
+  added: (a, b) => a.id - b.id,
+  title: (a, b) => compareText(a.title, b.title),
+  author: (a, b) => compareText(a.author, b.author) || compareText(a.title, b.title),
+  // Unrated books count as lower than any rating
+  rating: (a, b) => (a.rating ?? -1) - (b.rating ?? -1) || a.id - b.id,
+}
+
+export function filterBooks(books, query) {
+  const q = query.q.trim()
+  const scores = new Map()
+
+  const matching = books.filter(book => {
+    if (query.levels.length && !query.levels.includes(book.readLevel)) return false
+    if (query.statuses.length && !query.statuses.includes(book.status)) return false
+    // A book has to have every tag picked
+    if (!query.tags.every(tag => book.tags?.includes(tag))) return false
+    if (isRatingFiltered(query) &&
+      (book.rating === null || book.rating < query.minRating || book.rating > query.maxRating)) {
+      return false
+    }
+    if (q) {
+      const score = searchScore(book, q)
+      if (score === 0) return false
+      scores.set(book.id, score)
+    }
+    return true
+  })
+
+  if (query.sort === 'relevance') {
+    // Best matches first; without a search that is just date added
+    return matching.sort((a, b) => (scores.get(b.id) || 0) - (scores.get(a.id) || 0) || a.id - b.id)
+  }
+  const sorted = matching.sort(comparators[query.sort])
+  return query.descending ? sorted.reverse() : sorted
+}
@@ -0,0 +1,105 @@
+// The Markdown journal entries are written in: paragraphs (single line
+// breaks are kept), # headings, - and 1. lists, > quotes, ``` code blocks,
+// **bold**, *italic*, `code` and [links](https://...). It parses to a tree
+// that's rendered as React elements, so nothing in an entry ever reaches
+// the page as HTML. Feeds need HTML, which markdownToHtml builds from the
+// same tree with every piece of text escaped.
+
+const INLINE = /`([^`]+)`|\*\*(.+?)\*\*|\*([^*\s](?:.*?[^*\s])?)\*|_([^_\s](?:.*?[^_\s])?)_|\[([^\]]+)\]\(([^)\s]+)\)/g
+
+const isSafeUrl = (url) => /^(https?:|mailto:)/i.test(url)
+
+export function parseInline(text) {
+  const nodes = []
+  let last = 0
+  for (const match of text.matchAll(INLINE)) {
+    if (match.index > last) nodes.push({ type: 'text', text: text.slice(last, match.index) })
+    const [whole, code, strong, em, underscored, label, url] = match
+    if (code !== undefined) nodes.push({ type: 'code', text: code })
+    else if (strong !== undefined) nodes.push({ type: 'strong', children: parseInline(strong) })
+    else if (em !== undefined || underscored !== undefined) nodes.push({ type: 'em', children: parseInline(em ?? underscored) })
+    else if (isSafeUrl(url)) nodes.push({ type: 'link', url, children: parseInline(label) })
+    else nodes.push({ type: 'text', text: whole })
+    last = match.index + whole.length
+  }
+  if (last < text.length) nodes.push({ type: 'text', text: text.slice(last) })
+  return nodes
+}
+
+const LIST_ITEM = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/
+
+export function parseMarkdown(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n')
+  const blocks = []
+  let i = 0
+
+  while (i < lines.length) {
+    const line = lines[i]
+
+    if (!line.trim()) {
+      i++
+    } else if (line.startsWith('```')) {
+      const code = []
+      for (i++; i < lines.length && !lines[i].startsWith('```'); i++) code.push(lines[i])
+      blocks.push({ type: 'codeBlock', text: code.join('\n') })
+      i++
+    } else if (/^#{1,3}\s/.test(line)) {
+      const [, hashes, heading] = line.match(/^(#+)\s+(.*)$/)
+      blocks.push({ type: 'heading', level: hashes.length, children: parseInline(heading) })
+      i++
+    } else if (line.startsWith('>')) {
+      const quoted = []
+      for (; i < lines.length && lines[i].startsWith('>'); i++) quoted.push(lines[i].replace(/^>\s?/, ''))
+      blocks.push({ type: 'quote', children: parseMarkdown(quoted.join('\n')) })
+    } else if (LIST_ITEM.test(line)) {
+      const ordered = Boolean(line.match(LIST_ITEM)[2])
+      const items = []
+      for (; i < lines.length && LIST_ITEM.test(lines[i]); i++) {
+        const [, , number, item] = lines[i].match(LIST_ITEM)
+        if (Boolean(number) !== ordered) break
+        items.push(parseInline(item))
+      }
+      blocks.push({ type: 'list', ordered, items })
+    } else {
+      const paragraph = []
+      for (; i < lines.length && lines[i].trim() && !/^(```|#{1,3}\s|>)/.test(lines[i]) && !LIST_ITEM.test(lines[i]); i++) {
+        paragraph.push(parseInline(lines[i]))
+      }
+      blocks.push({ type: 'paragraph', lines: paragraph })
+    }
+  }
+  return blocks
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+// Escapes text for HTML, and for XML, which needs the same five
+export const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+
+function inlineHtml(nodes) {
+  return nodes.map(node => {
+    if (node.type === 'text') return escapeHtml(node.text)
+    if (node.type === 'code') return `<code>${escapeHtml(node.text)}</code>`
+    if (node.type === 'strong') return `<strong>${inlineHtml(node.children)}</strong>`
+    if (node.type === 'em') return `<em>${inlineHtml(node.children)}</em>`
+    return `<a href="${escapeHtml(node.url)}">${inlineHtml(node.children)}</a>`
+  }).join('')
+}
+
+function blocksHtml(blocks) {
+  return blocks.map(block => {
+    // Entries sit under the book's and the journal's headings, as in the app
+    if (block.type === 'heading') return `<h${block.level + 3}>${inlineHtml(block.children)}</h${block.level + 3}>`
+    if (block.type === 'quote') return `<blockquote>${blocksHtml(block.children)}</blockquote>`
+    if (block.type === 'list') {
+      const list = block.ordered ? 'ol' : 'ul'
+      return `<${list}>${block.items.map(item => `<li>${inlineHtml(item)}</li>`).join('')}</${list}>`
+    }
+    if (block.type === 'codeBlock') return `<pre>${escapeHtml(block.text)}</pre>`
+    return `<p>${block.lines.map(inlineHtml).join('<br>')}</p>`
+  }).join('\n')
+}
+
+export function markdownToHtml(text) {
+  return blocksHtml(parseMarkdown(text))
+}
@@ -0,0 +1,86 @@
+import { MAX_JOURNAL_ENTRIES, MAX_SUBJECTS, MAX_TAGS, validateBook } from './bookSchema'
+
+// Merging two records of the same book into the one added first, which
+// keeps its id and so its added date; the other goes to the trash. Some
+// parts are picked whole from one book or the other, as `choices`:
+//
+//   title, author, coverUrl, rating   'kept' or 'other'
+//   reading    'kept' or 'other': status, reading dates, progress and reads
+//   journal    'kept', 'other' or 'both'
+//
+// Everything else is combined: edition details and the series fill in where
+// the kept book has none, tags and subjects are joined, and privacy settings keep
+// whichever is more private.
+
+export const READING_FIELDS = [
+  'status', 'startedAt', 'finishedAt', 'abandonedAt', 'currentPage', 'percentComplete', 'dnfReason', 'reads', 'priority',
+]
+
+const EDITION_FIELDS = ['isbn', 'pageCount', 'publishYear', 'publisher']
+
+const PROGRESS = { tbr: 0, reading: 1, dnf: 2, finished: 3 }
+
+// Starts from the kept book, but takes a cover or rating only the other one
+// has, and the reading history of whichever got further
+export function defaultChoices(kept, other) {
+  return {
+    title: 'kept',
+    author: 'kept',
+    coverUrl: !kept.coverUrl && other.coverUrl ? 'other' : 'kept',
+    rating: !kept.rating && other.rating ? 'other' : 'kept',
+    reading: PROGRESS[other.status] > PROGRESS[kept.status] ? 'other' : 'kept',
+    journal: 'both',
+  }
+}
+
+// Both journals, leaving out entries that are in both, with ids bumped
+// where they clash
+export function combineJournals(kept, other) {
+  const entryKey = (entry) => `${entry.type}\n${entry.date}\n${entry.text}`
+  const seen = new Set(kept.map(entryKey))
+  const ids = new Set(kept.map(entry => entry.id))
+  const combined = [...kept]
+  for (const entry of other) {
+    if (seen.has(entryKey(entry))) continue
+    let id = entry.id
+    while (ids.has(id)) id++
+    ids.add(id)
+    combined.push({ ...entry, id })
+  }
+  return combined
+}
+
+const union = (a = [], b = [], max) => [...new Set([...a, ...b])].slice(0, max)
+
+// The updates that turn `kept` into the merged book
+export function mergeBooks(kept, other, choices) {
+  const from = (part) => (choices[part] === 'other' ? other : kept)
+  return {
+    title: from('title').title,
+    author: from('author').author,
+    coverUrl: from('coverUrl').coverUrl,
+    rating: from('rating').rating,
+    ...Object.fromEntries(READING_FIELDS.map(field => [field, from('reading')[field]])),
+    journal: choices.journal === 'both' ? combineJournals(kept.journal, other.journal) : from('journal').journal,
+    ...Object.fromEntries(EDITION_FIELDS.map(field => [field, kept[field] ?? other[field]])),
+    // A series and its number go together
+    series: (kept.series ? kept : other).series,
+    seriesNumber: (kept.series ? kept : other).seriesNumber,
+    subjects: union(kept.subjects, other.subjects, MAX_SUBJECTS),
+    tags: union(kept.tags, other.tags, MAX_TAGS),
+    hideFromProfile: kept.hideFromProfile || other.hideFromProfile,
+    privateJournal: kept.privateJournal || other.privateJournal,
+  }
+}
+
+// Why the merged book can't be saved, if it can't. Keeping both journals can
+// come to more entries than a book holds, which gets a message of its own.
+export function mergeErrors(kept, other, choices) {
+  const merged = { ...kept, ...mergeBooks(kept, other, choices) }
+  const count = merged.journal.length
+  if (count <= MAX_JOURNAL_ENTRIES) return validateBook(merged)
+  return [
+    `Together the journals have ${count} entries, more than the ${MAX_JOURNAL_ENTRIES} a book can keep. Keep one copy's journal, or delete some entries first.`,
+    ...validateBook({ ...merged, journal: [] }),
+  ]
+}
@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest'
+import { MAX_JOURNAL_ENTRIES, withDefaults } from './bookSchema'
+import { defaultChoices, mergeErrors } from './mergeBooks'
+
+const journal = (count, text) => Array.from({ length: count }, (_, i) => ({
+  id: i + 1, type: 'note', date: '2024-01-01', text: `${text} ${i}`, page: null, chapter: null,
+}))
+
+const book = (id, entries) => withDefaults({ id, title: 'Dune', author: 'Frank Herbert', readLevel: 'moderate', status: 'tbr', journal: entries })
+
+describe('mergeErrors', () => {
+  const kept = book(1, journal(300, 'kept'))
+  const other = book(2, journal(300, 'other'))
+
+  it('refuses to keep both journals when together they are too long', () => {
+    const errors = mergeErrors(kept, other, defaultChoices(kept, other))
+    expect(errors).toEqual([
+      `Together the journals have 600 entries, more than the ${MAX_JOURNAL_ENTRIES} a book can keep. Keep one copy's journal, or delete some entries first.`,
+    ])
+  })
+
+  it('allows keeping either one', () => {
+    expect(mergeErrors(kept, other, { ...defaultChoices(kept, other), journal: 'kept' })).toEqual([])
+    expect(mergeErrors(kept, other, { ...defaultChoices(kept, other), journal: 'other' })).toEqual([])
+  })
+})
@@ -0,0 +1,199 @@
+import { MAX_AUTHOR_LENGTH, MAX_PAGE_COUNT, MAX_PUBLISHER_LENGTH, MAX_SUBJECTS, MAX_SUBJECT_LENGTH, MAX_TITLE_LENGTH } from './bookSchema'
+import { parseSeriesName, parseSeriesTitle } from './series'
+
+// Book metadata lookups. A provider has two methods:
+//
+//   search({ title, author }, { limit })  -> candidates
+//   lookupIsbn(isbn)                      -> a candidate or null
+//
+// where a candidate is one edition, `{ key, title, author, isbn, coverUrl,
+// pageCount, publishYear, publisher, subjects, series }`, any of which but
+// key, title and author may be null. Everything but the author and subjects
+// must describe that one edition, so picking it can't mix up details of
+// several. `series` is the catalogue's text, like "Dune
+// chronicles ; 1"; the lookups below split it into `series` and
+// `seriesNumber` as books have them. Open Library is the default;
+// setMetadataProvider swaps in another, e.g. a local stand-in for tests or
+// development.
+
+const SEARCH_FIELDS = ['key', 'title', 'author_name', 'cover_i', 'subject'].join(',')
+
+// Open Library searches find works; their editions are listed separately.
+// A search looks at this many works, and splits its results between them.
+const MAX_WORKS = 3
+
+// Strips dashes and spaces, and checks the check digit
+export function normalizeIsbn(value) {
+  const isbn = String(value ?? '').replace(/[\s-]/g, '').toUpperCase()
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    const sum = [...isbn].reduce((total, char, i) => total + (char === 'X' ? 10 : Number(char)) * (10 - i), 0)
+    return sum % 11 === 0 ? isbn : null
+  }
+  if (/^\d{13}$/.test(isbn)) {
+    const sum = [...isbn].reduce((total, char, i) => total + Number(char) * (i % 2 ? 3 : 1), 0)
+    return sum % 10 === 0 ? isbn : null
+  }
+  return null
+}
+
+const clip = (text, length) => (typeof text === 'string' && text.trim() ? text.trim().slice(0, length) : null)
+
+// Keeps candidates within the limits of the book schema. A series named in
+// the title, as Goodreads does, comes out of it.
+function cleanCandidate(candidate) {
+  const inTitle = typeof candidate.title === 'string' ? parseSeriesTitle(candidate.title) : null
+  const listed = typeof candidate.series === 'string' ? parseSeriesName(candidate.series.trim()) : null
+  const series = listed || inTitle
+  return {
+    ...candidate,
+    title: clip(inTitle ? inTitle.title : candidate.title, MAX_TITLE_LENGTH),
+    author: clip(candidate.author, MAX_AUTHOR_LENGTH),
+    isbn: normalizeIsbn(candidate.isbn),
+    pageCount: Number.isInteger(candidate.pageCount) && candidate.pageCount > 0 && candidate.pageCount <= MAX_PAGE_COUNT
+      ? candidate.pageCount
+      : null,
+    publishYear: Number.isInteger(candidate.publishYear) && candidate.publishYear <= 9999 ? candidate.publishYear : null,
+    publisher: clip(candidate.publisher, MAX_PUBLISHER_LENGTH),
+    subjects: [...new Set((candidate.subjects || []).map(s => clip(s, MAX_SUBJECT_LENGTH)).filter(Boolean))]
+      .slice(0, MAX_SUBJECTS),
+    series: series?.series ?? null,
+    seriesNumber: series?.seriesNumber ?? null,
+  }
+}
+
+export function createOpenLibraryProvider({
+  baseUrl = 'https://openlibrary.org',
+  coversUrl = 'https://covers.openlibrary.org',
+  fetch = (...args) => globalThis.fetch(...args),
+} = {}) {
+  const coverUrl = (coverId) => (coverId ? `${coversUrl}/b/id/${coverId}-M.jpg` : null)
+
+  async function getJson(path) {
+    const res = await fetch(`${baseUrl}${path}`)
+    if (res.status === 404) return null
+    if (!res.ok) throw new Error(`Open Library request failed: ${res.status}`)
+    return res.json()
+  }
+
+  // What a work's search result says about all its editions
+  const fromWork = (doc) => ({
+    key: doc.key,
+    title: doc.title,
+    author: doc.author_name?.[0],
+    isbn: null,
+    coverUrl: coverUrl(doc.cover_i),
+    pageCount: null,
+    publishYear: null,
+    publisher: null,
+    subjects: doc.subject?.slice(0, 10),
+  })
+
+  // An edition record, with the author and subjects of its work
+  const fromEdition = (edition, work) => ({
+    ...(work ? fromWork(work) : {}),
+    key: edition.key,
+    title: edition.title || work?.title,
+    isbn: edition.isbn_13?.[0] || edition.isbn_10?.[0],
+    coverUrl: coverUrl(edition.covers?.find(id => id > 0)),
+    pageCount: edition.number_of_pages,
+    publishYear: Number(edition.publish_date?.match(/\d{4}/)?.[0]) || null,
+    publisher: edition.publishers?.[0],
+    series: edition.series?.[0],
+  })
+
+  // A work whose editions can't be listed is still offered, with only the
+  // details that hold for every edition
+  async function editionsOf(work, limit) {
+    try {
+      const data = await getJson(`${work.key}/editions.json?${new URLSearchParams({ limit: String(limit) })}`)
+      const entries = data?.entries || []
+      return entries.length > 0 ? entries.map(edition => fromEdition(edition, work)) : [fromWork(work)]
+    } catch {
+      return [fromWork(work)]
+    }
+  }
+
+  return {
+    async search({ title = '', author = '' }, { limit = 8 } = {}) {
+      const params = new URLSearchParams({ fields: SEARCH_FIELDS, limit: String(Math.min(limit, MAX_WORKS)) })
+      if (title.trim()) params.set('title', title.trim())
+      if (author.trim()) params.set('author', author.trim())
+      const data = await getJson(`/search.json?${params}`)
+      const works = data?.docs || []
+      if (works.length === 0) return []
+
+      const perWork = Math.ceil(limit / works.length)
+      const editions = await Promise.all(works.map(work => editionsOf(work, perWork)))
+      return editions.flat().slice(0, limit)
+    },
+
+    // The edition has the ISBN's own details; the work search adds the
+    // author's name and subjects, which edition records lack.
+    async lookupIsbn(isbn) {
+      const [edition, search] = await Promise.all([
+        getJson(`/isbn/${isbn}.json`),
+        getJson(`/search.json?${new URLSearchParams({ isbn, fields: SEARCH_FIELDS, limit: '1' })}`),
+      ])
+      const work = search?.docs?.[0]
+      if (!edition) return work ? { ...fromWork(work), isbn } : null
+      return { ...fromEdition(edition, work), isbn }
+    },
+  }
+}
+
+let provider = createOpenLibraryProvider()
+
+export function setMetadataProvider(next) {
+  provider = next
+}
+
+// Lookups never throw; a failed one just finds nothing
+export async function searchMetadata(query, options) {
+  try {
+    const candidates = await provider.search(query, options)
+    return candidates.map(cleanCandidate).filter(c => c.title && c.author)
+  } catch {
+    return []
+  }
+}
+
+export async function lookupIsbn(value) {
+  const isbn = normalizeIsbn(value)
+  if (!isbn) return null
+  try {
+    const candidate = await provider.lookupIsbn(isbn)
+    return candidate ? cleanCandidate(candidate) : null
+  } catch {
+    return null
+  }
+}
+
+// A cover for a book we know little about: by ISBN when it has one,
+// otherwise the first search result that has a cover. Unlike the lookups
+// above this throws when the provider can't be reached, so the caller can
+// tell "no cover" from "try again later".
+export async function findCover({ title, author, isbn }) {
+  const normalized = normalizeIsbn(isbn)
+  if (normalized) {
+    const candidate = await provider.lookupIsbn(normalized)
+    if (candidate?.coverUrl) return candidate.coverUrl
+  }
+  const candidates = await provider.search({ title, author }, { limit: 5 })
+  return candidates.find(c => c.coverUrl)?.coverUrl || null
+}
+
+// The book fields a chosen candidate fills in
+export function candidateDetails(candidate) {
+  return {
+    title: candidate.title,
+    author: candidate.author,
+    isbn: candidate.isbn,
+    coverUrl: candidate.coverUrl,
+    pageCount: candidate.pageCount,
+    publishYear: candidate.publishYear,
+    publisher: candidate.publisher,
+    subjects: candidate.subjects,
+    series: candidate.series,
+    seriesNumber: candidate.seriesNumber,
+  }
+}
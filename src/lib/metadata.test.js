@@ -0,0 +1,251 @@
+import { afterEach, describe, expect, it } from 'vitest'
+import {
+  candidateDetails,
+  createOpenLibraryProvider,
+  findCover,
+  lookupIsbn,
+  normalizeIsbn,
+  searchMetadata,
+  setMetadataProvider,
+} from './metadata'
+
+// A local stand-in for a metadata provider, answering from a fixed list
+function createStandIn(candidates, { fail = false } = {}) {
+  const calls = []
+  return {
+    calls,
+    async search(query, options) {
+      calls.push({ search: query, options })
+      if (fail) throw new Error('offline')
+      return candidates
+    },
+    async lookupIsbn(isbn) {
+      calls.push({ lookupIsbn: isbn })
+      if (fail) throw new Error('offline')
+      return candidates.find(candidate => candidate.isbn === isbn) || null
+    },
+  }
+}
+
+const DUNE_HARDCOVER = {
+  key: '/books/OL1M',
+  title: 'Dune',
+  author: 'Frank Herbert',
+  isbn: '9780441013593',
+  coverUrl: 'https://covers.example/1.jpg',
+  pageCount: 412,
+  publishYear: 1965,
+  publisher: 'Chilton',
+  subjects: ['Science fiction'],
+  series: 'Dune chronicles ; 1',
+}
+
+const DUNE_PAPERBACK = {
+  key: '/books/OL2M',
+  title: 'Dune',
+  author: 'Frank Herbert',
+  isbn: '0-441-17271-7',
+  coverUrl: null,
+  pageCount: 537,
+  publishYear: 1990,
+  publisher: 'Ace',
+  subjects: ['Science fiction'],
+  series: null,
+}
+
+// Answers Open Library paths from a table, and 404s anything else
+function fakeFetch(routes) {
+  const requested = []
+  const fetch = async (url) => {
+    const { pathname, search } = new URL(url)
+    requested.push(pathname + search)
+    const body = routes[pathname]
+    if (body instanceof Error) throw body
+    return body === undefined
+      ? { ok: false, status: 404 }
+      : { ok: true, status: 200, json: async () => body }
+  }
+  return { fetch, requested }
+}
+
+afterEach(() => setMetadataProvider(createOpenLibraryProvider()))
+
+describe('normalizeIsbn', () => {
+  it('strips dashes and checks the check digit', () => {
+    expect(normalizeIsbn('0-441-17271-7')).toBe('0441172717')
+    expect(normalizeIsbn('978-0-441-01359-3')).toBe('9780441013593')
+    expect(normalizeIsbn('0-441-17271-8')).toBeNull()
+    expect(normalizeIsbn('not an isbn')).toBeNull()
+  })
+})
+
+describe('searchMetadata with a stand-in provider', () => {
+  it('returns cleaned candidates, one per edition', async () => {
+    setMetadataProvider(createStandIn([DUNE_HARDCOVER, DUNE_PAPERBACK]))
+    const candidates = await searchMetadata({ title: 'Dune', author: 'Herbert' })
+
+    expect(candidates.map(c => c.key)).toEqual(['/books/OL1M', '/books/OL2M'])
+    expect(candidates[0]).toMatchObject({ series: 'Dune chronicles', seriesNumber: 1 })
+    expect(candidates[1]).toMatchObject({ isbn: '0441172717', series: null, seriesNumber: null })
+  })
+
+  it('drops candidates without a title or author', async () => {
+    setMetadataProvider(createStandIn([{ ...DUNE_HARDCOVER, author: ' ' }, DUNE_PAPERBACK]))
+    const candidates = await searchMetadata({ title: 'Dune' })
+    expect(candidates.map(c => c.key)).toEqual(['/books/OL2M'])
+  })
+
+  it('takes a series out of the title', async () => {
+    setMetadataProvider(createStandIn([{ ...DUNE_PAPERBACK, title: 'Dune (Dune Chronicles, #1)' }]))
+    const [candidate] = await searchMetadata({ title: 'Dune' })
+    expect(candidate).toMatchObject({ title: 'Dune', series: 'Dune Chronicles', seriesNumber: 1 })
+  })
+
+  it('finds nothing rather than throwing when the provider fails', async () => {
+    setMetadataProvider(createStandIn([DUNE_HARDCOVER], { fail: true }))
+    expect(await searchMetadata({ title: 'Dune' })).toEqual([])
+  })
+})
+
+describe('the edition picker', () => {
+  it('fills a book in from the chosen edition alone', async () => {
+    setMetadataProvider(createStandIn([DUNE_HARDCOVER, DUNE_PAPERBACK]))
+    const candidates = await searchMetadata({ title: 'Dune' })
+    const picked = candidates.find(c => c.key === '/books/OL2M')
+
+    expect(candidateDetails(picked)).toEqual({
+      title: 'Dune',
+      author: 'Frank Herbert',
+      isbn: '0441172717',
+      coverUrl: null,
+      pageCount: 537,
+      publishYear: 1990,
+      publisher: 'Ace',
+      subjects: ['Science fiction'],
+      series: null,
+      seriesNumber: null,
+    })
+  })
+})
+
+describe('lookupIsbn with a stand-in provider', () => {
+  it('normalizes the ISBN before asking', async () => {
+    const standIn = createStandIn([DUNE_HARDCOVER])
+    setMetadataProvider(standIn)
+    const candidate = await lookupIsbn('978-0-441-01359-3')
+
+    expect(standIn.calls).toEqual([{ lookupIsbn: '9780441013593' }])
+    expect(candidate).toMatchObject({ key: '/books/OL1M', pageCount: 412, publisher: 'Chilton' })
+  })
+
+  it('does not ask about an invalid ISBN', async () => {
+    const standIn = createStandIn([DUNE_HARDCOVER])
+    setMetadataProvider(standIn)
+    expect(await lookupIsbn('12345')).toBeNull()
+    expect(standIn.calls).toEqual([])
+  })
+
+  it('returns null when nothing is found or the provider fails', async () => {
+    setMetadataProvider(createStandIn([DUNE_HARDCOVER]))
+    expect(await lookupIsbn('0441172717')).toBeNull()
+    setMetadataProvider(createStandIn([DUNE_HARDCOVER], { fail: true }))
+    expect(await lookupIsbn('9780441013593')).toBeNull()
+  })
+})
+
+describe('findCover', () => {
+  it('prefers the ISBN, then the first search result with a cover', async () => {
+    setMetadataProvider(createStandIn([DUNE_PAPERBACK, DUNE_HARDCOVER]))
+    expect(await findCover({ title: 'Dune', isbn: '0441172717' })).toBe('https://covers.example/1.jpg')
+  })
+
+  it('throws when the provider fails, unlike the lookups', async () => {
+    setMetadataProvider(createStandIn([], { fail: true }))
+    await expect(findCover({ title: 'Dune' })).rejects.toThrow('offline')
+  })
+})
+
+describe('the Open Library provider', () => {
+  const WORK = { key: '/works/OL1W', title: 'Dune', author_name: ['Frank Herbert'], cover_i: 9, subject: ['Deserts'] }
+  const EDITIONS = {
+    entries: [
+      {
+        key: '/books/OL1M',
+        title: 'Dune',
+        isbn_13: ['9780441013593'],
+        covers: [-1, 11],
+        number_of_pages: 412,
+        publish_date: 'August 1965',
+        publishers: ['Chilton'],
+        series: ['Dune chronicles ; 1'],
+      },
+      { key: '/books/OL2M', title: 'Dune', isbn_10: ['0441172717'], number_of_pages: 537, publishers: ['Ace'] },
+    ],
+  }
+
+  it('offers each edition of the works found, with its own details', async () => {
+    const { fetch, requested } = fakeFetch({
+      '/search.json': { docs: [WORK] },
+      '/works/OL1W/editions.json': EDITIONS,
+    })
+    const provider = createOpenLibraryProvider({ baseUrl: 'https://ol.test', coversUrl: 'https://covers.test', fetch })
+    const candidates = await provider.search({ title: 'Dune' }, { limit: 4 })
+
+    expect(requested[1]).toBe('/works/OL1W/editions.json?limit=4')
+    expect(candidates).toEqual([
+      {
+        key: '/books/OL1M',
+        title: 'Dune',
+        author: 'Frank Herbert',
+        isbn: '9780441013593',
+        coverUrl: 'https://covers.test/b/id/11-M.jpg',
+        pageCount: 412,
+        publishYear: 1965,
+        publisher: 'Chilton',
+        subjects: ['Deserts'],
+        series: 'Dune chronicles ; 1',
+      },
+      {
+        key: '/books/OL2M',
+        title: 'Dune',
+        author: 'Frank Herbert',
+        isbn: '0441172717',
+        coverUrl: null,
+        pageCount: 537,
+        publishYear: null,
+        publisher: 'Ace',
+        subjects: ['Deserts'],
+        series: undefined,
+      },
+    ])
+  })
+
+  it('offers a work with only its shared details when its editions cannot be listed', async () => {
+    const { fetch } = fakeFetch({
+      '/search.json': { docs: [WORK] },
+      '/works/OL1W/editions.json': new TypeError('Failed to fetch'),
+    })
+    const provider = createOpenLibraryProvider({ baseUrl: 'https://ol.test', coversUrl: 'https://covers.test', fetch })
+    const [candidate] = await provider.search({ title: 'Dune' })
+
+    expect(candidate).toMatchObject({ key: '/works/OL1W', isbn: null, pageCount: null, publisher: null, publishYear: null })
+  })
+
+  it('looks an ISBN up as its edition, with the work for the author', async () => {
+    const { fetch } = fakeFetch({
+      '/isbn/0441172717.json': EDITIONS.entries[1],
+      '/search.json': { docs: [WORK] },
+    })
+    const provider = createOpenLibraryProvider({ baseUrl: 'https://ol.test', fetch })
+    const candidate = await provider.lookupIsbn('0441172717')
+
+    expect(candidate).toMatchObject({
+      key: '/books/OL2M',
+      author: 'Frank Herbert',
+      isbn: '0441172717',
+      pageCount: 537,
+      publisher: 'Ace',
+      publishYear: null,
+    })
+  })
+})
@@ -0,0 +1,129 @@
+import { endedRead } from './reads'
+
+// Moving books between shelves. Each transition records its date
+// automatically; the dates can be edited afterwards. The journal is never
+// touched, so entries written while reading are kept.
+
+export const STATUS_LABELS = {
+  tbr: 'To Be Read',
+  reading: 'Currently Reading',
+  finished: 'Finished',
+  dnf: 'Did Not Finish',
+}
+
+// A timestamp as a local YYYY-MM-DD date
+export function localDate(timestamp) {
+  const date = new Date(timestamp)
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+export function today() {
+  return localDate(Date.now())
+}
+
+export function formatDate(date) {
+  if (!date) return null
+  return new Date(`${date}T00:00:00`).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  })
+}
+
+// Starting a finished book again, or putting a finished or abandoned one
+// back on the TBR pile, files its last read away in `reads` and clears the
+// way for the next. Picking an abandoned book back up carries on the same read.
+function nextRead(book, status) {
+  const ended = book.status === 'finished' || (book.status === 'dnf' && status === 'tbr')
+  if (!ended || status === book.status) return null
+  const reads = book.reads || []
+  // Ids are timestamps, bumped past the last one if need be
+  const id = Math.max(Date.now(), ...reads.map(read => read.id + 1))
+  return {
+    reads: [...reads, endedRead(book, id)],
+    rating: null,
+    currentPage: null,
+    percentComplete: null,
+  }
+}
+
+// The updates that move `book` to `status`
+export function statusChange(book, status, { reason = null } = {}) {
+  const date = today()
+  const fresh = nextRead(book, status)
+
+  if (status === 'reading') {
+    return {
+      ...fresh,
+      status,
+      startedAt: book.status === 'reading' ? book.startedAt : date,
+      finishedAt: null,
+      abandonedAt: null,
+      dnfReason: null,
+    }
+  }
+
+  if (status === 'finished') {
+    return {
+      status,
+      finishedAt: date,
+      abandonedAt: null,
+      dnfReason: null,
+      currentPage: book.pageCount ?? book.currentPage,
+      percentComplete: 100,
+      rating: 0,
+    }
+  }
+
+  if (status === 'dnf') {
+    return {
+      ...fresh,
+      status,
+      abandonedAt: date,
+      finishedAt: null,
+      dnfReason: reason?.trim() || null,
+    }
+  }
+
+  // Back on the pile means the back of the queue
+  return {
+    ...fresh,
+    status: 'tbr',
+    priority: Date.now(),
+    rating: null,
+    startedAt: null,
+    finishedAt: null,
+    abandonedAt: null,
+    currentPage: null,
+    percentComplete: null,
+    dnfReason: null,
+  }
+}
+
+// How far through a book we are, 0-100, from pages when we know them
+export function progressPercent(book) {
+  if (book.pageCount && book.currentPage !== null && book.currentPage !== undefined) {
+    return Math.min(100, Math.round((book.currentPage / book.pageCount) * 100))
+  }
+  return book.percentComplete ?? 0
+}
+
+const readEvents = (read) => [
+  read.startedAt && { label: 'Started reading', date: read.startedAt },
+  read.finishedAt && { label: 'Finished', date: read.finishedAt },
+  read.abandonedAt && { label: 'Stopped reading', date: read.abandonedAt },
+]
+
+// What has happened to a book, oldest first, from the dates it and its
+// earlier reads carry. Ids are the `Date.now()` of when a book was added.
+export function statusTimeline(book) {
+  return [
+    { label: 'Added to the library', date: localDate(book.id) },
+    ...(book.reads || []).flatMap(readEvents),
+    ...readEvents(book),
+  ]
+    .filter(Boolean)
+    .sort((a, b) => a.date.localeCompare(b.date))
+}
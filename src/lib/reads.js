@@ -0,0 +1,43 @@
+// A book's reads. The book's own status, dates and rating describe the
+// current (or latest) read; earlier ones are kept in `book.reads`, oldest
+// first, as `{ id, status, startedAt, finishedAt, abandonedAt, rating,
+// dnfReason }` where status is 'finished' or 'dnf'. Shared by the client
+// and the goals API.
+
+// The current read as a history record, once it has ended
+export function endedRead(book, id = Date.now()) {
+  return {
+    id,
+    status: book.status,
+    startedAt: book.startedAt,
+    finishedAt: book.finishedAt,
+    abandonedAt: book.abandonedAt,
+    rating: book.rating,
+    dnfReason: book.dnfReason,
+  }
+}
+
+// Every read that has ended, oldest first
+export function allReads(book) {
+  const reads = book.reads || []
+  const ended = book.status === 'finished' || book.status === 'dnf'
+  return ended ? [...reads, endedRead(book, 0)] : reads
+}
+
+export function timesRead(book) {
+  return allReads(book).filter(read => read.status === 'finished').length
+}
+
+// One copy of a book per time it was finished, carrying that read's dates
+// and rating, so stats and goals count rereads as reads
+export function finishedReads(books) {
+  return books.flatMap(book => allReads(book)
+    .filter(read => read.status === 'finished')
+    .map(read => ({
+      ...book,
+      status: 'finished',
+      startedAt: read.startedAt,
+      finishedAt: read.finishedAt,
+      rating: read.rating,
+    })))
+}
@@ -0,0 +1,104 @@
+import { useSyncExternalStore } from 'react'
+import { STATUSES, normalizeTag } from './bookSchema'
+
+// A small history-API router. The server rewrites every non-API path to
+// index.html, so any of these URLs can be loaded directly:
+//
+//   /                 the whole library
+//   /shelf/:status    one shelf (tbr, reading, finished, dnf)
+//   /tags/:tag        books with a tag, which is how custom shelves are shown
+//   /books/:id        a single book
+//   /series/:name     a series in reading order
+//   /authors/:name    everything by an author
+//   /stats            reading statistics
+//   /trash            deleted books, until they're restored or deleted for good
+//   /duplicates       books that look like they were entered twice
+//   /shared/:token    someone's public profile, which needs no sign-in
+
+const listeners = new Set()
+let snapshot = null
+
+function notify() {
+  listeners.forEach(listener => listener())
+}
+
+function subscribe(listener) {
+  if (listeners.size === 0) window.addEventListener('popstate', notify)
+  listeners.add(listener)
+  return () => {
+    listeners.delete(listener)
+    if (listeners.size === 0) window.removeEventListener('popstate', notify)
+  }
+}
+
+// The same object until the URL changes, as useSyncExternalStore requires
+function getLocation() {
+  const { pathname, search } = window.location
+  if (!snapshot || snapshot.pathname !== pathname || snapshot.search !== search) {
+    snapshot = { pathname, search }
+  }
+  return snapshot
+}
+
+export function useLocation() {
+  return useSyncExternalStore(subscribe, getLocation)
+}
+
+export function navigate(to, { replace = false } = {}) {
+  const { pathname } = window.location
+  window.history[replace ? 'replaceState' : 'pushState'](window.history.state, '', to)
+  notify()
+  if (!replace && window.location.pathname !== pathname) window.scrollTo(0, 0)
+}
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text)
+  } catch {
+    return ''
+  }
+}
+
+export function matchRoute(pathname) {
+  const path = pathname.replace(/\/+$/, '') || '/'
+  if (path === '/') return { name: 'library' }
+  if (path === '/stats') return { name: 'stats' }
+  if (path === '/trash') return { name: 'trash' }
+  if (path === '/duplicates') return { name: 'duplicates' }
+
+  const shelf = path.match(/^\/shelf\/([^/]+)$/)
+  if (shelf && STATUSES.includes(shelf[1])) return { name: 'shelf', status: shelf[1] }
+
+  const tag = path.match(/^\/tags\/([^/]+)$/)
+  if (tag) {
+    const name = normalizeTag(safeDecode(tag[1]))
+    if (name) return { name: 'tag', tag: name }
+  }
+
+  const shared = path.match(/^\/shared\/([\w-]+)$/)
+  if (shared) return { name: 'shared', token: shared[1] }
+
+  const series = path.match(/^\/series\/([^/]+)$/)
+  if (series) {
+    const name = safeDecode(series[1]).trim()
+    if (name) return { name: 'series', series: name }
+  }
+
+  const author = path.match(/^\/authors\/([^/]+)$/)
+  if (author) {
+    const name = safeDecode(author[1]).trim()
+    if (name) return { name: 'author', author: name }
+  }
+
+  const book = path.match(/^\/books\/(\d+)$/)
+  if (book) return { name: 'book', id: Number(book[1]) }
+
+  return { name: 'notFound' }
+}
+
+export const bookPath = (id) => `/books/${id}`
+export const shelfPath = (status) => `/shelf/${status}`
+export const tagPath = (tag) => `/tags/${encodeURIComponent(tag)}`
+export const seriesPath = (name) => `/series/${encodeURIComponent(name)}`
+export const authorPath = (name) => `/authors/${encodeURIComponent(name)}`
+export const sharedPath = (token) => `/shared/${token}`
@@ -0,0 +1,100 @@
+import { MAX_SERIES_LENGTH, MAX_SERIES_NUMBER } from './bookSchema.js'
+import { timesRead } from './reads.js'
+
+// Books in a series carry its name and their number in it. Names are
+// compared loosely, so "The Stormlight Archive" and "Stormlight Archive
+// series" are one series.
+
+const toNumber = (text) => {
+  const number = Number(text)
+  return /^\d+(\.\d+)?$/.test(text) && number <= MAX_SERIES_NUMBER ? number : null
+}
+
+const clipName = (name) => name.trim().slice(0, MAX_SERIES_LENGTH).trim() || null
+
+export function seriesKey(name = '') {
+  return name
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^the /, '')
+    .replace(/ series$/, '')
+}
+
+// Goodreads puts the series in the title, as "The Way of Kings (The
+// Stormlight Archive, #1)". Returns the title without it and the series,
+// or null when there's none. A book in several series keeps the first; an
+// omnibus ("#1-3") gets no number.
+export function parseSeriesTitle(title) {
+  const match = title.match(/^(.+?)\s*\(([^()]*#[^()]*)\)\s*$/)
+  if (!match) return null
+  const part = match[2].split(';')[0].match(/^(.+?),?\s*#\s*(\S+)$/)
+  if (!part) return null
+  const series = clipName(part[1])
+  return series && { title: match[1], series, seriesNumber: toNumber(part[2]) }
+}
+
+// Library catalogues write series as "The Stormlight Archive ; 1" or
+// "Stormlight archive -- bk. 1", or just the name
+export function parseSeriesName(text) {
+  const match = text.match(/^(.+?)\s*(?:[;,#]|--)\s*(?:(?:book|bk|volume|vol|v|no|number|part|pt)\.?\s*)?#?\s*(\d+(?:\.\d+)?)\.?$/i)
+  const name = (match ? match[1] : text).replace(/\s*\(series\)$/i, '')
+  const series = clipName(name)
+  return series && { series, seriesNumber: match ? toNumber(match[2]) : null }
+}
+
+// "The Stormlight Archive #2", or just the name for a book without a number
+export function seriesLabel(book) {
+  if (!book.series) return null
+  return book.seriesNumber === null || book.seriesNumber === undefined
+    ? book.series
+    : `${book.series} #${book.seriesNumber}`
+}
+
+export const isRead = (book) => timesRead(book) > 0
+
+const MAX_GAPS = 20
+
+const byNumber = (a, b) =>
+  (a.seriesNumber ?? Infinity) - (b.seriesNumber ?? Infinity) || a.title.localeCompare(b.title)
+
+// Every series in `books`, by name, with how many of its books there are
+export function listSeries(books) {
+  const series = new Map()
+  for (const book of books) {
+    if (!book.series) continue
+    const key = seriesKey(book.series)
+    const entry = series.get(key) || { name: book.series, count: 0 }
+    series.set(key, { ...entry, count: entry.count + 1 })
+  }
+  return [...series.values()].sort((a, b) => a.name.localeCompare(b.name))
+}
+
+// A series in reading order: `{ name, entries, next }`, where `entries` are
+// `{ number, book }` with `book` null for a whole number missing from the
+// library, so gaps show. `next` is the entry to read after the furthest
+// one read or being read, skipping any given up on, or null when there's
+// nothing left.
+export function seriesVolumes(books, name) {
+  const key = seriesKey(name)
+  const volumes = books.filter(book => book.series && seriesKey(book.series) === key).sort(byNumber)
+  if (volumes.length === 0) return null
+
+  const numbers = new Set(volumes.map(book => book.seriesNumber))
+  const highest = Math.floor(Math.max(0, ...volumes.map(book => book.seriesNumber ?? 0)))
+  // A long run of gaps is more likely a stray number than missing books
+  const missing = highest - numbers.size <= MAX_GAPS
+    ? Array.from({ length: highest }, (_, i) => i + 1).filter(number => !numbers.has(number))
+    : []
+
+  const entries = [
+    ...volumes.map(book => ({ number: book.seriesNumber, book })),
+    ...missing.map(number => ({ number, book: null })),
+  ].sort((a, b) => (a.number ?? Infinity) - (b.number ?? Infinity) || byNumber(a.book, b.book))
+
+  const started = (entry) => entry.book && (isRead(entry.book) || entry.book.status === 'reading')
+  const furthest = entries.findLastIndex(started)
+  const next = entries.slice(furthest + 1).find(entry => entry.book?.status !== 'dnf') || null
+
+  return { name: volumes[0].series, entries, next }
+}
@@ -0,0 +1,85 @@
+import { ValidationError } from './bookSchema.js'
+import { sortEntries } from './journal.js'
+import { sortByPriority } from './tbrQueue.js'
+
+// The public profile: a read-only page of finished books (and, if chosen,
+// the TBR) that anyone with its share link can see. Settings are kept per
+// user as `{ enabled, displayName, showJournal, showTbr }`; books can opt
+// out with `hideFromProfile`, or keep their journal off it with
+// `privateJournal`. Shared by the client and the sharing API routes.
+
+export const MAX_DISPLAY_NAME_LENGTH = 60
+
+export const DEFAULT_SHARING = {
+  enabled: false,
+  displayName: '',
+  showJournal: false,
+  showTbr: false,
+}
+
+const SETTING_NAMES = Object.keys(DEFAULT_SHARING)
+
+// Returns a list of problems with sharing settings, empty when valid
+export function validateSharingSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return ['settings must be an object']
+
+  const errors = []
+  for (const name of ['enabled', 'showJournal', 'showTbr']) {
+    if (typeof settings[name] !== 'boolean') errors.push(`${name} must be true or false`)
+  }
+  if (typeof settings.displayName !== 'string' || settings.displayName.length > MAX_DISPLAY_NAME_LENGTH) {
+    errors.push(`displayName must be text of at most ${MAX_DISPLAY_NAME_LENGTH} characters`)
+  }
+  for (const name of Object.keys(settings)) {
+    if (!SETTING_NAMES.includes(name)) errors.push(`unknown setting "${name}"`)
+  }
+  return errors
+}
+
+export function assertValidSharingSettings(settings) {
+  const errors = validateSharingSettings(settings)
+  if (errors.length > 0) throw new ValidationError(errors, 'sharing settings')
+  return settings
+}
+
+// Where a profile's Atom or RSS feed is served (see feeds.js)
+export const feedPath = (token, format = 'atom') =>
+  `/api/feed/${token}${format === 'atom' ? '' : `?format=${format}`}`
+
+// Whether a book appears on the profile (and in its feed) at all
+export const isOnProfile = (book) => !book.deletedAt && !book.hideFromProfile
+
+export const showsJournal = (book, settings) => settings.showJournal && !book.privateJournal
+
+// What the profile shows of a book. `coverUrl(book)` says where its cover
+// can be loaded from without signing in, or null.
+function publicBook(book, settings, coverUrl) {
+  const shown = {
+    id: book.id,
+    title: book.title,
+    author: book.author,
+    readLevel: book.readLevel,
+    coverUrl: coverUrl(book),
+  }
+  if (book.status !== 'finished') return shown
+
+  const journal = showsJournal(book, settings) ? sortEntries(book.journal) : []
+  return { ...shown, rating: book.rating, finishedAt: book.finishedAt, journal }
+}
+
+// The profile for `books` under `settings`: finished books, most recently
+// finished first, and the TBR in queue order when it's shared (else null)
+export function publicProfile(books, settings, { coverUrl = () => null } = {}) {
+  const listed = books.filter(isOnProfile)
+  const finished = listed
+    .filter(book => book.status === 'finished')
+    .sort((a, b) => (b.finishedAt || '').localeCompare(a.finishedAt || '') || b.id - a.id)
+
+  return {
+    displayName: settings.displayName.trim() || null,
+    finished: finished.map(book => publicBook(book, settings, coverUrl)),
+    tbr: settings.showTbr
+      ? sortByPriority(listed.filter(book => book.status === 'tbr')).map(book => publicBook(book, settings, coverUrl))
+      : null,
+  }
+}
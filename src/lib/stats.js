@@ -0,0 +1,119 @@
+import { MAX_RATING, READ_LEVELS } from './bookSchema'
+import { localDate } from './readingStatus'
+import { finishedReads } from './reads'
+
+// Reading statistics computed from the library. Finishes are dated by
+// `finishedAt`, additions by the id (the `Date.now()` of when a book was
+// added). A reread counts as another finish. Passing a year narrows
+// everything to that year, month by month; without one the periods are
+// whole years.
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+const TOP_AUTHOR_COUNT = 5
+
+const addedOn = (book) => localDate(book.id)
+
+// When a book stopped being on the TBR pile, if it has
+function leftPileOn(book) {
+  if (book.status === 'tbr') return null
+  return book.startedAt || book.finishedAt || book.abandonedAt || addedOn(book)
+}
+
+// 'YYYY' periods for the whole library, 'YYYY-MM' ones within a year
+function periodsFor(books, year) {
+  const now = localDate(Date.now())
+  if (year) {
+    const lastMonth = String(year) === now.slice(0, 4) ? Number(now.slice(5, 7)) : 12
+    return MONTHS.slice(0, lastMonth).map((label, i) => ({
+      key: `${year}-${String(i + 1).padStart(2, '0')}`,
+      label,
+    }))
+  }
+
+  const years = statsYears(books)
+  if (years.length === 0) return []
+  const periods = []
+  for (let y = years[years.length - 1]; y <= years[0]; y++) {
+    periods.push({ key: String(y), label: String(y) })
+  }
+  return periods
+}
+
+const inPeriod = (date, key) => Boolean(date) && date.startsWith(key)
+const byEndOf = (date, key) => Boolean(date) && date.slice(0, key.length) <= key
+
+// Years with any activity, newest first
+export function statsYears(books) {
+  const years = new Set()
+  for (const book of books) {
+    years.add(Number(addedOn(book).slice(0, 4)))
+  }
+  for (const read of finishedReads(books)) {
+    if (read.finishedAt) years.add(Number(read.finishedAt.slice(0, 4)))
+  }
+  return [...years].sort((a, b) => b - a)
+}
+
+export function computeStats(books, year = null) {
+  const finished = finishedReads(books)
+  const dated = finished.filter(book => book.finishedAt)
+  const inRange = year ? dated.filter(book => inPeriod(book.finishedAt, String(year))) : finished
+  const periods = periodsFor(books, year)
+
+  const finishedByPeriod = periods.map(({ key, label }) => ({
+    label,
+    count: dated.filter(book => inPeriod(book.finishedAt, key)).length,
+  }))
+
+  const ratingByPeriod = periods.map(({ key, label }) => {
+    const ratings = dated
+      .filter(book => inPeriod(book.finishedAt, key) && book.rating > 0)
+      .map(book => book.rating)
+    return {
+      label,
+      value: ratings.length ? ratings.reduce((sum, r) => sum + r, 0) / ratings.length : null,
+    }
+  })
+
+  const rated = inRange.filter(book => book.rating > 0)
+  const ratingDistribution = Array.from({ length: MAX_RATING }, (_, i) => ({
+    rating: i + 1,
+    count: rated.filter(book => book.rating === i + 1).length,
+  }))
+
+  const readLevelMix = READ_LEVELS.map(level => ({
+    level,
+    count: inRange.filter(book => book.readLevel === level).length,
+  }))
+
+  const authorCounts = new Map()
+  for (const book of inRange) {
+    authorCounts.set(book.author, (authorCounts.get(book.author) || 0) + 1)
+  }
+  const topAuthors = [...authorCounts]
+    .map(([author, count]) => ({ author, count }))
+    .sort((a, b) => b.count - a.count || a.author.localeCompare(b.author))
+    .slice(0, TOP_AUTHOR_COUNT)
+
+  // Running totals; within a year, finishes count from the start of it
+  const pileByPeriod = periods.map(({ key, label }) => ({
+    label,
+    pile: books.filter(book => byEndOf(addedOn(book), key) && !byEndOf(leftPileOn(book), key)).length,
+    finished: dated.filter(book =>
+      byEndOf(book.finishedAt, key) && (!year || inPeriod(book.finishedAt, String(year)))
+    ).length,
+  }))
+
+  return {
+    finishedCount: inRange.length,
+    undatedCount: year ? 0 : finished.length - dated.length,
+    averageRating: rated.length ? rated.reduce((sum, book) => sum + book.rating, 0) / rated.length : null,
+    pagesRead: inRange.reduce((sum, book) => sum + (book.pageCount || 0), 0),
+    finishedByPeriod,
+    ratingByPeriod,
+    ratingDistribution,
+    readLevelMix,
+    topAuthors,
+    pileByPeriod,
+  }
+}
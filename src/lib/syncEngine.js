@@ -0,0 +1,483 @@
+import * as booksApi from './booksApi'
+import { ValidationError, migrateBook, migrateLibrary, notesEntry } from './bookSchema'
+import { mergeLibraries, readBackup } from './backup'
+
+// Offline-first sync between the local library and the API.
+//
+// Every change is applied locally right away and recorded as an operation
+// in a log persisted to localStorage. The log is replayed against the API in
+// order whenever we're online, retrying with backoff when it can't get
+// through. The engine keeps `base`, the last copy of each book the server
+// confirmed, and the library shown is always `base` with the pending
+// operations applied on top, so a reload from the server never discards
+// edits that haven't been sent yet.
+//
+// When a write is rejected as stale, each field is merged on its own: fields
+// only we changed are re-sent, fields only the server changed are taken
+// from the server, and fields both sides changed go to whichever changed
+// last, with both values kept as a conflict so the user can switch to the
+// other. Journals are merged entry by entry instead, so writing done on two
+// devices is never lost.
+
+const MIN_RETRY_DELAY = 1000
+const MAX_RETRY_DELAY = 60 * 1000
+
+// Fields where last-writer-wins could silently lose someone's writing
+const MERGERS = { journal: mergeJournal }
+
+function readJson(key, fallback) {
+  try {
+    const saved = localStorage.getItem(key)
+    return saved ? JSON.parse(saved) : fallback
+  } catch {
+    return fallback
+  }
+}
+
+function writeJson(key, value) {
+  localStorage.setItem(key, JSON.stringify(value))
+}
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+
+// Three-way merge of journal entries by id. Entries added or edited on
+// either side are kept, and deleting an entry wins only if the other side
+// left it alone. An entry edited on both sides is kept twice, ours as a new
+// entry.
+export function mergeJournal(base = [], local = [], remote = []) {
+  const baseById = new Map(base.map(entry => [entry.id, entry]))
+  const localById = new Map(local.map(entry => [entry.id, entry]))
+  const remoteIds = new Set(remote.map(entry => entry.id))
+  let nextId = Math.max(0, ...local.map(entry => entry.id), ...remote.map(entry => entry.id)) + 1
+
+  const merged = []
+  for (const theirs of remote) {
+    const original = baseById.get(theirs.id)
+    const ours = localById.get(theirs.id)
+    if (!ours) {
+      if (!original || !isEqual(original, theirs)) merged.push(theirs)
+    } else if (isEqual(ours, theirs) || isEqual(ours, original)) {
+      merged.push(theirs)
+    } else if (original && isEqual(theirs, original)) {
+      merged.push(ours)
+    } else {
+      merged.push(theirs, { ...ours, id: nextId++ })
+    }
+  }
+  for (const ours of local) {
+    if (remoteIds.has(ours.id)) continue
+    const original = baseById.get(ours.id)
+    if (!original || !isEqual(original, ours)) merged.push(ours)
+  }
+  return merged
+}
+
+// Changes saved by a version of the app from before journals (schema v6)
+// carry `notes`, which become the journal's first entry as in the schema
+// migration
+function upgradeFields(bookId, fields, book) {
+  if (!('notes' in fields)) return fields
+  const { notes, ...rest } = fields
+  const finishedAt = rest.finishedAt ?? book?.finishedAt ?? null
+  return { ...rest, journal: notes?.trim() ? [notesEntry({ id: bookId, finishedAt }, notes)] : [] }
+}
+
+function upgradeOp(op, base) {
+  if (op.type === 'create') return { ...op, fields: migrateBook(op.fields) }
+  if (op.type !== 'update' || !('notes' in op.fields)) return op
+  const { notes: changedAt, ...rest } = op.changedAt
+  return {
+    ...op,
+    fields: upgradeFields(op.bookId, op.fields, base[op.bookId]),
+    changedAt: { ...rest, journal: changedAt },
+  }
+}
+
+const indexById = (books) => Object.fromEntries(books.map(book => [book.id, book]))
+
+function applyOp(book, op) {
+  if (op.type === 'create') return { ...book, ...op.fields }
+  if (op.type === 'update') return book && { ...book, ...op.fields }
+  return null
+}
+
+// Recomputes the given books from `base` plus pending ops, keeping the
+// order of `books` and appending any that are new.
+function rebuild(books, base, ops, ids) {
+  const computed = new Map()
+  for (const id of ids) {
+    let book = base[id] ?? null
+    for (const op of ops) {
+      if (op.bookId === id) book = applyOp(book, op)
+    }
+    computed.set(id, book)
+  }
+
+  const result = []
+  for (const book of books) {
+    if (!computed.has(book.id)) {
+      result.push(book)
+    } else if (computed.get(book.id)) {
+      result.push(computed.get(book.id))
+    }
+    computed.delete(book.id)
+  }
+  for (const book of computed.values()) {
+    if (book) result.push(book)
+  }
+  return result
+}
+
+// Works out which fields of a stale update to re-send. Fields the server
+// should win are dropped. `lost` has both values of each field the two
+// sides changed differently, and which one was `kept`.
+export function mergeFields(op, base, current) {
+  const fields = {}
+  const changedAt = {}
+  const lost = {}
+
+  for (const [field, value] of Object.entries(op.fields)) {
+    if (isEqual(value, current[field])) continue
+
+    const remoteChanged = !base || !isEqual(base[field], current[field])
+    if (remoteChanged && MERGERS[field]) {
+      const merged = MERGERS[field](base?.[field], value, current[field])
+      if (isEqual(merged, current[field])) continue
+      fields[field] = merged
+      changedAt[field] = op.changedAt[field]
+    } else if (!remoteChanged || op.changedAt[field] > current.updatedAt) {
+      fields[field] = value
+      changedAt[field] = op.changedAt[field]
+      if (remoteChanged) lost[field] = { local: value, remote: current[field], kept: 'local' }
+    } else {
+      lost[field] = { local: value, remote: current[field], kept: 'remote' }
+    }
+  }
+  return { fields, changedAt, lost }
+}
+
+// Folds `op` into the queue, merging it with a not-yet-sent op for the same
+// book where possible so a burst of edits becomes one request.
+function coalesce(ops, op, inFlightId) {
+  const index = ops.findLastIndex(o => o.bookId === op.bookId)
+  const last = ops[index]
+  const mergeable = last && last.id !== inFlightId
+
+  if (op.type === 'update' && mergeable && last.type !== 'delete') {
+    const merged = {
+      ...last,
+      fields: { ...last.fields, ...op.fields },
+      changedAt: { ...last.changedAt, ...op.changedAt },
+    }
+    return ops.map((o, i) => i === index ? merged : o)
+  }
+
+  if (op.type === 'delete') {
+    const queued = ops.filter(o => o.bookId === op.bookId && o.id !== inFlightId)
+    const remaining = ops.filter(o => !queued.includes(o))
+    // A book that never reached the server needs no delete request
+    if (queued.some(o => o.type === 'create')) return remaining
+    return [...remaining, op]
+  }
+
+  return [...ops, op]
+}
+
+let nextId = 0
+const createId = () => `${Date.now()}-${nextId++}`
+
+export function createSyncEngine({ storageKey, remote }) {
+  const opsKey = `${storageKey}:pending-ops`
+  const baseKey = `${storageKey}:base`
+  const conflictsKey = `${storageKey}:conflicts`
+
+  const cachedBooks = migrateLibrary(readJson(storageKey, []))
+  const cachedBase = readJson(baseKey, null)
+  const base = cachedBase
+    ? Object.fromEntries(Object.entries(cachedBase).map(([id, book]) => [id, migrateBook(book)]))
+    : indexById(cachedBooks)
+
+  let state = {
+    books: cachedBooks,
+    base,
+    ops: remote ? readJson(opsKey, []).map(op => upgradeOp(op, base)) : [],
+    conflicts: remote ? readJson(conflictsKey, []) : [],
+    // 'online' | 'offline' | 'error' | 'local'
+    connection: remote ? 'online' : 'local',
+    lastError: null,
+    loaded: !remote,
+    // A library loaded before is shown from its local copy straight away,
+    // even an empty one, and refreshed once the server answers
+    ready: !remote || cachedBase !== null || cachedBooks.length > 0,
+  }
+
+  const listeners = new Set()
+  let onUnauthorized = () => {}
+  let inFlightId = null
+  let syncing = false
+  let retryTimer = null
+  let retryDelay = MIN_RETRY_DELAY
+
+  function setState(changes) {
+    state = { ...state, ...changes }
+    if ('books' in changes) writeJson(storageKey, state.books)
+    if ('base' in changes) writeJson(baseKey, state.base)
+    if ('ops' in changes) writeJson(opsKey, state.ops)
+    if ('conflicts' in changes) writeJson(conflictsKey, state.conflicts)
+    listeners.forEach(listener => listener())
+  }
+
+  function update(base, ops, ids) {
+    setState({ base, ops, books: rebuild(state.books, base, ops, ids) })
+  }
+
+  // Marks `op` as done, with `record` as the server's copy of its book
+  function commit(op, record) {
+    const base = { ...state.base }
+    if (record) base[op.bookId] = record
+    else delete base[op.bookId]
+    update(base, state.ops.filter(o => o.id !== op.id), [op.bookId])
+  }
+
+  function addConflict(conflict) {
+    setState({ conflicts: [...state.conflicts, { id: createId(), ...conflict }] })
+  }
+
+  function handleStale(op, current) {
+    const { fields, changedAt, lost } = mergeFields(op, state.base[op.bookId], current)
+    if (Object.keys(lost).length > 0) {
+      addConflict({ type: 'edit', bookId: op.bookId, title: current.title, fields: lost })
+    }
+
+    const base = { ...state.base, [op.bookId]: current }
+    if (Object.keys(fields).length === 0) {
+      update(base, state.ops.filter(o => o.id !== op.id), [op.bookId])
+      return
+    }
+    // Leave the trimmed op at the head of the queue to be re-sent against
+    // the server's current version
+    const retry = { ...op, type: 'update', fields, changedAt }
+    update(base, state.ops.map(o => o.id === op.id ? retry : o), [op.bookId])
+  }
+
+  function handleDeletedRemotely(op) {
+    const local = rebuild([], state.base, state.ops, [op.bookId])[0]
+    const base = { ...state.base }
+    delete base[op.bookId]
+    update(base, state.ops.filter(o => o.bookId !== op.bookId), [op.bookId])
+    if (local) addConflict({ type: 'deleted', bookId: op.bookId, title: local.title, local })
+  }
+
+  async function send(op) {
+    const base = state.base[op.bookId]
+    try {
+      if (op.type === 'create') {
+        commit(op, await booksApi.createBook(op.fields))
+      } else if (!base) {
+        // Never confirmed by the server, so there is nothing to update or delete
+        if (op.type === 'update') handleDeletedRemotely(op)
+        else commit(op, null)
+      } else if (op.type === 'update') {
+        commit(op, await booksApi.patchBook(op.bookId, base.version, op.fields))
+      } else {
+        await booksApi.deleteBook(op.bookId, base.version)
+        commit(op, null)
+      }
+    } catch (error) {
+      if (error instanceof booksApi.ConflictError) {
+        if (op.type === 'delete') {
+          // Edited elsewhere since we last saw it; confirm before deleting
+          commit(op, error.current)
+          addConflict({ type: 'delete', bookId: op.bookId, title: error.current.title })
+        } else {
+          handleStale(op, error.current)
+        }
+      } else if (error instanceof booksApi.NotFoundError) {
+        if (op.type === 'delete') commit(op, null)
+        else handleDeletedRemotely(op)
+      } else if (error instanceof ValidationError) {
+        // Retrying won't help; drop the change and say why
+        commit(op, base ?? null)
+        setState({ lastError: `A change couldn't be saved: ${error.errors.join('; ')}` })
+      } else {
+        throw error
+      }
+    }
+  }
+
+  async function load() {
+    const records = await booksApi.fetchBooks()
+    const base = indexById(records)
+    // Keep our last copy of books with pending edits that have vanished from
+    // the server, so sending those edits surfaces a conflict instead of
+    // dropping them
+    for (const op of state.ops) {
+      if (!base[op.bookId] && state.base[op.bookId]) base[op.bookId] = state.base[op.bookId]
+    }
+    const ids = new Set([...records.map(r => r.id), ...state.ops.map(op => op.bookId)])
+    // Start from the server's order, dropping books deleted elsewhere
+    const books = rebuild(records, base, state.ops, ids)
+    setState({ base, books, loaded: true, ready: true })
+  }
+
+  async function sync() {
+    if (!remote || syncing) return
+    syncing = true
+    clearTimeout(retryTimer)
+    try {
+      while (!state.loaded || state.ops.length > 0) {
+        if (!state.loaded) {
+          await load()
+          continue
+        }
+        const op = state.ops[0]
+        inFlightId = op.id
+        await send(op)
+        inFlightId = null
+      }
+      retryDelay = MIN_RETRY_DELAY
+      setState({ connection: 'online' })
+    } catch (error) {
+      inFlightId = null
+      if (error instanceof booksApi.UnauthorizedError) {
+        onUnauthorized()
+        return
+      }
+      const offline = !navigator.onLine || error instanceof TypeError
+      setState({
+        connection: offline ? 'offline' : 'error',
+        lastError: offline ? state.lastError : error.message,
+        ready: true,
+      })
+      retryTimer = setTimeout(sync, retryDelay)
+      retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY)
+    } finally {
+      syncing = false
+    }
+  }
+
+  function record(type, bookId, fields = {}) {
+    const changedAt = new Date().toISOString()
+    const op = {
+      id: createId(),
+      type,
+      bookId,
+      fields,
+      changedAt: Object.fromEntries(Object.keys(fields).map(field => [field, changedAt])),
+    }
+
+    if (!remote) {
+      setState({ books: rebuild(state.books, indexById(state.books), [op], [bookId]) })
+      return
+    }
+    update(state.base, coalesce(state.ops, op, inFlightId), [bookId])
+    sync()
+  }
+
+  const handleOnline = () => {
+    retryDelay = MIN_RETRY_DELAY
+    sync()
+  }
+  const handleOffline = () => setState({ connection: 'offline' })
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+
+    getSnapshot() {
+      return state
+    },
+
+    // Begins syncing; returns a function that stops it
+    start(options = {}) {
+      onUnauthorized = options.onUnauthorized || onUnauthorized
+      if (!remote) return () => {}
+
+      window.addEventListener('online', handleOnline)
+      window.addEventListener('offline', handleOffline)
+      sync()
+      return () => {
+        window.removeEventListener('online', handleOnline)
+        window.removeEventListener('offline', handleOffline)
+        clearTimeout(retryTimer)
+      }
+    },
+
+    create(book) {
+      record('create', book.id, book)
+    },
+
+    update(id, fields) {
+      record('update', id, fields)
+    },
+
+    remove(id) {
+      record('delete', id)
+    },
+
+    // `choice` is 'local' or 'remote' for fields edited on both sides,
+    // 'restore' or 'discard' for books deleted elsewhere, and 'delete' or
+    // 'keep' for books edited elsewhere after we deleted them. Edit
+    // conflicts saved before they recorded which side was `kept` are over
+    // notes, which the server kept.
+    resolveConflict(conflictId, choice) {
+      const conflict = state.conflicts.find(c => c.id === conflictId)
+      if (!conflict) return
+      setState({ conflicts: state.conflicts.filter(c => c.id !== conflictId) })
+
+      if (conflict.type === 'edit' && (choice === 'local' || choice === 'remote')) {
+        const fields = Object.fromEntries(
+          Object.entries(conflict.fields)
+            .filter(([, side]) => (side.kept ?? 'remote') !== choice)
+            .map(([field, side]) => [field, side[choice]])
+        )
+        if (Object.keys(fields).length === 0) return
+        record('update', conflict.bookId, upgradeFields(conflict.bookId, fields, state.base[conflict.bookId]))
+      } else if (conflict.type === 'deleted' && choice === 'restore') {
+        const book = migrateBook({ ...conflict.local })
+        delete book.version
+        delete book.updatedAt
+        record('create', conflict.bookId, book)
+      } else if (conflict.type === 'delete' && choice === 'delete') {
+        record('delete', conflict.bookId)
+      }
+    },
+
+    // Restores a backup, merging it into or replacing the library. Throws
+    // if the backup is unreadable or the server rejects it.
+    async restore(backup, mode) {
+      const books = readBackup(backup)
+      if (!remote) {
+        setState({ books: mergeLibraries(state.books, books, mode) })
+        return
+      }
+      await booksApi.restoreLibrary(backup, mode)
+      setState({ loaded: false })
+      sync()
+    },
+
+    // Puts the library back as it was in a server snapshot
+    async restoreSnapshot(id) {
+      await booksApi.restoreSnapshot(id)
+      setState({ loaded: false })
+      sync()
+    },
+
+    retry() {
+      retryDelay = MIN_RETRY_DELAY
+      setState({ lastError: null })
+      sync()
+    },
+
+    dismissError() {
+      setState({ lastError: null })
+    },
+
+    // Shows a problem outside syncing where sync errors are shown
+    reportError(message) {
+      setState({ lastError: message })
+    },
+  }
+}
@@ -0,0 +1,151 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import * as booksApi from './booksApi'
+import { createSyncEngine, mergeFields, mergeJournal } from './syncEngine'
+
+vi.mock('./booksApi', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchBooks: vi.fn(),
+  patchBook: vi.fn(),
+}))
+
+const entry = (id, text, extra = {}) => ({ id, type: 'note', date: '2024-01-01', text, page: null, chapter: null, ...extra })
+
+describe('mergeJournal', () => {
+  it('keeps entries added on either side', () => {
+    const base = [entry(1, 'shared')]
+    const merged = mergeJournal(base, [...base, entry(2, 'ours')], [...base, entry(3, 'theirs')])
+    expect(merged.map(e => e.text)).toEqual(['shared', 'theirs', 'ours'])
+  })
+
+  it('takes an edit made on one side only', () => {
+    const base = [entry(1, 'draft')]
+    expect(mergeJournal(base, [entry(1, 'ours')], base)).toEqual([entry(1, 'ours')])
+    expect(mergeJournal(base, base, [entry(1, 'theirs')])).toEqual([entry(1, 'theirs')])
+  })
+
+  it('keeps both versions of an entry edited on both sides, ours as a new entry', () => {
+    const base = [entry(1, 'draft')]
+    const merged = mergeJournal(base, [entry(1, 'ours')], [entry(1, 'theirs'), entry(4, 'more')])
+    expect(merged).toEqual([entry(1, 'theirs'), entry(5, 'ours'), entry(4, 'more')])
+  })
+
+  it('lets a delete win only over an untouched entry', () => {
+    const base = [entry(1, 'a'), entry(2, 'b')]
+    // We deleted 1, they left it; they deleted 2, we edited it
+    const merged = mergeJournal(base, [entry(2, 'b edited')], [entry(1, 'a')])
+    expect(merged).toEqual([entry(2, 'b edited')])
+  })
+
+  it('treats a missing journal as empty', () => {
+    expect(mergeJournal(undefined, [entry(1, 'ours')], undefined)).toEqual([entry(1, 'ours')])
+  })
+})
+
+describe('mergeFields', () => {
+  const base = { id: 1, title: 'Old', rating: 3, status: 'reading', journal: [entry(1, 'draft')], version: 1, updatedAt: '2024-01-01T00:00:00.000Z' }
+  const op = (fields, at = '2024-01-02T00:00:00.000Z') => ({
+    fields,
+    changedAt: Object.fromEntries(Object.keys(fields).map(field => [field, at])),
+  })
+
+  it('re-sends fields only we changed', () => {
+    const current = { ...base, status: 'finished', version: 2, updatedAt: '2024-01-03T00:00:00.000Z' }
+    const { fields } = mergeFields(op({ rating: 5 }), base, current)
+    expect(fields).toEqual({ rating: 5 })
+  })
+
+  it('drops fields that already match the server', () => {
+    const current = { ...base, rating: 5, version: 2 }
+    expect(mergeFields(op({ rating: 5 }), base, current).fields).toEqual({})
+  })
+
+  it('gives a field both sides changed to whichever changed it last, keeping the other value', () => {
+    const current = { ...base, title: 'Theirs', version: 2, updatedAt: '2024-01-03T00:00:00.000Z' }
+
+    const older = mergeFields(op({ title: 'Ours' }, '2024-01-02T00:00:00.000Z'), base, current)
+    expect(older.fields).toEqual({})
+    expect(older.lost).toEqual({ title: { local: 'Ours', remote: 'Theirs', kept: 'remote' } })
+
+    const newer = mergeFields(op({ title: 'Ours' }, '2024-01-04T00:00:00.000Z'), base, current)
+    expect(newer.fields).toEqual({ title: 'Ours' })
+    expect(newer.lost).toEqual({ title: { local: 'Ours', remote: 'Theirs', kept: 'local' } })
+  })
+
+  it('loses nothing when only one side changed a field', () => {
+    const current = { ...base, status: 'finished', version: 2, updatedAt: '2024-01-03T00:00:00.000Z' }
+    expect(mergeFields(op({ rating: 5 }), base, current).lost).toEqual({})
+  })
+
+  it('merges journals entry by entry instead', () => {
+    const current = { ...base, journal: [entry(1, 'draft'), entry(2, 'theirs')], version: 2, updatedAt: '2024-01-03T00:00:00.000Z' }
+    const { fields, changedAt, lost } = mergeFields(op({ journal: [entry(1, 'draft'), entry(3, 'ours')] }), base, current)
+    expect(fields.journal).toEqual([entry(1, 'draft'), entry(2, 'theirs'), entry(3, 'ours')])
+    expect(changedAt).toEqual({ journal: '2024-01-02T00:00:00.000Z' })
+    expect(lost).toEqual({})
+  })
+
+  it('treats every field as changed remotely without a base copy', () => {
+    const current = { ...base, title: 'Theirs', updatedAt: '2024-01-03T00:00:00.000Z' }
+    expect(mergeFields(op({ title: 'Ours', rating: 4 }), null, current).fields).toEqual({})
+  })
+})
+
+describe('edit conflicts', () => {
+  const stored = { id: 1, title: 'Old', author: 'A', readLevel: 'easy', status: 'tbr', version: 1, updatedAt: '2024-01-01T00:00:00.000Z' }
+  // Edited on another device after anything we do here
+  const theirs = { ...stored, title: 'Theirs', version: 2, updatedAt: '2999-01-01T00:00:00.000Z' }
+
+  beforeEach(() => {
+    const items = new Map()
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, value),
+    })
+    booksApi.fetchBooks.mockResolvedValue([stored])
+    booksApi.patchBook.mockRejectedValueOnce(new booksApi.ConflictError(theirs))
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.resetAllMocks()
+  })
+
+  async function editedOnBothSides() {
+    const engine = createSyncEngine({ storageKey: 'test', remote: true })
+    engine.update(1, { title: 'Ours' })
+    await vi.waitFor(() => expect(engine.getSnapshot().conflicts).toHaveLength(1))
+    return engine
+  }
+
+  it('shows the value that lost to a later edit', async () => {
+    const engine = await editedOnBothSides()
+    const { books, ops, conflicts } = engine.getSnapshot()
+
+    expect(books[0].title).toBe('Theirs')
+    expect(ops).toEqual([])
+    expect(conflicts[0]).toMatchObject({
+      type: 'edit',
+      bookId: 1,
+      title: 'Theirs',
+      fields: { title: { local: 'Ours', remote: 'Theirs', kept: 'remote' } },
+    })
+  })
+
+  it('sends the lost value when it is picked', async () => {
+    const engine = await editedOnBothSides()
+    booksApi.patchBook.mockResolvedValueOnce({ ...theirs, title: 'Ours', version: 3 })
+    engine.resolveConflict(engine.getSnapshot().conflicts[0].id, 'local')
+
+    await vi.waitFor(() => expect(engine.getSnapshot().ops).toEqual([]))
+    expect(booksApi.patchBook).toHaveBeenLastCalledWith(1, 2, { title: 'Ours' })
+    expect(engine.getSnapshot()).toMatchObject({ conflicts: [], books: [{ title: 'Ours', version: 3 }] })
+  })
+
+  it('sends nothing when the saved value is picked', async () => {
+    const engine = await editedOnBothSides()
+    engine.resolveConflict(engine.getSnapshot().conflicts[0].id, 'remote')
+
+    expect(booksApi.patchBook).toHaveBeenCalledTimes(1)
+    expect(engine.getSnapshot()).toMatchObject({ conflicts: [], ops: [], books: [{ title: 'Theirs' }] })
+  })
+})
@@ -0,0 +1,11 @@
+// Spelled out in full so Tailwind finds the class names
+export const TAG_STYLES = {
+  gray: 'bg-cream-dark text-charcoal-light border-charcoal-lighter/30',
+  red: 'bg-red-100 text-red-800 border-red-200',
+  amber: 'bg-amber-100 text-amber-800 border-amber-200',
+  green: 'bg-green-100 text-green-800 border-green-200',
+  teal: 'bg-teal-100 text-teal-800 border-teal-200',
+  blue: 'bg-blue-100 text-blue-800 border-blue-200',
+  violet: 'bg-violet-100 text-violet-800 border-violet-200',
+  pink: 'bg-pink-100 text-pink-800 border-pink-200',
+}
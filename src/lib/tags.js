@@ -0,0 +1,94 @@
+import { MAX_TAG_LENGTH, ValidationError, normalizeTag } from './bookSchema.js'
+
+// Tags live on the books themselves (`book.tags`). What a tag looks like is
+// kept per user as tag settings, `[{ name, color, shelf }]`, shared by the
+// client and the tags API: its chip color, and whether it's a custom shelf
+// listed alongside the reading statuses. Tags without settings are plain
+// gray tags.
+
+export const TAG_COLORS = ['gray', 'red', 'amber', 'green', 'teal', 'blue', 'violet', 'pink']
+export const MAX_TAG_SETTINGS = 500
+
+function validateSetting(setting) {
+  if (!setting || typeof setting !== 'object' || Array.isArray(setting)) return ['tag must be an object']
+
+  const errors = []
+  if (typeof setting.name !== 'string' || !setting.name || setting.name !== normalizeTag(setting.name)) {
+    errors.push(`tag name must be lowercase text of at most ${MAX_TAG_LENGTH} characters`)
+  }
+  if (!TAG_COLORS.includes(setting.color)) errors.push(`tag color must be one of ${TAG_COLORS.join(', ')}`)
+  if (typeof setting.shelf !== 'boolean') errors.push('tag shelf must be true or false')
+  for (const name of Object.keys(setting)) {
+    if (!['name', 'color', 'shelf'].includes(name)) errors.push(`unknown tag field "${name}"`)
+  }
+  return errors
+}
+
+// Returns a list of problems with a user's tag settings, empty when valid
+export function validateTagSettings(tags) {
+  if (!Array.isArray(tags)) return ['tags must be a list']
+  if (tags.length > MAX_TAG_SETTINGS) return [`at most ${MAX_TAG_SETTINGS} tags are allowed`]
+
+  const errors = tags.flatMap(validateSetting)
+  if (new Set(tags.map(tag => tag.name)).size !== tags.length) errors.push('tag names must be unique')
+  return errors
+}
+
+export function assertValidTagSettings(tags) {
+  const errors = validateTagSettings(tags)
+  if (errors.length > 0) throw new ValidationError(errors, 'tags')
+  return tags
+}
+
+const DEFAULT_SETTING = { color: 'gray', shelf: false }
+
+// Every tag in use or with settings, with how many books have it, by name
+export function listTags(books, settings) {
+  const counts = new Map(settings.map(setting => [setting.name, 0]))
+  for (const book of books) {
+    for (const tag of book.tags || []) counts.set(tag, (counts.get(tag) || 0) + 1)
+  }
+  const byName = new Map(settings.map(setting => [setting.name, setting]))
+  return [...counts]
+    .map(([name, count]) => ({ ...DEFAULT_SETTING, ...byName.get(name), name, count }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+export function tagSetting(settings, name) {
+  return settings.find(setting => setting.name === name) || { ...DEFAULT_SETTING, name }
+}
+
+export function updateTagSetting(settings, name, changes) {
+  const rest = settings.filter(setting => setting.name !== name)
+  return [...rest, { ...tagSetting(settings, name), ...changes }]
+}
+
+// Renaming a tag to one that already exists merges the two: books keep a
+// single copy and the existing tag's settings win. Returns the book updates
+// (`[{ id, tags }]`) and the new settings.
+export function renameTag(books, settings, from, to) {
+  const name = normalizeTag(to)
+  if (!name || name === from) return { updates: [], settings }
+
+  const updates = books
+    .filter(book => book.tags?.includes(from))
+    .map(book => ({
+      id: book.id,
+      tags: [...new Set(book.tags.map(tag => (tag === from ? name : tag)))],
+    }))
+  const merging = settings.some(setting => setting.name === name)
+  const renamed = settings
+    .filter(setting => setting.name !== from)
+    .concat(merging || !settings.some(setting => setting.name === from)
+      ? []
+      : [{ ...tagSetting(settings, from), name }])
+  return { updates, settings: renamed }
+}
+
+// Removes a tag from every book and forgets its settings
+export function deleteTag(books, settings, name) {
+  const updates = books
+    .filter(book => book.tags?.includes(name))
+    .map(book => ({ id: book.id, tags: book.tags.filter(tag => tag !== name) }))
+  return { updates, settings: settings.filter(setting => setting.name !== name) }
+}
@@ -0,0 +1,114 @@
+import { READ_LEVELS } from './bookSchema.js'
+import { normalizeAuthor } from './bookMatching.js'
+
+// The TBR pile as a queue, shared by the client and the public profile
+// route. Books are ordered by `priority`, lowest first; books without one
+// (new and imported ones) go to the back in the order they were added.
+// Moving a book gives it a priority between its new neighbours, so a move
+// is usually a single update.
+
+const SPACING = 1024
+
+const queueKey = (book) => book.priority ?? book.id
+
+export function sortByPriority(books) {
+  return [...books].sort((a, b) => queueKey(a) - queueKey(b) || a.id - b.id)
+}
+
+// The `{ id, priority }` updates that move book `id` to `index` in `queue`
+// (as sorted by sortByPriority). When there's no room left between two
+// neighbours the whole queue is renumbered.
+export function moveUpdates(queue, id, index) {
+  const from = queue.findIndex(book => book.id === id)
+  if (from === -1 || from === index) return []
+
+  const rest = queue.filter(book => book.id !== id)
+  const target = Math.max(0, Math.min(index, rest.length))
+  const before = rest[target - 1]
+  const after = rest[target]
+
+  let priority
+  if (!before && !after) priority = SPACING
+  else if (!before) priority = queueKey(after) - SPACING
+  else if (!after) priority = queueKey(before) + SPACING
+  else priority = (queueKey(before) + queueKey(after)) / 2
+
+  if (!before || !after || (priority > queueKey(before) && priority < queueKey(after))) {
+    return [{ id, priority }]
+  }
+  const order = [...rest.slice(0, target), queue[from], ...rest.slice(target)]
+  return order.map((book, i) => ({ id: book.id, priority: (i + 1) * SPACING }))
+}
+
+const DAY = 24 * 60 * 60 * 1000
+
+// How the "what next" picker weighs a book, out of 1 each
+const WEIGHTS = { mood: 3, waiting: 2, queue: 2 }
+
+// How close a book's read level is to the one asked for: the same level
+// scores 1, the one next to it half that
+function moodScore(book, readLevel) {
+  if (!readLevel) return 1
+  const distance = Math.abs(READ_LEVELS.indexOf(book.readLevel) - READ_LEVELS.indexOf(readLevel))
+  return distance === 0 ? 1 : distance === 1 ? 0.5 : 0
+}
+
+// Authors of what is being read now and of the last book finished
+function recentAuthors(books) {
+  const reading = books.filter(book => book.status === 'reading')
+  const [lastFinished] = books
+    .filter(book => book.status === 'finished' && book.finishedAt)
+    .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt))
+  return new Set([...reading, lastFinished].filter(Boolean).map(book => normalizeAuthor(book.author)))
+}
+
+const waitedFor = (days) => {
+  if (days >= 365) return `${Math.floor(days / 365)} ${days >= 730 ? 'years' : 'year'}`
+  if (days >= 60) return `${Math.floor(days / 30)} months`
+  return `${days} ${days === 1 ? 'day' : 'days'}`
+}
+
+// Scores every TBR book as a next read, best first, each as `{ book, score,
+// reasons }`. It weighs how well the read level fits the mood asked for
+// (`readLevel`, or null for any), how long the book has waited and where
+// it is in the queue, and marks down books by an author being read now or
+// just finished.
+export function rankNextReads(books, { readLevel = null, now = Date.now() } = {}) {
+  const queue = sortByPriority(books.filter(book => book.status === 'tbr' && !book.deletedAt))
+  const recent = recentAuthors(books.filter(book => !book.deletedAt))
+  const daysWaiting = (book) => Math.max(0, Math.floor((now - book.id) / DAY))
+  const longest = Math.max(1, ...queue.map(daysWaiting))
+
+  return queue.map((book, position) => {
+    const days = daysWaiting(book)
+    const mood = moodScore(book, readLevel)
+    // Early days count for more than the difference between old and older
+    const waiting = Math.log1p(days) / Math.log1p(longest)
+    const place = queue.length > 1 ? 1 - position / (queue.length - 1) : 1
+    const sameAuthor = recent.has(normalizeAuthor(book.author))
+
+    const reasons = []
+    if (readLevel && mood === 1) reasons.push('Fits your mood')
+    if (position === 0 && queue.length > 1) reasons.push('Top of your queue')
+    else if (place >= 0.75 && queue.length > 3) reasons.push('Near the top of your queue')
+    if (days >= 30) reasons.push(`Waiting for ${waitedFor(days)}`)
+    if (sameAuthor) reasons.push("You've just been reading this author")
+
+    const score = (WEIGHTS.mood * mood + WEIGHTS.waiting * waiting + WEIGHTS.queue * place) * (sameAuthor ? 0.2 : 1)
+    return { book, score, reasons }
+  }).sort((a, b) => b.score - a.score)
+}
+
+// The next read: the best ranked book, or with `random` one picked at
+// random with the better ranked more likely. `exclude` skips ids already
+// suggested. Returns null when there's nothing left to suggest.
+export function pickNextRead(books, { readLevel = null, random = false, exclude = [], now, rng = Math.random } = {}) {
+  const ranked = rankNextReads(books, { readLevel, now }).filter(({ book }) => !exclude.includes(book.id))
+  if (ranked.length === 0) return null
+  if (!random) return ranked[0]
+
+  const total = ranked.reduce((sum, { score }) => sum + score, 0)
+  if (total === 0) return ranked[Math.floor(rng() * ranked.length)]
+  let roll = rng() * total
+  return ranked.find(({ score }) => (roll -= score) < 0) || ranked[ranked.length - 1]
+}
@@ -0,0 +1,16 @@
+import * as booksApi from './booksApi'
+import { useUserRecord } from './useUserRecord'
+
+// Reading goals for the signed-in user, or kept locally without an account
+export function useGoals({ storageKey, remote, onUnauthorized }) {
+  const [goals, saveGoals] = useUserRecord({
+    cacheKey: `${storageKey}:goals`,
+    field: 'goals',
+    remote,
+    load: booksApi.fetchGoals,
+    save: booksApi.saveGoals,
+    conflictMessage: 'Your goals were changed on another device. Check them and try again.',
+    onUnauthorized,
+  })
+  return { goals, saveGoals }
+}
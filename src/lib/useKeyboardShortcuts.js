@@ -0,0 +1,41 @@
+import { useEffect, useRef } from 'react'
+
+// Single-key shortcuts for the whole page, as `{ key: handler }`. Keys
+// pressed while typing, with a modifier, or while a dialog is open are
+// left alone.
+const isTyping = (target) =>
+  Boolean(target.closest?.('input, textarea, select, [contenteditable="true"]'))
+
+export function useKeyboardShortcuts(shortcuts) {
+  const current = useRef(shortcuts)
+
+  useEffect(() => {
+    current.current = shortcuts
+  })
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) return
+      if (document.querySelector('[aria-modal="true"]')) return
+      const handler = current.current[e.key]
+      if (!handler) return
+      e.preventDefault()
+      handler()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [])
+}
+
+// Moves focus to the next (`step` 1) or previous (-1) book card on the
+// page, from the one holding focus now, and brings it into view
+export function moveCardFocus(step) {
+  const cards = [...document.querySelectorAll('[data-book-card]')]
+  if (cards.length === 0) return
+  const index = cards.findIndex(card => card.contains(document.activeElement))
+  const next = index === -1
+    ? (step > 0 ? 0 : cards.length - 1)
+    : Math.min(cards.length - 1, Math.max(0, index + step))
+  cards[next].focus()
+  cards[next].scrollIntoView({ block: 'nearest' })
+}
@@ -0,0 +1,20 @@
+import { useCallback, useMemo } from 'react'
+import { DEFAULT_QUERY, parseQuery, toSearchString } from './librarySearch'
+import { navigate, useLocation } from './router'
+
+// The library's search and filter state, read from and written to the URL
+// query string. Changes replace the current history entry rather than adding
+// one per keystroke.
+export function useLibraryQuery() {
+  const { search } = useLocation()
+  const query = useMemo(() => parseQuery(search), [search])
+
+  // Merges `updates` into the query; `null` clears every filter
+  const updateQuery = useCallback((updates) => {
+    const { pathname, search: current } = window.location
+    const next = updates === null ? DEFAULT_QUERY : { ...parseQuery(current), ...updates }
+    navigate(`${pathname}${toSearchString(next)}`, { replace: true })
+  }, [])
+
+  return [query, updateQuery]
+}
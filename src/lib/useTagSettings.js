@@ -0,0 +1,16 @@
+import * as booksApi from './booksApi'
+import { useUserRecord } from './useUserRecord'
+
+// Tag colors and custom shelves (see tags.js), saved like goals
+export function useTagSettings({ storageKey, remote, onUnauthorized }) {
+  const [tagSettings, saveTagSettings] = useUserRecord({
+    cacheKey: `${storageKey}:tags`,
+    field: 'tags',
+    remote,
+    load: booksApi.fetchTagSettings,
+    save: booksApi.saveTagSettings,
+    conflictMessage: 'Your tags were changed on another device. Check them and try again.',
+    onUnauthorized,
+  })
+  return { tagSettings, saveTagSettings }
+}
@@ -0,0 +1,55 @@
+import { useCallback, useEffect, useState } from 'react'
+import * as booksApi from './booksApi'
+
+// A per-user record saved as a whole (goals, tag settings), kept on the
+// server with a copy in localStorage so it still shows offline. Without an
+// account it only lives in localStorage.
+//
+// `field` names the record's contents, `load()` fetches it and
+// `save(value, version)` replaces it.
+
+function loadCached(key, field) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || { [field]: [], version: 0 }
+  } catch {
+    return { [field]: [], version: 0 }
+  }
+}
+
+export function useUserRecord({ cacheKey, field, remote, load, save, conflictMessage, onUnauthorized }) {
+  const [record, setRecord] = useState(() => loadCached(cacheKey, field))
+
+  const store = useCallback((next) => {
+    localStorage.setItem(cacheKey, JSON.stringify(next))
+    setRecord(next)
+  }, [cacheKey])
+
+  useEffect(() => {
+    if (!remote) return
+    load().then(store).catch(err => {
+      if (err instanceof booksApi.UnauthorizedError) onUnauthorized?.()
+      // Otherwise keep showing the cached copy
+    })
+  }, [remote, load, store, onUnauthorized])
+
+  // Replaces the record. If another device changed it first, their copy is
+  // kept and the error is rethrown so the caller can say so.
+  const replace = async (value) => {
+    if (!remote) {
+      store({ [field]: value, version: record.version + 1 })
+      return
+    }
+    try {
+      store(await save(value, record.version))
+    } catch (err) {
+      if (err instanceof booksApi.ConflictError) {
+        store(err.current)
+        throw new Error(conflictMessage)
+      }
+      if (err instanceof booksApi.UnauthorizedError) onUnauthorized?.()
+      throw err
+    }
+  }
+
+  return [record[field], replace]
+}
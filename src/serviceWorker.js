@@ -0,0 +1,97 @@
+// The service worker, built into dist/sw.js by the plugin in vite.config.js,
+// which puts PRECACHE (every file of the build, and index.html as '/') and
+// VERSION (a hash of them) in front of this file.
+//
+// The app shell comes from the cache, so the app starts without a network;
+// the library itself is kept in localStorage by the sync engine. Covers are
+// served from the cache too, and refreshed from the network behind the
+// scenes. Other API requests are left alone.
+
+/* global PRECACHE, VERSION */
+
+const SHELL_CACHE = `reading-journal-shell-${VERSION}`
+// Also cleared by authApi.signOut, so covers don't outlive the session
+const COVER_CACHE = 'reading-journal-covers'
+const MAX_COVERS = 300
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting()),
+  )
+})
+
+// Drops the shells of earlier builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('reading-journal-shell-') && name !== SHELL_CACHE)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim()),
+  )
+})
+
+async function fromShell(request, key = request) {
+  const cached = await caches.match(key, { cacheName: SHELL_CACHE })
+  return cached || fetch(request)
+}
+
+// Oldest first, as the cache lists them
+async function trim(cache, max) {
+  const keys = await cache.keys()
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(key => cache.delete(key)))
+}
+
+// Covers from other sites are asked for with CORS, so a failed one can be
+// told from a real image and isn't kept. Hosts that don't allow it still
+// get their covers shown, just not cached.
+async function fetchCover(request) {
+  if (new URL(request.url).origin === self.location.origin) return fetch(request)
+  try {
+    return await fetch(request.url, { mode: 'cors', credentials: 'omit' })
+  } catch {
+    return fetch(request)
+  }
+}
+
+// The cached cover straight away, if there is one, while a fresh copy is
+// fetched for next time. Only successful responses are kept, and a cover
+// that has gone is forgotten.
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(COVER_CACHE)
+  const cached = await cache.match(event.request)
+  const refresh = fetchCover(event.request).then(async (response) => {
+    if (response.ok) {
+      await cache.put(event.request, response.clone())
+      await trim(cache, MAX_COVERS)
+    } else if ([401, 403, 404, 410].includes(response.status)) {
+      await cache.delete(event.request)
+    }
+    return response
+  })
+  if (!cached) return refresh
+  event.waitUntil(refresh.catch(() => {}))
+  return cached
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+  const sameOrigin = url.origin === self.location.origin
+
+  // Of the API, only the user's own cached covers; shared profile covers
+  // must stop showing as soon as their link is revoked
+  if (sameOrigin && url.pathname.startsWith('/api/') && !url.pathname.startsWith('/api/covers/')) return
+
+  // Every page of the app is index.html; the client's router does the rest
+  if (request.mode === 'navigate' && sameOrigin) {
+    event.respondWith(fromShell(request, '/'))
+  } else if (sameOrigin && PRECACHE.includes(url.pathname)) {
+    event.respondWith(fromShell(request))
+  } else if (request.destination === 'image') {
+    event.respondWith(staleWhileRevalidate(event))
+  }
+})
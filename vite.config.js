@@ -1,8 +1,49 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync, statSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
+// Builds dist/sw.js from src/serviceWorker.js, with the list of files it
+// precaches and a version that changes whenever any of them does
+function serviceWorker() {
+  let publicDir
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(options, bundle) {
+      const hash = createHash('sha256')
+      const files = ['/']
+      for (const file of Object.values(bundle).sort((a, b) => a.fileName.localeCompare(b.fileName))) {
+        if (file.fileName.endsWith('.map')) continue
+        files.push(`/${file.fileName}`)
+        hash.update(file.fileName).update(file.type === 'chunk' ? file.code : file.source)
+      }
+      for (const name of readdirSync(publicDir).sort()) {
+        if (!statSync(`${publicDir}/${name}`).isFile()) continue
+        files.push(`/${name}`)
+        hash.update(name).update(readFileSync(`${publicDir}/${name}`))
+      }
+      const source = readFileSync(new URL('./src/serviceWorker.js', import.meta.url), 'utf8')
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `const PRECACHE = ${JSON.stringify(files)}\nconst VERSION = '${hash.digest('hex').slice(0, 12)}'\n\n${source}`,
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
+// With API_PROXY set (e.g. http://localhost:3000 while `npm start` runs),
+// the dev server sends /api to it; without it the app runs on localStorage.
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), serviceWorker()],
+  server: {
+    proxy: process.env.API_PROXY ? { '/api': process.env.API_PROXY } : undefined,
+  },
 })